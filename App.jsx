@@ -3,13 +3,57 @@ import ReactPlayer from 'react-player/youtube';
 import { 
   Play, Pause, Check, RotateCcw, BookOpen, Trophy, Flame, 
   Calendar, BarChart2, Star, ChevronRight, X, Volume2, 
-  Search, ArrowRight, Settings, Loader2, Home, User, AlertCircle
+  Search, ArrowRight, Settings, Loader2, Home, User, AlertCircle,
+  Download, Trash2, Snowflake, Library, Lock, ListVideo, Repeat, Mic, Square, LocateFixed,
+  Upload, FileText, WifiOff, TrendingUp, TrendingDown, RefreshCw, LogOut, Heart, Award
 } from 'lucide-react';
+import { loadState, saveState, resetState, exportState } from './lib/storage';
+import { toDayKey, shiftDay, msUntilNextDay, createXpEvent, rolloverDay, applyXp, isGoalMet } from './lib/progress';
+import { GRADES, PASSING_QUALITY, createSrsState, gradeCard, getDueWords, findExample, makeCloze, getPromptType } from './lib/srs';
+import { generateQuestions, buildQuizSession } from './lib/quizGenerator';
+import { getQuestionType, gradeResponse } from './lib/questionTypes';
+import { recordMistake, resolveMistake, buildRetrySession } from './lib/mistakes';
+import { parseYouTubeUrl, parseCollectionUrl, toWatchUrl } from './lib/youtubeUrl';
+import { createCourse, resetInterrupted, getNextQueued, updateCourseItem, isItemCompleted, isItemUnlocked, getCourseProgress } from './lib/course';
+import { PLAYBACK_RATES, REPEAT_OPTIONS, GAP_OPTIONS, getLineBounds, nextShadowStep } from './lib/shadowing';
+import { PASS_SCORE, getRecognizer, startRecording, diffWords } from './lib/speech';
+import { tokenizeLine, createDictionary } from './lib/dictionary';
+import { findLineIndex, isWithinLine } from './lib/transcriptSync';
+import { downloadFile, wordsToCsv, wordsToTsv, wordsToAnki, parseWordFile, scriptToSrt, scriptToVtt } from './lib/exporters';
+import { SORT_OPTIONS, getLessonSummaries, filterLessons, sortLessons, updateLessonProgress } from './lib/library';
+import { getWatchDelta, mergeWatchLog, getDailyActivity, summarizeActivity, getAccuracyTrend, formatMinutes } from './lib/activity';
+import { ANALYSIS_STAGES, ApiError, createApiClient, isAbortError } from './lib/apiClient';
+import { LANGUAGES, getLanguage, pickLanguages } from './lib/languages';
+import { getTranslator, getUiLocale, hasMessage } from './lib/i18n';
+import { registerServiceWorker } from './lib/serviceWorker';
+import { getLevel, recordQuizAnswer, recordReview, planAdaptiveSession, replanAdaptiveSession } from './lib/rating';
+import { getAchievementProgress, findNewUnlocks, unlockAchievements } from './lib/achievements';
+import { LEAGUE_TIERS, getStandings, getZone, settleLeague } from './lib/league';
+import { MAX_HEARTS, refillHearts, loseHeart, msUntilNextHeart } from './lib/hearts';
+import { createId, createSyncMeta, toSyncMaps, fromSyncMaps, stampChanges, collectChanges, mergeRemote, exchangeChanges } from './lib/accountSync';
 
 // --- 환경 변수 및 상수 ---
 // Railway 배포 시 환경 변수로 백엔드 주소를 설정해야 합니다.
 // 예: VITE_API_URL=https://your-backend-app.railway.app
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:8000';
+const REVIEW_XP_PER_CARD = 5;
+const SPEAKING_XP = 5;
+const ACCOUNT_SYNC_DELAY_MS = 5000; // 기록이 바뀌고 잠시 뒤에 한 번에 동기화
+const TOAST_MS = 3500;
+
+// 업적 지표별 아이콘 (lib/achievements.js)
+const ACHIEVEMENT_ICONS = { streak: Flame, words: BookOpen, perfectQuizzes: Star, videosCompleted: Play };
+
+const api = createApiClient(API_BASE_URL);
+
+// 단어장에 없는 단어는 백엔드 AI 사전으로 조회
+const dictionary = createDictionary({ lookup: (word, sentence, languages) => api.lookup(word, sentence, languages) });
+
+const toLesson = (data) => ({
+  ...data,
+  thumbnail: `https://img.youtube.com/vi/${data.videoId}/mqdefault.jpg`,
+  analyzedAt: new Date().toISOString()
+});
 
 /**
  * --- UI COMPONENTS ---
@@ -76,6 +120,42 @@ const OptionChip = ({ label, selected, onClick }) => (
   </div>
 );
 
+// 라벨은 로케일 사전의 study.subtitleModes / study.subtitleSizes
+const SUBTITLE_MODES = ['original', 'translation', 'both', 'hidden'];
+
+const SUBTITLE_SIZES = {
+  sm: { text: 'text-sm', translation: 'text-xs' },
+  md: { text: 'text-base', translation: 'text-sm' },
+  lg: { text: 'text-xl', translation: 'text-base' }
+};
+
+// 영상 위 자막. blurTranslation이면 번역은 탭해야 보임 (줄이 바뀌면 다시 가려짐 — key로 초기화)
+const SubtitleOverlay = ({ line, mode, size, blurTranslation }) => {
+  const [revealed, setRevealed] = useState(false);
+  if (!line || mode === 'hidden') return null;
+
+  const sizes = SUBTITLE_SIZES[size] || SUBTITLE_SIZES.md;
+  const showText = mode === 'original' || mode === 'both';
+  const showTranslation = (mode === 'translation' || mode === 'both') && line.translation;
+  const isBlurred = blurTranslation && !revealed;
+
+  return (
+    <div className="absolute bottom-12 left-0 w-full px-4 flex justify-center pointer-events-none z-10">
+      <div className="bg-black/70 rounded-lg px-3 py-1.5 text-center max-w-full">
+        {showText && <p className={`${sizes.text} text-white font-medium leading-snug`}>{line.text}</p>}
+        {showTranslation && (
+          <p
+            onClick={() => setRevealed(true)}
+            className={`${sizes.translation} text-yellow-200 leading-snug pointer-events-auto transition-all ${isBlurred ? 'blur-sm cursor-pointer select-none' : ''}`}
+          >
+            {line.translation}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
 /**
  * --- MAIN APPLICATION ---
  */
@@ -89,85 +169,657 @@ export default function TubeLingoApp() {
   const [activeData, setActiveData] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [errorMsg, setErrorMsg] = useState('');
+  const analyzeAbortRef = useRef(null); // 분석 화면을 벗어나면 요청 취소
+  const lessonFillAbortRef = useRef(null); // 학습 화면을 연 뒤 단어장/퀴즈를 채우는 중인 요청
+  const [analysisJobs, setAnalysisJobs] = useState({}); // videoId -> { status, stages } (이번 세션의 분석 진행 상황)
+  const [analyzingVideoId, setAnalyzingVideoId] = useState(null);
   
-  // User Progress State
-  const [userStats, setUserStats] = useState({
-    xp: 1250,
-    streak: 12,
-    todayXp: 40,
-    goalXp: 100,
-    savedWords: []
-  });
+  // User Progress State (localStorage에서 복원)
+  const [storedState] = useState(loadState);
+  const [userStats, setUserStats] = useState(storedState.userStats);
+  const [lessons, setLessons] = useState(storedState.lessons);
+  const [quizResults, setQuizResults] = useState(storedState.quizResults);
+  const [xpEvents, setXpEvents] = useState(storedState.xpEvents);
+  const [watchLog, setWatchLog] = useState(storedState.watchLog);
+  const [mistakes, setMistakes] = useState(storedState.mistakes);
+  const [courses, setCourses] = useState(() => resetInterrupted(storedState.courses));
+  const [settings, setSettings] = useState(storedState.settings);
+  const [deviceId, setDeviceId] = useState(storedState.deviceId);
+  const [ratings, setRatings] = useState(storedState.ratings);
+  const [account, setAccount] = useState(storedState.account);
+  const [syncMeta, setSyncMeta] = useState(storedState.syncMeta);
+  const [achievements, setAchievements] = useState(storedState.achievements);
+  const [league, setLeague] = useState(storedState.league);
+  const [hearts, setHearts] = useState(storedState.hearts);
+  const [toasts, setToasts] = useState([]); // 해금 알림을 기다리는 업적 (하나씩 보여줌)
+  const [todayKey, setTodayKey] = useState(toDayKey);
+  const t = getTranslator(getUiLocale(settings.nativeLanguage));
+
+  // Offline State (오프라인 동안의 기록은 로컬에 먼저 반영하고, 로그인해 있으면 온라인이 될 때 계정 동기화로 올림)
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+  // Account State (로그인하면 학습 기록을 다른 기기와 동기화, lib/accountSync.js 참고)
+  const [accountForm, setAccountForm] = useState({ email: '', password: '' });
+  const [accountStatus, setAccountStatus] = useState({ busy: false, error: '' });
+  const accountSyncingRef = useRef(false);
+  const syncMapsRef = useRef(null); // 변경 시각을 기록하려고 비교하는 직전 항목들
+  // 동기화 응답이 왔을 때 그 사이 바뀐 최신 상태에 합치기 위함
+  const latestRef = useRef(null);
+  latestRef.current = { userStats, lessons, quizResults, syncMeta, account };
 
   // Player State
   const [playing, setPlaying] = useState(false);
   const [currentScriptIdx, setCurrentScriptIdx] = useState(0);
+  const [isLineActive, setIsLineActive] = useState(false); // 재생 위치가 현재 줄 구간 안인지 (밖이면 영상 위 자막을 숨김)
+  const [startSeconds, setStartSeconds] = useState(0); // URL의 t= 값에서 재생 시작
+  const [playbackRate, setPlaybackRate] = useState(1);
+  const [autoScrollPaused, setAutoScrollPaused] = useState(false); // 사용자가 직접 스크롤하면 자동 스크롤 중지
+  const lineRefs = useRef([]);
+
+  // Shadowing State (현재 줄을 N번 반복하고 간격을 둔 뒤 다음 줄로)
+  const [shadowing, setShadowing] = useState(false);
+  const [shadowConfig, setShadowConfig] = useState({ repeats: 3, gap: 2 });
+  const [shadowRepeat, setShadowRepeat] = useState(0);
+  const [isShadowGap, setIsShadowGap] = useState(false);
+  const shadowTimerRef = useRef(null);
+
+  // Speaking State (현재 줄 따라 말하기)
+  const [isRecording, setIsRecording] = useState(false);
+  const [speechResult, setSpeechResult] = useState(null); // { lineIdx, transcript, audioUrl, words, score }
+  const [speechError, setSpeechError] = useState('');
+  const speechSessionRef = useRef(null); // { recording, recognition, lineIdx }
+  const speakingRewardedRef = useRef(new Set()); // XP는 레슨의 줄마다 한 번만
+
+  // Word Lookup State (스크립트 단어 탭)
+  const [lookup, setLookup] = useState(null); // { lineIdx, tokenIdx, word, status, entry, error }
   const playerRef = useRef(null);
+  // 시청 시간은 매 틱마다 렌더링하지 않도록 ref에 모았다가 학습 화면을 벗어나거나 탭이 숨겨질 때 반영
+  const lastPlayedRef = useRef(null);
+  const pendingWatchRef = useRef({});
+  const savedStateRef = useRef(null); // 마지막으로 저장한 상태 (탭을 닫을 때 바로 저장하기 위함)
+
+  // Review State
+  const [reviewQueue, setReviewQueue] = useState([]);
+  const [reviewIdx, setReviewIdx] = useState(0);
+  const [isRevealed, setIsRevealed] = useState(false);
+  const [reviewedCount, setReviewedCount] = useState(0);
+
+  // Course State
+  const [activeCourseId, setActiveCourseId] = useState(null);
+  const courseAnalyzingRef = useRef(false); // 코스 분석은 한 번에 한 영상씩
+  const courseAbortRef = useRef(null);
+
+  // Library State
+  const [libraryQuery, setLibraryQuery] = useState('');
+  const [librarySort, setLibrarySort] = useState('recent');
+
+  // Dashboard State
+  const [reportRange, setReportRange] = useState(7);
+  const wordImportRef = useRef(null);
 
   // Quiz State
-  const [quizConfig, setQuizConfig] = useState({ count: 5, difficulty: 'normal' });
+  const [quizConfig, setQuizConfig] = useState({ count: 5, difficulty: 'normal' }); // difficulty: 'adaptive' | 'easy' | 'normal' | 'hard'
   const [quizSession, setQuizSession] = useState([]);
   const [currentQIdx, setCurrentQIdx] = useState(0);
-  const [selectedOpt, setSelectedOpt] = useState(null);
+  const [response, setResponse] = useState(null); // 문제 유형별 응답 (questionTypes.js 참고)
   const [isAnswered, setIsAnswered] = useState(false);
   const [isCorrect, setIsCorrect] = useState(false);
   const [score, setScore] = useState(0);
+  const [quizMode, setQuizMode] = useState('normal'); // 'normal' | 'retry' (오답 재도전)
+  const [quizLog, setQuizLog] = useState([]); // 이번 세션의 문항별 응답 기록
+  const [adaptivePool, setAdaptivePool] = useState(null); // 적응형 세션이면 남은 문제를 다시 고를 후보 (lib/rating.js)
+  const [quizStartRating, setQuizStartRating] = useState(null); // 결과 화면의 레벨 변화 표시용
+  const [listenPlaying, setListenPlaying] = useState(false);
+  const quizPlayerRef = useRef(null);
+  const dragTileRef = useRef(null);
+
+  // 상태가 바뀔 때마다 저장
+  useEffect(() => {
+    savedStateRef.current = { userStats, lessons, quizResults, xpEvents, watchLog, mistakes, courses, settings, deviceId, ratings, account, syncMeta, achievements, league, hearts };
+    saveState(savedStateRef.current);
+  }, [userStats, lessons, quizResults, xpEvents, watchLog, mistakes, courses, settings, deviceId, ratings, account, syncMeta, achievements, league, hearts]);
+
+  // 탭을 닫거나 새로고침하면 다시 렌더링되지 않을 수 있으므로 모아 둔 시청 시간을 바로 저장
+  useEffect(() => {
+    const handleHide = () => {
+      if (document.visibilityState === 'hidden') persistWatchTime();
+    };
+    window.addEventListener('pagehide', persistWatchTime);
+    document.addEventListener('visibilitychange', handleHide);
+    return () => {
+      window.removeEventListener('pagehide', persistWatchTime);
+      document.removeEventListener('visibilitychange', handleHide);
+    };
+  }, []);
+
+  useEffect(() => {
+    registerServiceWorker();
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  // 동기화 대상 항목이 바뀌면 항목별 변경 시각을 기록 (로그인 전 변경도 기록해 두었다가 로그인 때 올림)
+  useEffect(() => {
+    const maps = toSyncMaps({ userStats, lessons, quizResults });
+    const prev = syncMapsRef.current;
+    syncMapsRef.current = maps;
+    if (prev) setSyncMeta(meta => stampChanges(meta, prev, maps));
+  }, [userStats, lessons, quizResults]);
+
+  // 로그인하거나 다시 온라인이 되면 바로, 기록이 바뀌면 잠시 뒤에 계정 동기화
+  useEffect(() => {
+    if (account && isOnline) runAccountSync();
+  }, [account?.token, isOnline]);
+
+  useEffect(() => {
+    if (!account || !isOnline) return;
+    const timer = setTimeout(runAccountSync, ACCOUNT_SYNC_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [syncMeta.times]);
+
+  useEffect(() => {
+    if (view !== 'study') {
+      flushWatchTime();
+      stopShadowing();
+    }
+  }, [view]);
+
+  useEffect(() => () => clearTimeout(shadowTimerRef.current), []);
+
+  // 다른 줄로 넘어가면 녹음을 멈추고 이전 결과는 지움
+  useEffect(() => {
+    if (speechSessionRef.current) stopSpeaking();
+    if (speechResult && speechResult.lineIdx !== currentScriptIdx) setSpeechResult(null);
+    setSpeechError('');
+  }, [currentScriptIdx]);
+
+  // 현재 줄을 화면 가운데로 자동 스크롤
+  useEffect(() => {
+    if (view !== 'study' || activeTab !== 'study' || autoScrollPaused) return;
+    lineRefs.current[currentScriptIdx]?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [view, activeTab, currentScriptIdx, autoScrollPaused]);
+
+  // 재생 중인 줄까지 레슨 진도 기록
+  useEffect(() => {
+    if (view !== 'study' || !activeData) return;
+    setLessons(prev => updateLessonProgress(prev, activeData.videoId, currentScriptIdx));
+  }, [view, activeData, currentScriptIdx]);
+
+  // 로컬 자정이 지나면 일일 XP와 스트릭을 정산
+  useEffect(() => {
+    setUserStats(prev => rolloverDay(prev));
+    const timer = setTimeout(() => setTodayKey(toDayKey()), msUntilNextDay() + 1000);
+    return () => clearTimeout(timer);
+  }, [todayKey]);
+
+  // 주가 바뀌면 지난주 리그 순위로 승급/강등
+  useEffect(() => {
+    setLeague(prev => settleLeague(prev, xpEvents, deviceId));
+  }, [todayKey]);
+
+  // 기록이 바뀔 때마다 새로 달성한 업적을 해금하고 알림
+  useEffect(() => {
+    const unlocked = findNewUnlocks(achievements, { userStats, lessons, quizResults });
+    if (unlocked.length === 0) return;
+    setAchievements(prev => unlockAchievements(prev, unlocked));
+    setToasts(prev => [...prev, ...unlocked]);
+  }, [userStats, lessons, quizResults]);
+
+  useEffect(() => {
+    if (toasts.length === 0) return;
+    const timer = setTimeout(() => setToasts(prev => prev.slice(1)), TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [toasts[0]?.id]);
 
   // --- API HANDLERS ---
 
+  // API 오류는 종류별 문구로, 서버가 보낸 설명이 있으면 그대로 보여줌
+  // 서버 detail은 한국어라 오류 코드로 화면 언어 문구를 고르고, 사전에 없는 코드일 때만 detail을 보여줌
+  const errorText = (err) => {
+    if (!(err instanceof ApiError)) return err.message;
+    if (err.code && hasMessage(`errors.codes.${err.code}`)) return t(`errors.codes.${err.code}`);
+    return err.detail || t(`errors.${err.kind}`);
+  };
+
   const handleUrlSubmit = async () => {
-    if (!urlInput) return;
+    const parsed = parseYouTubeUrl(urlInput);
+    if (!parsed || parsed.error) return;
+
+    // 이미 같은 언어 쌍으로 분석한 영상은 라이브러리에서 바로 열기
+    const languages = pickLanguages(settings);
+    const existing = lessons[parsed.videoId];
+    if (existing && existing.nativeLanguage === languages.nativeLanguage && existing.targetLanguage === languages.targetLanguage) {
+      openLesson(parsed.videoId, parsed.start);
+      return;
+    }
+    if (!isOnline) {
+      setErrorMsg(t('offline.analyzeUnavailable'));
+      return;
+    }
     
     setIsLoading(true);
     setErrorMsg('');
+    setAnalyzingVideoId(parsed.videoId);
+    setAnalysisJobs(prev => ({ ...prev, [parsed.videoId]: null }));
     setView('analyzing');
+    const controller = new AbortController();
+    analyzeAbortRef.current = controller;
+    let opened = false;
+
+    // 스크립트가 준비되면 바로 학습 화면을 열고, 단어장/퀴즈는 도착하는 대로 채움
+    const handleJobUpdate = (job) => {
+      const { videoId, script, vocabulary, quizBank } = job.result;
+      setAnalysisJobs(prev => ({ ...prev, [videoId]: { status: job.status, stages: job.stages } }));
+      if (!script) return;
+      const filled = { vocabulary: vocabulary || [], quizBank: quizBank || [] };
+
+      if (!opened) {
+        opened = true;
+        // 이제부터는 화면을 옮겨도 취소하지 않음
+        analyzeAbortRef.current = null;
+        lessonFillAbortRef.current = controller;
+        setIsLoading(false);
+        const lesson = toLesson({ ...job.result, ...languages, ...filled });
+        setActiveData(lesson);
+        setLessons(prev => ({ ...prev, [videoId]: lesson }));
+        setStartSeconds(parsed.start);
+        setCurrentScriptIdx(0);
+        setView('study');
+        setPlaying(true);
+        return;
+      }
+      setLessons(prev => (prev[videoId] ? { ...prev, [videoId]: { ...prev[videoId], ...filled } } : prev));
+      setActiveData(prev => (prev?.videoId === videoId ? { ...prev, ...filled } : prev));
+    };
 
     try {
-      const response = await fetch(`${API_BASE_URL}/api/analyze`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ url: urlInput }),
-      });
+      // 응답 검증/정규화는 API 클라이언트에서 처리
+      await api.watchAnalysis(parsed.url, languages, { signal: controller.signal, onUpdate: handleJobUpdate });
+    } catch (err) {
+      // 사용자가 취소한 경우는 이미 다른 화면으로 이동했으므로 그대로 둠
+      if (isAbortError(err)) return;
+      console.error(err);
+      if (opened) {
+        // 스크립트는 이미 받았으므로 학습은 계속할 수 있음
+        setAnalysisJobs(prev => ({ ...prev, [parsed.videoId]: { ...prev[parsed.videoId], status: 'failed' } }));
+        return;
+      }
+      setErrorMsg(errorText(err));
+      setView('home'); // 에러 발생 시 홈으로 복귀
+    } finally {
+      if (analyzeAbortRef.current === controller) analyzeAbortRef.current = null;
+      if (lessonFillAbortRef.current === controller) lessonFillAbortRef.current = null;
+      // 학습 화면을 연 뒤에는 다른 영상 분석이 시작됐을 수 있으므로 건드리지 않음
+      if (!opened) setIsLoading(false);
+    }
+  };
+
+  const cancelAnalyze = () => {
+    analyzeAbortRef.current?.abort();
+    setView('home');
+  };
+
+  // 분석 화면을 벗어나거나 앱이 닫히면 진행 중인 분석 요청을 취소
+  useEffect(() => {
+    if (view !== 'analyzing') analyzeAbortRef.current?.abort();
+  }, [view]);
+
+  // --- ACCOUNT ---
+
+  const submitAccount = async (mode) => {
+    setAccountStatus({ busy: true, error: '' });
+    try {
+      const { token, email } = await api[mode](accountForm.email.trim(), accountForm.password);
+      setAccountForm({ email: '', password: '' });
+      // 다른 계정일 수 있으므로 서버 커서를 처음부터 다시 받고, 로컬 기록은 모두 올림
+      setSyncMeta(meta => ({ ...meta, cursors: createSyncMeta().cursors, pushedAt: 0, lastSyncedAt: null }));
+      setAccount({ token, email });
+      setAccountStatus({ busy: false, error: '' });
+    } catch (err) {
+      setAccountStatus({ busy: false, error: errorText(err) });
+    }
+  };
 
-      if (!response.ok) {
-        const errData = await response.json();
-        throw new Error(errData.detail || '분석에 실패했습니다.');
+  const logoutAccount = () => {
+    if (account) api.logout(account.token).catch(err => console.error('Logout Error:', err));
+    setAccount(null);
+    setAccountStatus({ busy: false, error: '' });
+  };
+
+  // 바뀐 항목을 올리고 다른 기기의 변경을 받아 합침. 로컬 기록은 동기화 중에도 계속 바뀔 수 있음
+  const runAccountSync = async () => {
+    const { account: current } = latestRef.current;
+    if (!current || accountSyncingRef.current) return;
+    accountSyncingRef.current = true;
+    setAccountStatus({ busy: true, error: '' });
+    const startedAt = Date.now();
+    try {
+      const before = latestRef.current;
+      const changes = collectChanges(toSyncMaps(before), before.syncMeta);
+      const { remote, cursors } = await exchangeChanges(api, current.token, changes, before.syncMeta.cursors);
+
+      const latest = latestRef.current;
+      const merged = mergeRemote(toSyncMaps(latest), latest.syncMeta, remote);
+      const next = fromSyncMaps(latest, merged.maps);
+      // 서버에서 받은 값이 새 변경으로 다시 기록되지 않도록 비교 기준을 먼저 바꿔 둠
+      syncMapsRef.current = toSyncMaps(next);
+      setUserStats(next.userStats);
+      setLessons(next.lessons);
+      setQuizResults(next.quizResults);
+      // 보내기 시작한 뒤에 바뀐 항목은 다음 동기화 때 보냄
+      setSyncMeta({ ...merged.meta, cursors, pushedAt: startedAt - 1, lastSyncedAt: new Date().toISOString() });
+      setAccountStatus({ busy: false, error: '' });
+    } catch (err) {
+      console.error('Account Sync Error:', err);
+      if (err instanceof ApiError && err.status === 401) {
+        setAccount(null);
+        setAccountStatus({ busy: false, error: t('account.sessionExpired') });
+      } else {
+        setAccountStatus({ busy: false, error: errorText(err) });
       }
+    } finally {
+      accountSyncingRef.current = false;
+    }
+  };
+
+  const trackWatchTime = (playedSeconds) => {
+    const delta = getWatchDelta(lastPlayedRef.current, playedSeconds);
+    lastPlayedRef.current = playedSeconds;
+    if (delta > 0) {
+      const day = toDayKey();
+      pendingWatchRef.current[day] = (pendingWatchRef.current[day] || 0) + delta;
+    }
+  };
+
+  const flushWatchTime = () => {
+    lastPlayedRef.current = null;
+    const pending = pendingWatchRef.current;
+    if (Object.keys(pending).length === 0) return;
+    pendingWatchRef.current = {};
+    setWatchLog(prev => mergeWatchLog(prev, pending));
+  };
+
+  const persistWatchTime = () => {
+    const pending = pendingWatchRef.current;
+    if (Object.keys(pending).length === 0) return;
+    flushWatchTime();
+    savedStateRef.current = { ...savedStateRef.current, watchLog: mergeWatchLog(savedStateRef.current.watchLog, pending) };
+    saveState(savedStateRef.current);
+  };
 
-      const data = await response.json();
-      
-      // 데이터 정규화 및 상태 저장
-      setActiveData({
-        ...data,
-        thumbnail: `https://img.youtube.com/vi/${data.videoId}/mqdefault.jpg`
+  // --- COURSE (재생목록 일괄 가져오기) ---
+
+  const handleCourseImport = async () => {
+    const collection = parseCollectionUrl(urlInput);
+    if (!collection) return;
+    if (!isOnline) {
+      setErrorMsg(t('offline.analyzeUnavailable'));
+      return;
+    }
+
+    setIsLoading(true);
+    setErrorMsg('');
+    try {
+      const data = await api.playlist(collection.url);
+      const course = createCourse(data, collection.url, lessons);
+      // 이미 있는 코스를 다시 가져오면 진행 상태는 유지하고 새 영상만 추가
+      setCourses(prev => {
+        const existing = prev[course.id];
+        if (!existing) return { ...prev, [course.id]: course };
+        const known = new Set(existing.items.map(i => i.videoId));
+        return { ...prev, [course.id]: { ...existing, items: [...existing.items, ...course.items.filter(i => !known.has(i.videoId))] } };
       });
-      
-      setView('study');
-      setPlaying(true);
+      setActiveCourseId(course.id);
+      setUrlInput('');
+      setView('course');
     } catch (err) {
       console.error(err);
-      setErrorMsg(err.message);
-      setView('home'); // 에러 발생 시 홈으로 복귀
+      setErrorMsg(errorText(err));
     } finally {
       setIsLoading(false);
     }
   };
 
+  const retryCourseItem = (courseId, videoId) => {
+    setCourses(prev => updateCourseItem(prev, courseId, videoId, { status: 'queued', error: null }));
+  };
+
+  const removeCourse = (courseId) => {
+    if (!window.confirm(t('course.confirmRemove'))) return;
+    setCourses(prev => {
+      const { [courseId]: removed, ...rest } = prev;
+      return rest;
+    });
+    setView('library');
+  };
+
+  // 대기 중인 코스 영상을 순서대로 하나씩 분석 (긴 영상은 오래 걸리므로 분석 작업을 만들고 끝날 때까지 폴링)
+  useEffect(() => {
+    if (courseAnalyzingRef.current) return;
+    const next = getNextQueued(courses);
+    if (!next) return;
+
+    const { courseId, videoId } = next;
+    if (lessons[videoId]) {
+      setCourses(prev => updateCourseItem(prev, courseId, videoId, { status: 'done' }));
+      return;
+    }
+
+    courseAnalyzingRef.current = true;
+    setCourses(prev => updateCourseItem(prev, courseId, videoId, { status: 'analyzing', error: null }));
+    const controller = new AbortController();
+    courseAbortRef.current = controller;
+    const languages = pickLanguages(settings);
+    api.watchAnalysis(toWatchUrl(videoId), languages, { signal: controller.signal })
+      .then(data => {
+        const lesson = toLesson({ ...data, ...languages });
+        courseAnalyzingRef.current = false;
+        setLessons(prev => ({ ...prev, [lesson.videoId]: lesson }));
+        setCourses(prev => updateCourseItem(prev, courseId, videoId, { status: 'done' }));
+      })
+      .catch(err => {
+        courseAnalyzingRef.current = false;
+        if (isAbortError(err)) return;
+        console.error(err);
+        setCourses(prev => updateCourseItem(prev, courseId, videoId, { status: 'failed', error: errorText(err) }));
+      });
+  }, [courses]);
+
+  useEffect(() => () => {
+    analyzeAbortRef.current?.abort();
+    lessonFillAbortRef.current?.abort();
+    courseAbortRef.current?.abort();
+  }, []);
+
+  // 라이브러리에서 저장된 레슨을 바로 열기 (백엔드 호출 없음)
+  const openLesson = (videoId, start = 0) => {
+    const lesson = lessons[videoId];
+    if (!lesson) return;
+    const openedAt = new Date().toISOString();
+    setLessons(prev => ({ ...prev, [videoId]: { ...prev[videoId], lastOpenedAt: openedAt } }));
+    setActiveData(lesson);
+    setStartSeconds(start);
+    setCurrentScriptIdx(0);
+    setAutoScrollPaused(false);
+    setActiveTab('study');
+    setView('study');
+    setPlaying(true);
+  };
+
+  const removeLesson = (videoId) => {
+    if (!window.confirm(t('library.confirmRemove'))) return;
+    setLessons(prev => {
+      const { [videoId]: removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
   const handleSeek = (seconds, index) => {
     if (playerRef.current) {
+      setAutoScrollPaused(false);
+      clearTimeout(shadowTimerRef.current);
+      setIsShadowGap(false);
+      setShadowRepeat(0);
       playerRef.current.seekTo(seconds, 'seconds');
       setPlaying(true);
       setCurrentScriptIdx(index);
+      setIsLineActive(true);
     }
   };
 
-  const saveWord = (wordObj) => {
+  // --- WORD LOOKUP ---
+
+  const lookupWord = async (lineIdx, tokenIdx, word) => {
+    if (lookup?.lineIdx === lineIdx && lookup?.tokenIdx === tokenIdx) {
+      setLookup(null);
+      return;
+    }
+    const target = { lineIdx, tokenIdx, word };
+    setLookup({ ...target, status: 'loading' });
+    try {
+      const entry = await dictionary.lookup(word, {
+        vocabulary: activeData.vocabulary,
+        sentence: activeData.script[lineIdx].text,
+        languages: pickLanguages(activeData)
+      });
+      // 조회하는 동안 다른 단어를 눌렀으면 결과를 버림
+      setLookup(prev => (prev?.lineIdx === lineIdx && prev?.tokenIdx === tokenIdx
+        ? { ...target, status: entry ? 'done' : 'error', entry, error: entry ? '' : t('lookup.notFound') }
+        : prev));
+    } catch (err) {
+      console.error(err);
+      setLookup(prev => (prev?.lineIdx === lineIdx && prev?.tokenIdx === tokenIdx
+        ? { ...target, status: 'error', error: errorText(err) }
+        : prev));
+    }
+  };
+
+  // --- SPEAKING PRACTICE ---
+
+  const startSpeaking = async (lineIdx) => {
+    setSpeechError('');
+    setSpeechResult(null);
+    setPlaying(false);
+    let recording = null;
+    try {
+      recording = await startRecording();
+      const recognizer = getRecognizer();
+      const recognition = recognizer.isSupported() ? recognizer.start({ lang: getLanguage(activeData.targetLanguage).speech }) : null;
+      speechSessionRef.current = { recording, recognition, lineIdx };
+      setIsRecording(true);
+    } catch (err) {
+      console.error(err);
+      // 녹음은 시작됐는데 음성 인식이 실패했으면 마이크를 놓아줌
+      if (recording) recording.stop();
+      setSpeechError(t('speaking.micError'));
+    }
+  };
+
+  const stopSpeaking = async () => {
+    const session = speechSessionRef.current;
+    if (!session) return;
+    speechSessionRef.current = null;
+    setIsRecording(false);
+
+    try {
+      const [blob, transcript] = await Promise.all([
+        session.recording.stop(),
+        session.recognition ? session.recognition.stop() : Promise.resolve(null)
+      ]);
+      const line = activeData.script[session.lineIdx];
+      const result = {
+        lineIdx: session.lineIdx,
+        transcript,
+        audioUrl: URL.createObjectURL(blob),
+        ...(transcript === null ? { words: null, score: null } : diffWords(line.text, transcript))
+      };
+      setSpeechResult(prev => {
+        if (prev?.audioUrl) URL.revokeObjectURL(prev.audioUrl);
+        return result;
+      });
+
+      const rewardKey = `${activeData.videoId}:${session.lineIdx}`;
+      if (result.score >= PASS_SCORE && !speakingRewardedRef.current.has(rewardKey)) {
+        speakingRewardedRef.current.add(rewardKey);
+        awardXp(SPEAKING_XP, 'speaking');
+      }
+    } catch (err) {
+      console.error(err);
+      setSpeechError(t('speaking.recognitionError'));
+    }
+  };
+
+  // --- SHADOWING ---
+
+  const stopShadowing = () => {
+    clearTimeout(shadowTimerRef.current);
+    shadowTimerRef.current = null;
+    setShadowing(false);
+    setIsShadowGap(false);
+    setShadowRepeat(0);
+  };
+
+  const toggleShadowing = () => {
+    if (shadowing) {
+      stopShadowing();
+      return;
+    }
+    if (!activeData?.script?.length) return;
+    setShadowing(true);
+    setShadowRepeat(0);
+    handleSeek(activeData.script[currentScriptIdx].time, currentScriptIdx);
+  };
+
+  // 쉐도잉 중 현재 줄 구간이 끝나면 멈추고, 따라 말할 시간(gap) 뒤에 반복 또는 다음 줄로
+  const handleShadowProgress = (playedSeconds) => {
+    if (isShadowGap || shadowTimerRef.current) return;
+    const script = activeData.script;
+    if (playedSeconds < getLineBounds(script, currentScriptIdx).end) return;
+
+    const step = nextShadowStep({
+      lineIdx: currentScriptIdx,
+      repeatCount: shadowRepeat + 1,
+      repeats: shadowConfig.repeats,
+      lineCount: script.length
+    });
+    setPlaying(false);
+    setIsShadowGap(true);
+    shadowTimerRef.current = setTimeout(() => {
+      shadowTimerRef.current = null;
+      setIsShadowGap(false);
+      if (step.action === 'finish') {
+        stopShadowing();
+        return;
+      }
+      setShadowRepeat(step.repeatCount);
+      setCurrentScriptIdx(step.lineIdx);
+      playerRef.current?.seekTo(getLineBounds(script, step.lineIdx).start, 'seconds');
+      setPlaying(true);
+    }, shadowConfig.gap * 1000);
+  };
+
+  // sourceLine: 단어를 탭한 스크립트 줄. 없으면 스크립트에서 예문을 찾음
+  const saveWord = (wordObj, sourceLine) => {
     if (!userStats.savedWords.find(w => w.word === wordObj.word)) {
       setUserStats(prev => ({
         ...prev,
-        savedWords: [...prev.savedWords, { ...wordObj, date: new Date().toLocaleDateString() }]
+        savedWords: [...prev.savedWords, {
+          word: wordObj.word,
+          meaning: wordObj.meaning,
+          type: wordObj.type,
+          example: sourceLine
+            ? { text: sourceLine.text, translation: sourceLine.translation, time: sourceLine.time }
+            : findExample(wordObj.word, activeData?.script, getLanguage(activeData?.targetLanguage).wordBoundaries !== false),
+          videoId: activeData?.videoId,
+          date: new Date().toLocaleDateString(),
+          srs: createSrsState()
+        }]
       }));
     }
   };
@@ -178,62 +830,236 @@ export default function TubeLingoApp() {
   };
 
   const generateQuiz = () => {
-    // 백엔드에서 받아온 quizBank를 활용해 퀴즈 세션 생성
-    if (!activeData?.quizBank || activeData.quizBank.length === 0) {
-      alert("생성된 퀴즈 데이터가 없습니다.");
+    // 백엔드 quizBank에 단어장/스크립트로 만든 문제를 더해 중복 없이 세션 구성
+    const generated = generateQuestions({
+      vocabulary: activeData?.vocabulary,
+      script: activeData?.script,
+      savedWords: userStats.savedWords,
+      targetLanguage: activeData?.targetLanguage,
+      t
+    });
+    // 적응형은 학습자 레이팅에 맞춰 고르고, 푸는 동안 남은 문제를 다시 고름
+    const adaptive = quizConfig.difficulty === 'adaptive'
+      ? planAdaptiveSession({ quizBank: activeData?.quizBank, generated, count: quizConfig.count }, ratings)
+      : null;
+    const sessionQuestions = adaptive ? adaptive.session : buildQuizSession({
+      quizBank: activeData?.quizBank,
+      generated,
+      difficulty: quizConfig.difficulty,
+      count: quizConfig.count
+    });
+
+    if (sessionQuestions.length === 0) {
+      alert(t('quiz.empty'));
       return;
     }
 
-    // 난이도 필터링 (간이 로직: 실제로는 더 복잡할 수 있음)
-    // 데이터가 부족하면 그냥 모든 문제를 섞어서 사용
-    let questions = activeData.quizBank.filter(q => q.difficulty === quizConfig.difficulty);
-    if (questions.length === 0) questions = activeData.quizBank;
-    
-    // 부족하면 랜덤 복제 (데모용)
-    while (questions.length < quizConfig.count) {
-       questions.push(questions[Math.floor(Math.random() * questions.length)]);
-    }
-    
-    // 셔플 및 개수 자르기
-    const sessionQuestions = questions
-      .sort(() => Math.random() - 0.5)
-      .slice(0, quizConfig.count)
-      .map((q, i) => ({ ...q, id: i })); // 고유 ID 부여
+    startQuizSession(sessionQuestions, 'normal', adaptive?.pool);
+  };
 
-    setQuizSession(sessionQuestions);
+  const startQuizSession = (questions, mode, pool = null) => {
+    if (settings.heartsMode && refillHearts(hearts).count === 0) {
+      alert(t('hearts.empty', { minutes: Math.ceil(msUntilNextHeart(hearts) / 60000) }));
+      return;
+    }
+    setQuizSession(questions);
+    setQuizMode(mode);
+    setAdaptivePool(pool);
+    setQuizStartRating(ratings.learner.rating);
+    setQuizLog([]);
     setCurrentQIdx(0);
     setScore(0);
-    setSelectedOpt(null);
+    setResponse(getQuestionType(questions[0]).emptyResponse);
     setIsAnswered(false);
     setView('quiz');
   };
 
+  // 오답 노트의 문제만으로 재도전. 틀린 문제는 맞힐 때까지 세션 끝에 다시 나옴
+  const startMistakeRetry = () => {
+    if (mistakes.length === 0) return;
+    setPlaying(false);
+    startQuizSession(buildRetrySession(mistakes), 'retry');
+  };
+
   const checkAnswer = () => {
     const currentQ = quizSession[currentQIdx];
-    const correct = currentQ.answer === selectedOpt;
+    const correct = gradeResponse(currentQ, response);
     setIsCorrect(correct);
     setIsAnswered(true);
-    if (correct) setScore(s => s + 1);
+    setListenPlaying(false);
+    setQuizLog(prev => [...prev, { question: currentQ, response, correct }]);
+    setRatings(prev => recordQuizAnswer(prev, currentQ, correct));
+    if (correct) {
+      setScore(s => s + 1);
+      if (currentQ.mistakeKey) setMistakes(prev => resolveMistake(prev, currentQ.mistakeKey));
+    } else {
+      if (settings.heartsMode) setHearts(prev => loseHeart(prev));
+      setMistakes(prev => recordMistake(prev, {
+        question: currentQ,
+        response,
+        videoId: currentQ.videoId ?? activeData?.videoId,
+        videoTitle: activeData?.title
+      }));
+      if (quizMode === 'retry') {
+        setQuizSession(prev => [...prev, { ...currentQ, id: prev.length }]);
+      }
+    }
   };
 
   const nextQuestion = () => {
-    if (currentQIdx < quizSession.length - 1) {
+    setListenPlaying(false);
+    // 하트가 다 떨어지면 지금까지 푼 문제로 끝냄
+    if (isOutOfHearts()) {
+      setQuizSession(prev => prev.slice(0, currentQIdx + 1));
+      finishQuiz();
+    } else if (currentQIdx < quizSession.length - 1) {
+      // 방금 응답까지 반영된 레이팅으로 남은 문제를 다시 고름
+      const session = adaptivePool
+        ? replanAdaptiveSession(quizSession, currentQIdx, adaptivePool, ratings, quizLog.map(l => l.correct))
+        : quizSession;
+      if (adaptivePool) setQuizSession(session);
       setCurrentQIdx(p => p + 1);
-      setSelectedOpt(null);
+      setResponse(getQuestionType(session[currentQIdx + 1]).emptyResponse);
       setIsAnswered(false);
     } else {
       finishQuiz();
     }
   };
 
+  // 모든 XP 지급은 이 함수를 거쳐 기록과 스트릭에 반영됨
+  const awardXp = (amount, source) => {
+    const now = new Date();
+    const event = createXpEvent(amount, source, now);
+    setXpEvents(prev => [...prev, event]);
+    setUserStats(prev => applyXp(prev, amount, now));
+  };
+
+  const isOutOfHearts = () => settings.heartsMode && refillHearts(hearts).count === 0;
+
   const finishQuiz = () => {
     const gainedXp = score * 10 + 20; 
+    awardXp(gainedXp, 'quiz');
+    const result = {
+      id: createId(),
+      videoId: quizMode === 'retry' ? null : activeData?.videoId,
+      title: quizMode === 'retry' ? t('quiz.retryTitle') : activeData?.title,
+      mode: quizMode,
+      difficulty: quizConfig.difficulty,
+      score,
+      total: currentQIdx + 1,
+      xp: gainedXp,
+      date: new Date().toISOString()
+    };
+    setQuizResults(prev => [...prev, result]);
+    setView('result');
+  };
+
+  // --- REVIEW (SRS) ---
+
+  const startReview = () => {
+    setReviewQueue(getDueWords(userStats.savedWords));
+    setReviewIdx(0);
+    setIsRevealed(false);
+    setReviewedCount(0);
+    setView('review');
+  };
+
+  const gradeReview = (quality) => {
+    const card = reviewQueue[reviewIdx];
+    const srs = gradeCard(card.srs || createSrsState(), quality);
+    setRatings(prev => recordReview(prev, card.word, quality));
     setUserStats(prev => ({
       ...prev,
-      xp: prev.xp + gainedXp,
-      todayXp: prev.todayXp + gainedXp
+      savedWords: prev.savedWords.map(w => (w.word === card.word ? { ...w, srs } : w))
     }));
-    setView('result');
+
+    // 틀린 카드는 세션 끝에 다시 출제
+    if (quality < PASSING_QUALITY) {
+      setReviewQueue(prev => [...prev, { ...card, srs }]);
+    }
+    const reviewed = reviewedCount + 1;
+    setReviewedCount(reviewed);
+    setIsRevealed(false);
+    setReviewIdx(i => i + 1);
+
+    const isLast = reviewIdx === reviewQueue.length - 1 && quality >= PASSING_QUALITY;
+    if (isLast) awardXp(reviewed * REVIEW_XP_PER_CARD, 'review');
+  };
+
+  // --- SETTINGS ---
+
+  // 모국어와 배우는 언어가 같아지면 서로 맞바꿈
+  const changeLanguage = (field, code) => {
+    setSettings(prev => {
+      const other = field === 'nativeLanguage' ? 'targetLanguage' : 'nativeLanguage';
+      return { ...prev, [field]: code, ...(prev[other] === code ? { [other]: prev[field] } : {}) };
+    });
+  };
+
+  // --- DATA MANAGEMENT ---
+
+  const handleExportData = () => {
+    exportState({ userStats, lessons, quizResults, xpEvents, watchLog, mistakes, courses, settings, deviceId, ratings, achievements, league, hearts });
+  };
+
+  const exportWords = (format) => {
+    const date = new Date().toISOString().slice(0, 10);
+    const words = userStats.savedWords;
+    if (format === 'csv') downloadFile(`\uFEFF${wordsToCsv(words)}`, `tubelingo-words-${date}.csv`, 'text/csv;charset=utf-8');
+    if (format === 'tsv') downloadFile(wordsToTsv(words), `tubelingo-words-${date}.tsv`, 'text/tab-separated-values;charset=utf-8');
+    if (format === 'anki') downloadFile(wordsToAnki(words), `tubelingo-anki-${date}.txt`, 'text/plain;charset=utf-8');
+  };
+
+  // 내보낸 CSV/TSV를 단어장에 합치기 (이미 있는 단어는 건너뜀)
+  const importWords = async (file) => {
+    if (!file) return;
+    try {
+      const imported = parseWordFile(await file.text());
+      const known = new Set(userStats.savedWords.map(w => w.word));
+      const fresh = imported.filter(w => {
+        if (known.has(w.word)) return false;
+        known.add(w.word);
+        return true;
+      });
+      setUserStats(prev => ({
+        ...prev,
+        savedWords: [...prev.savedWords, ...fresh.map(w => ({ ...w, srs: createSrsState() }))]
+      }));
+      const skipped = imported.length - fresh.length;
+      alert(t('dashboard.importedWords', { count: fresh.length }) + (skipped > 0 ? t('dashboard.skippedDuplicates', { count: skipped }) : ''));
+    } catch (err) {
+      console.error(err);
+      alert(t('dashboard.importFailed'));
+    }
+  };
+
+  const exportSubtitles = (format) => {
+    const name = (activeData.title || activeData.videoId).replace(/[\\/:*?"<>|]/g, '_');
+    const mode = settings.subtitleMode === 'hidden' ? 'both' : settings.subtitleMode;
+    if (format === 'srt') downloadFile(scriptToSrt(activeData.script, mode), `${name}.srt`, 'application/x-subrip;charset=utf-8');
+    if (format === 'vtt') downloadFile(scriptToVtt(activeData.script, mode), `${name}.vtt`, 'text/vtt;charset=utf-8');
+  };
+
+  const handleResetData = () => {
+    if (!window.confirm(t('dashboard.confirmReset'))) return;
+    // 초기화한 기록이 동기화로 되살아나지 않도록 로그아웃
+    if (account) logoutAccount();
+    const fresh = resetState();
+    setUserStats(rolloverDay(fresh.userStats));
+    setLessons(fresh.lessons);
+    setQuizResults(fresh.quizResults);
+    setXpEvents(fresh.xpEvents);
+    setWatchLog(fresh.watchLog);
+    setMistakes(fresh.mistakes);
+    setCourses(fresh.courses);
+    setSettings(fresh.settings);
+    setDeviceId(fresh.deviceId);
+    setRatings(fresh.ratings);
+    setAccount(fresh.account);
+    setSyncMeta(fresh.syncMeta);
+    setAchievements(fresh.achievements);
+    setLeague(fresh.league);
+    setHearts(fresh.hearts);
   };
 
   // --- VIEWS ---
@@ -245,9 +1071,19 @@ export default function TubeLingoApp() {
         <span className="font-extrabold text-green-500 text-lg tracking-tight hidden sm:block">TubeLingo</span>
       </div>
       <div className="flex gap-4 text-sm font-bold">
-        <div className="flex items-center gap-1 text-orange-500">
+        <div className={`flex items-center gap-1 ${isGoalMet(userStats) ? 'text-orange-500' : 'text-slate-300'}`}>
           <Flame size={18} fill="currentColor" /> {userStats.streak}
         </div>
+        {userStats.streakFreezes > 0 && (
+          <div className="flex items-center gap-1 text-sky-400">
+            <Snowflake size={18} /> {userStats.streakFreezes}
+          </div>
+        )}
+        {settings.heartsMode && (
+          <div className="flex items-center gap-1 text-red-500">
+            <Heart size={18} fill="currentColor" /> {refillHearts(hearts).count}
+          </div>
+        )}
         <div className="flex items-center gap-1 text-yellow-500">
           <Trophy size={18} fill="currentColor" /> {userStats.xp}
         </div>
@@ -255,65 +1091,214 @@ export default function TubeLingoApp() {
     </header>
   );
 
-  const HomeView = () => (
-    <div className="p-6 max-w-lg mx-auto flex flex-col items-center justify-center min-h-[80vh]">
-      <div className="mb-8 relative">
-        <div className="absolute inset-0 bg-green-200 rounded-full blur-xl opacity-50"></div>
-        <img src="https://api.dicebear.com/7.x/avataaars/svg?seed=Felix" alt="Mascot" className="w-40 h-40 relative z-10" />
-      </div>
-      <h1 className="text-3xl font-extrabold text-slate-700 text-center mb-4">
-        유튜브로 배우는<br/>가장 재미있는 방법
-      </h1>
-      
-      {errorMsg && (
-        <div className="w-full bg-red-50 border border-red-200 text-red-600 p-3 rounded-xl mb-4 flex items-center gap-2 text-sm font-bold">
-          <AlertCircle size={18} />
-          {errorMsg}
+  const HomeView = () => {
+    const parsedUrl = parseYouTubeUrl(urlInput);
+    const collection = parseCollectionUrl(urlInput);
+    // 영상이 없는 재생목록/채널 링크는 오류 대신 코스 가져오기로 안내
+    const urlError = collection && !parsedUrl?.videoId ? null : parsedUrl?.error;
+
+    return (
+      <div className="p-6 max-w-lg mx-auto flex flex-col items-center justify-center min-h-[80vh]">
+        <div className="mb-8 relative">
+          <div className="absolute inset-0 bg-green-200 rounded-full blur-xl opacity-50"></div>
+          <img src="https://api.dicebear.com/7.x/avataaars/svg?seed=Felix" alt="Mascot" className="w-40 h-40 relative z-10" />
         </div>
-      )}
+        <h1 className="text-3xl font-extrabold text-slate-700 text-center mb-4">
+          {t('home.titleLine1')}<br/>{t('home.titleLine2')}
+        </h1>
+        
+        {errorMsg && (
+          <div className="w-full bg-red-50 border border-red-200 text-red-600 p-3 rounded-xl mb-4 flex items-center gap-2 text-sm font-bold">
+            <AlertCircle size={18} />
+            {errorMsg}
+          </div>
+        )}
 
-      <p className="text-slate-400 text-center mb-8">
-        좋아하는 영상 링크만 넣으세요.<br/>AI 튜터가 학습 자료와 퀴즈를 만들어줍니다!
-      </p>
-      
-      <div className="w-full bg-white p-2 rounded-2xl border-2 border-slate-200 shadow-sm flex mb-4">
-        <input 
-          type="text"
-          placeholder="https://youtu.be/..."
-          className="flex-1 p-3 outline-none text-slate-700 font-medium"
-          value={urlInput}
-          onChange={(e) => setUrlInput(e.target.value)}
-          disabled={isLoading}
-        />
-      </div>
-      <Button size="lg" onClick={handleUrlSubmit} disabled={!urlInput || isLoading} className="w-full">
-        {isLoading ? <Loader2 className="animate-spin" /> : '학습 시작하기'}
-      </Button>
+        <p className="text-slate-400 text-center mb-8">
+          {t('home.descLine1')}<br/>{t('home.descLine2')}
+        </p>
 
-      <div className="mt-8 text-center text-xs text-slate-300">
-        Powered by OpenAI & YouTube API
+        <div className="w-full grid grid-cols-2 gap-3 mb-4">
+          {['targetLanguage', 'nativeLanguage'].map(field => (
+            <label key={field} className="flex flex-col gap-1 text-xs font-bold text-slate-400">
+              {t(`home.${field}`)}
+              <select
+                value={settings[field]}
+                onChange={(e) => changeLanguage(field, e.target.value)}
+                disabled={isLoading}
+                className="p-3 rounded-xl border-2 border-slate-200 bg-white text-sm font-bold text-slate-600 outline-none"
+              >
+                {LANGUAGES.map(({ code }) => <option key={code} value={code}>{t(`languages.${code}`)}</option>)}
+              </select>
+            </label>
+          ))}
+        </div>
+        
+        <div className={`w-full bg-white p-2 rounded-2xl border-2 shadow-sm flex ${urlError ? 'border-red-300 mb-2' : 'border-slate-200 mb-4'}`}>
+          <input 
+            type="text"
+            placeholder="https://youtu.be/..."
+            className="flex-1 p-3 outline-none text-slate-700 font-medium"
+            value={urlInput}
+            onChange={(e) => setUrlInput(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter') (parsedUrl?.videoId ? handleUrlSubmit : handleCourseImport)(); }}
+            disabled={isLoading}
+          />
+        </div>
+        {urlError && (
+          <p className="w-full text-sm font-bold text-red-500 mb-4 px-2">{t(`url.${urlError}`)}</p>
+        )}
+        {parsedUrl?.start > 0 && (
+          <p className="w-full text-sm font-bold text-slate-400 mb-4 px-2">
+            {t('home.startAt', { m: Math.floor(parsedUrl.start / 60), s: parsedUrl.start % 60 })}
+          </p>
+        )}
+        {parsedUrl?.videoId || !collection ? (
+          <Button size="lg" onClick={handleUrlSubmit} disabled={!parsedUrl?.videoId || isLoading} className="w-full">
+            {isLoading ? <Loader2 className="animate-spin" /> : t('home.start')}
+          </Button>
+        ) : null}
+        {collection && (
+          <Button
+            size={parsedUrl?.videoId ? 'md' : 'lg'}
+            variant={parsedUrl?.videoId ? 'secondary' : 'primary'}
+            icon={ListVideo}
+            onClick={handleCourseImport}
+            disabled={isLoading}
+            className="w-full mt-3"
+          >
+            {isLoading && !parsedUrl?.videoId
+              ? <Loader2 className="animate-spin" />
+              : t(collection.kind === 'playlist' ? 'home.importPlaylist' : 'home.importChannel')}
+          </Button>
+        )}
+
+        <div className="mt-8 text-center text-xs text-slate-300">
+          Powered by OpenAI & YouTube API
+        </div>
       </div>
-    </div>
-  );
+    );
+  };
 
-  const AnalyzingView = () => (
-    <div className="flex flex-col items-center justify-center h-[80vh]">
-      <Loader2 size={64} className="text-green-500 animate-spin mb-6" />
-      <h2 className="text-2xl font-bold text-slate-700 mb-2">AI가 영상을 분석하고 있어요</h2>
-      <p className="text-slate-400 mb-8">잠시만 기다려주세요 (약 10~20초 소요)</p>
-      
-      <div className="w-64 space-y-2">
-        <div className="flex justify-between text-xs font-bold text-slate-400">
-          <span>스크립트 추출 중...</span>
-          <span className="text-green-500">Processing</span>
+  const renderStageIcon = (status) => {
+    if (status === 'done') return <Check size={18} className="text-green-500" />;
+    if (status === 'running') return <Loader2 size={18} className="text-green-500 animate-spin" />;
+    if (status === 'failed') return <X size={18} className="text-red-500" />;
+    return <div className="w-[18px] h-[18px] rounded-full border-2 border-slate-200" />;
+  };
+
+  const AnalyzingView = () => {
+    const stages = analysisJobs[analyzingVideoId]?.stages || {};
+    const doneCount = ANALYSIS_STAGES.filter(key => stages[key] === 'done').length;
+
+    return (
+      <div className="flex flex-col items-center justify-center h-[80vh]">
+        <Loader2 size={64} className="text-green-500 animate-spin mb-6" />
+        <h2 className="text-2xl font-bold text-slate-700 mb-2">{t('analyzing.title')}</h2>
+        <p className="text-slate-400 mb-8">{t('analyzing.hint')}</p>
+
+        <div className="w-64 space-y-4">
+          <ProgressBar current={doneCount} total={ANALYSIS_STAGES.length} />
+          <ul className="space-y-3">
+            {ANALYSIS_STAGES.map(key => (
+              <li key={key} className={`flex items-center gap-3 text-sm font-bold ${stages[key] === 'running' ? 'text-slate-700' : 'text-slate-400'}`}>
+                {renderStageIcon(stages[key])}
+                {t(`analyzing.stages.${key}`)}
+              </li>
+            ))}
+          </ul>
         </div>
-        <ProgressBar current={isLoading ? 60 : 100} total={100} />
+        <Button variant="outline" onClick={cancelAnalyze} className="mt-8 px-6 py-2">{t('common.cancel')}</Button>
       </div>
-    </div>
-  );
+    );
+  };
+
+  const renderLookupPopover = (line) => {
+    const { entry, status, error, word } = lookup;
+    const isSaved = entry && userStats.savedWords.some(w => w.word === entry.word);
+
+    return (
+      <div onClick={(e) => e.stopPropagation()} className="my-2 p-3 rounded-xl bg-slate-800 text-white shadow-lg cursor-default">
+        {status === 'loading' && (
+          <div className="flex items-center gap-2 text-sm"><Loader2 size={16} className="animate-spin" /> {t('lookup.searching', { word })}</div>
+        )}
+        {status === 'error' && <div className="text-sm text-red-300">{error}</div>}
+        {status === 'done' && (
+          <div className="flex justify-between items-center gap-3">
+            <div>
+              <div className="flex items-center gap-2 mb-1">
+                <span className="font-bold text-lg">{entry.word}</span>
+                {entry.type && <span className="text-xs font-bold bg-slate-600 px-2 py-0.5 rounded-full">{entry.type}</span>}
+              </div>
+              <div className="text-slate-200">{entry.meaning}</div>
+            </div>
+            <button
+              onClick={() => saveWord(entry, line)}
+              className={`p-2 rounded-full shrink-0 ${isSaved ? 'text-yellow-400' : 'text-slate-400 hover:bg-slate-700'}`}
+            >
+              <Star fill="currentColor" size={22} />
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderSpeakingPanel = (lineIdx) => {
+    const result = speechResult?.lineIdx === lineIdx ? speechResult : null;
+    const wordStyles = {
+      correct: 'text-green-600',
+      wrong: 'text-red-500 underline decoration-wavy',
+      missed: 'text-slate-300 line-through'
+    };
+
+    return (
+      <div onClick={(e) => e.stopPropagation()} className="mt-3 pt-3 border-t border-slate-100 cursor-default">
+        {isRecording ? (
+          <Button size="sm" variant="danger" icon={Square} onClick={stopSpeaking}>{t('speaking.stop')}</Button>
+        ) : (
+          <Button size="sm" variant="secondary" icon={Mic} onClick={() => startSpeaking(lineIdx)}>{t('speaking.start')}</Button>
+        )}
+        {speechError && <p className="text-xs font-bold text-red-500 mt-2">{speechError}</p>}
+        {result && (
+          <div className="mt-3 space-y-2">
+            {result.words ? (
+              <>
+                <div className="flex items-center gap-2">
+                  <span className={`text-sm font-extrabold ${result.score >= PASS_SCORE ? 'text-green-600' : 'text-orange-500'}`}>{t('speaking.score', { score: result.score })}</span>
+                  {result.score >= PASS_SCORE && <span className="text-xs font-bold text-green-500">{t('speaking.praise')}</span>}
+                </div>
+                <p className="leading-relaxed">
+                  {result.words.map((w, i) => (
+                    <span key={i} className={`${wordStyles[w.status]} mr-1`} title={w.heard ? t('speaking.heardWord', { word: w.heard }) : undefined}>{w.word}</span>
+                  ))}
+                </p>
+                <p className="text-xs text-slate-400">{t('speaking.heard', { text: result.transcript || t('common.none') })}</p>
+              </>
+            ) : (
+              <p className="text-xs text-slate-400">{t('speaking.unsupported')}</p>
+            )}
+            <audio src={result.audioUrl} controls className="w-full h-8" />
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // 휠/터치 스크롤만 사용자 조작으로 보고, scrollIntoView에 의한 스크롤은 무시
+  const pauseAutoScroll = () => {
+    if (!autoScrollPaused) setAutoScrollPaused(true);
+  };
+
+  // 현재 레슨의 단어장/퀴즈가 아직 만들어지는 중이면 'loading', 실패했으면 'failed'
+  const getFillStatus = (stageKey) => {
+    const job = analysisJobs[activeData?.videoId];
+    if (!job || job.stages[stageKey] === 'done') return null;
+    return job.status === 'failed' || job.stages[stageKey] === 'failed' ? 'failed' : 'loading';
+  };
 
   const StudyView = () => (
-    <div className="flex flex-col h-full bg-slate-50">
+    <div className="flex flex-col h-full bg-slate-50" onWheel={pauseAutoScroll} onTouchMove={pauseAutoScroll}>
       <div className="w-full aspect-video bg-black sticky top-0 z-40">
         <ReactPlayer
           ref={playerRef}
@@ -321,15 +1306,34 @@ export default function TubeLingoApp() {
           width="100%"
           height="100%"
           playing={playing}
+          playbackRate={playbackRate}
+          progressInterval={shadowing ? 100 : 1000}
           controls
+          config={{ youtube: { playerVars: { start: startSeconds } } }}
+          onPause={() => { lastPlayedRef.current = null; }}
           onProgress={({ playedSeconds }) => {
+            trackWatchTime(playedSeconds);
             if (!activeData.script) return;
-            const idx = activeData.script.findIndex(line => line.time > playedSeconds);
-            if (idx !== -1 && idx - 1 !== currentScriptIdx) {
-              setCurrentScriptIdx(Math.max(0, idx - 1));
+            if (shadowing) {
+              // 따라 말하는 동안에는 구간이 끝나도 자막을 남김
+              setIsLineActive(true);
+              handleShadowProgress(playedSeconds);
+              return;
+            }
+            const idx = findLineIndex(activeData.script, playedSeconds);
+            if (idx !== -1 && idx !== currentScriptIdx) {
+              setCurrentScriptIdx(idx);
             }
+            setIsLineActive(isWithinLine(activeData.script, idx, playedSeconds));
           }}
         />
+        <SubtitleOverlay
+          key={currentScriptIdx}
+          line={isLineActive ? activeData.script?.[currentScriptIdx] : null}
+          mode={settings.subtitleMode}
+          size={settings.subtitleSize}
+          blurTranslation={settings.blurTranslation}
+        />
       </div>
 
       <div className="flex bg-white border-b border-slate-200">
@@ -337,22 +1341,104 @@ export default function TubeLingoApp() {
           onClick={() => setActiveTab('study')}
           className={`flex-1 py-3 font-bold text-sm ${activeTab === 'study' ? 'text-green-500 border-b-2 border-green-500' : 'text-slate-400'}`}
         >
-          스크립트
+          {t('study.tabScript')}
         </button>
         <button 
           onClick={() => setActiveTab('words')}
           className={`flex-1 py-3 font-bold text-sm ${activeTab === 'words' ? 'text-green-500 border-b-2 border-green-500' : 'text-slate-400'}`}
         >
-          단어장 ({activeData.vocabulary?.length || 0})
+          {t('study.tabWords')} {getFillStatus('vocabulary') === 'loading'
+            ? <Loader2 size={14} className="inline animate-spin" />
+            : `(${activeData.vocabulary?.length || 0})`}
         </button>
       </div>
 
       <div className="flex-1 overflow-y-auto p-4 pb-24 scroll-smooth">
         {activeTab === 'study' ? (
           <div className="space-y-4">
+            <div className="bg-white rounded-xl border-2 border-slate-100 p-3 space-y-3">
+              <div className="flex items-center gap-2">
+                <Button size="sm" variant={shadowing ? 'primary' : 'secondary'} icon={Repeat} onClick={toggleShadowing}>
+                  {t('study.shadowing')} {shadowing ? 'ON' : 'OFF'}
+                </Button>
+                <div className="ml-auto flex items-center gap-1 text-xs font-bold text-slate-400">
+                  {t('study.speed')}
+                  <select
+                    value={playbackRate}
+                    onChange={(e) => setPlaybackRate(Number(e.target.value))}
+                    className="rounded-lg border-2 border-slate-200 px-1 py-1 text-slate-600 bg-white"
+                  >
+                    {PLAYBACK_RATES.map(r => <option key={r} value={r}>{r}×</option>)}
+                  </select>
+                </div>
+              </div>
+              <div className="flex items-center gap-2 text-xs font-bold text-slate-400">
+                <span>{t('study.subtitles')}</span>
+                <div className="flex bg-slate-100 rounded-lg p-0.5">
+                  {SUBTITLE_MODES.map(mode => (
+                    <button
+                      key={mode}
+                      onClick={() => setSettings({ ...settings, subtitleMode: mode })}
+                      className={`px-2 py-1 rounded-md ${settings.subtitleMode === mode ? 'bg-white text-green-500 shadow-sm' : ''}`}
+                    >
+                      {t(`study.subtitleModes.${mode}`)}
+                    </button>
+                  ))}
+                </div>
+                <select
+                  value={settings.subtitleSize}
+                  onChange={(e) => setSettings({ ...settings, subtitleSize: e.target.value })}
+                  className="rounded-lg border-2 border-slate-200 px-1 py-1 text-slate-600 bg-white"
+                >
+                  {Object.keys(SUBTITLE_SIZES).map(size => <option key={size} value={size}>{t(`study.subtitleSizes.${size}`)}</option>)}
+                </select>
+                <label className="ml-auto flex items-center gap-1 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={settings.blurTranslation}
+                    onChange={(e) => setSettings({ ...settings, blurTranslation: e.target.checked })}
+                  />
+                  {t('study.blurTranslation')}
+                </label>
+              </div>
+              <div className="flex items-center gap-2 text-xs font-bold text-slate-400">
+                <FileText size={14} />
+                <span>{t('study.subtitleFile')}</span>
+                <button onClick={() => exportSubtitles('srt')} className="px-2 py-1 rounded-md bg-slate-100 hover:bg-slate-200 text-slate-600">SRT</button>
+                <button onClick={() => exportSubtitles('vtt')} className="px-2 py-1 rounded-md bg-slate-100 hover:bg-slate-200 text-slate-600">VTT</button>
+              </div>
+              {shadowing && (
+                <div className="flex items-center gap-3 text-xs font-bold text-slate-400">
+                  <label className="flex items-center gap-1">
+                    {t('study.repeat')}
+                    <select
+                      value={shadowConfig.repeats}
+                      onChange={(e) => setShadowConfig({ ...shadowConfig, repeats: Number(e.target.value) })}
+                      className="rounded-lg border-2 border-slate-200 px-1 py-1 text-slate-600 bg-white"
+                    >
+                      {REPEAT_OPTIONS.map(n => <option key={n} value={n}>{t('study.repeatOption', { count: n })}</option>)}
+                    </select>
+                  </label>
+                  <label className="flex items-center gap-1">
+                    {t('study.gap')}
+                    <select
+                      value={shadowConfig.gap}
+                      onChange={(e) => setShadowConfig({ ...shadowConfig, gap: Number(e.target.value) })}
+                      className="rounded-lg border-2 border-slate-200 px-1 py-1 text-slate-600 bg-white"
+                    >
+                      {GAP_OPTIONS.map(n => <option key={n} value={n}>{t('study.gapOption', { count: n })}</option>)}
+                    </select>
+                  </label>
+                  <span className={`ml-auto ${isShadowGap ? 'text-green-500 animate-pulse' : ''}`}>
+                    {isShadowGap ? t('study.speakNow') : t('study.repeatProgress', { current: Math.min(shadowRepeat + 1, shadowConfig.repeats), total: shadowConfig.repeats })}
+                  </span>
+                </div>
+              )}
+            </div>
             {activeData.script?.map((line, idx) => (
               <div 
                 key={idx} 
+                ref={(el) => { lineRefs.current[idx] = el; }}
                 onClick={() => handleSeek(line.time, idx)}
                 className={`p-4 rounded-xl cursor-pointer transition-all border-2 ${
                   currentScriptIdx === idx 
@@ -369,9 +1455,19 @@ export default function TubeLingoApp() {
                   </div>
                   <div>
                     <p className={`text-lg mb-1 font-medium leading-relaxed ${currentScriptIdx === idx ? 'text-slate-800' : 'text-slate-500'}`}>
-                      {line.text}
+                      {tokenizeLine(line.text).map((token, tokenIdx) => (token.word ? (
+                        <span
+                          key={tokenIdx}
+                          onClick={(e) => { e.stopPropagation(); lookupWord(idx, tokenIdx, token.word); }}
+                          className={`rounded cursor-pointer hover:bg-yellow-100 ${lookup?.lineIdx === idx && lookup?.tokenIdx === tokenIdx ? 'bg-yellow-200' : ''}`}
+                        >
+                          {token.text}
+                        </span>
+                      ) : token.text))}
                     </p>
-                    <p className="text-sm text-slate-400">{line.kr}</p>
+                    {lookup?.lineIdx === idx && renderLookupPopover(line)}
+                    <p className="text-sm text-slate-400">{line.translation}</p>
+                    {currentScriptIdx === idx && renderSpeakingPanel(idx)}
                   </div>
                 </div>
               </div>
@@ -379,6 +1475,14 @@ export default function TubeLingoApp() {
           </div>
         ) : (
           <div className="space-y-3">
+            {getFillStatus('vocabulary') === 'loading' && (
+              <div className="flex items-center justify-center gap-2 p-6 text-slate-400 font-bold">
+                <Loader2 size={18} className="animate-spin" /> {t('study.vocabularyLoading')}
+              </div>
+            )}
+            {getFillStatus('vocabulary') === 'failed' && (
+              <div className="p-4 rounded-xl bg-red-50 text-red-500 text-sm font-bold">{t('study.vocabularyFailed')}</div>
+            )}
             {activeData.vocabulary?.map((v, i) => (
               <div key={i} className="bg-white p-4 rounded-xl border border-slate-200 shadow-sm flex justify-between items-center">
                 <div>
@@ -401,9 +1505,23 @@ export default function TubeLingoApp() {
       </div>
 
       <div className="fixed bottom-0 left-0 w-full p-4 bg-white border-t border-slate-100 shadow-[0_-10px_40px_rgba(0,0,0,0.1)] z-50">
-        <Button size="lg" onClick={startQuizSetup} className="w-full shadow-lg shadow-green-200">
-          학습 완료 & 퀴즈 도전!
-        </Button>
+        {autoScrollPaused && activeTab === 'study' && (
+          <button
+            onClick={() => setAutoScrollPaused(false)}
+            className="absolute -top-14 left-1/2 -translate-x-1/2 flex items-center gap-2 bg-slate-800 text-white text-sm font-bold px-4 py-2 rounded-full shadow-lg"
+          >
+            <LocateFixed size={16} /> {t('study.backToCurrent')}
+          </button>
+        )}
+        {getFillStatus('quiz') === 'loading' ? (
+          <Button size="lg" disabled className="w-full">
+            <Loader2 size={20} className="animate-spin" /> {t('study.quizLoading')}
+          </Button>
+        ) : (
+          <Button size="lg" onClick={startQuizSetup} className="w-full shadow-lg shadow-green-200">
+            {t('study.startQuiz')}
+          </Button>
+        )}
       </div>
     </div>
   );
@@ -415,72 +1533,205 @@ export default function TubeLingoApp() {
         <button onClick={() => setView('study')} className="text-slate-400 hover:bg-slate-100 p-2 rounded-full"><X /></button>
         <ProgressBar current={0} total={100} />
       </div>
-      <h2 className="text-2xl font-extrabold text-slate-700 mb-8">퀴즈 옵션 설정</h2>
+      <h2 className="text-2xl font-extrabold text-slate-700 mb-8">{t('quizSetup.title')}</h2>
       <div className="mb-8">
-        <label className="text-sm font-bold text-slate-400 uppercase mb-4 block">문항 수</label>
+        <label className="text-sm font-bold text-slate-400 uppercase mb-4 block">{t('quizSetup.count')}</label>
         <div className="grid grid-cols-3 gap-3">
           {[3, 5, 10].map(num => (
-            <OptionChip key={num} label={`${num}문제`} selected={quizConfig.count === num} onClick={() => setQuizConfig({...quizConfig, count: num})} />
+            <OptionChip key={num} label={t('quizSetup.countOption', { count: num })} selected={quizConfig.count === num} onClick={() => setQuizConfig({...quizConfig, count: num})} />
           ))}
         </div>
       </div>
       <div className="mb-8">
-        <label className="text-sm font-bold text-slate-400 uppercase mb-4 block">난이도</label>
-        <div className="grid grid-cols-3 gap-3">
-          {['easy', 'normal', 'hard'].map(lv => (
-            <OptionChip key={lv} label={lv.toUpperCase()} selected={quizConfig.difficulty === lv} onClick={() => setQuizConfig({...quizConfig, difficulty: lv})} />
+        <label className="text-sm font-bold text-slate-400 uppercase mb-4 block">{t('quizSetup.difficulty')}</label>
+        <div className="grid grid-cols-4 gap-3">
+          {['adaptive', 'easy', 'normal', 'hard'].map(lv => (
+            <OptionChip
+              key={lv}
+              label={lv === 'adaptive' ? t('quizSetup.adaptive') : lv.toUpperCase()}
+              selected={quizConfig.difficulty === lv}
+              onClick={() => setQuizConfig({...quizConfig, difficulty: lv})}
+            />
           ))}
         </div>
+        {quizConfig.difficulty === 'adaptive' && (
+          <p className="text-sm font-bold text-slate-400 mt-3">{t('quizSetup.adaptiveHint', { level: getLevel(ratings.learner.rating) })}</p>
+        )}
       </div>
+      <label className="mb-8 flex items-start gap-3 p-4 rounded-xl border-2 border-slate-100 cursor-pointer">
+        <input
+          type="checkbox"
+          className="mt-1"
+          checked={settings.heartsMode}
+          onChange={(e) => setSettings({ ...settings, heartsMode: e.target.checked })}
+        />
+        <span>
+          <span className="flex items-center gap-1 font-bold text-slate-700">
+            <Heart size={16} className="text-red-500" fill="currentColor" /> {t('hearts.mode')}
+          </span>
+          <span className="block text-sm font-bold text-slate-400 mt-1">{t('hearts.modeHint', { max: MAX_HEARTS })}</span>
+        </span>
+      </label>
       <div className="mt-auto">
-        <Button size="lg" onClick={generateQuiz} className="w-full">퀴즈 생성하기 ✨</Button>
+        <Button size="lg" onClick={generateQuiz} className="w-full">{t('quizSetup.generate')}</Button>
       </div>
     </div>
   );
 
+  // --- QUESTION RENDERERS (문제 유형별 답안 입력 UI) ---
+
+  const renderChoice = (question) => (
+    <div className="space-y-3">
+      {question.options.map((opt, idx) => {
+        let stateStyle = "bg-white border-slate-200 text-slate-600 hover:bg-slate-50"; 
+        if (isAnswered) {
+          if (idx === question.answer) stateStyle = "bg-green-100 border-green-500 text-green-700";
+          else if (idx === response) stateStyle = "bg-red-100 border-red-500 text-red-700 opacity-60";
+          else stateStyle = "bg-slate-50 border-slate-100 text-slate-300";
+        } else if (response === idx) {
+          stateStyle = "bg-blue-50 border-blue-500 text-blue-600";
+        }
+        return (
+          <div key={idx} onClick={() => !isAnswered && setResponse(idx)} className={`p-4 rounded-xl border-2 font-medium cursor-pointer transition-all ${stateStyle}`}>
+            <div className="flex items-center justify-between">
+              {opt}
+              {isAnswered && idx === question.answer && <Check className="text-green-600"/>}
+              {isAnswered && idx === response && idx !== question.answer && <X className="text-red-500"/>}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+
+  const renderTyping = (question) => (
+    <input
+      type="text"
+      autoFocus
+      value={response}
+      disabled={isAnswered}
+      onChange={(e) => setResponse(e.target.value)}
+      onKeyDown={(e) => { if (e.key === 'Enter' && response.trim()) checkAnswer(); }}
+      placeholder={t('quiz.typingPlaceholder')}
+      className={`w-full p-4 rounded-xl border-2 font-medium outline-none transition-all ${
+        !isAnswered ? 'border-slate-200 focus:border-blue-500' : isCorrect ? 'bg-green-100 border-green-500 text-green-700' : 'bg-red-100 border-red-500 text-red-700'
+      }`}
+    />
+  );
+
+  const moveTile = (from, to) => {
+    setResponse(prev => {
+      const next = [...prev];
+      const [tile] = next.splice(from, 1);
+      next.splice(to, 0, tile);
+      return next;
+    });
+  };
+
+  const renderReorder = (question) => {
+    const renderTile = (idx, props) => (
+      <button
+        key={idx}
+        disabled={isAnswered}
+        className="py-2 px-3 rounded-xl border-2 border-b-4 border-slate-200 bg-white font-medium text-slate-700 active:border-b-2"
+        {...props}
+      >
+        {question.tiles[idx]}
+      </button>
+    );
+
+    return (
+      <div>
+        <div className={`min-h-[64px] p-3 mb-4 rounded-xl border-2 border-dashed flex flex-wrap gap-2 ${
+          !isAnswered ? 'border-slate-200' : isCorrect ? 'border-green-500 bg-green-50' : 'border-red-500 bg-red-50'
+        }`}>
+          {response.map((tileIdx, pos) => (
+            renderTile(tileIdx, {
+              draggable: !isAnswered,
+              onDragStart: () => { dragTileRef.current = pos; },
+              onDragOver: (e) => e.preventDefault(),
+              onDrop: () => dragTileRef.current !== null && moveTile(dragTileRef.current, pos),
+              onClick: () => setResponse(prev => prev.filter(i => i !== tileIdx))
+            })
+          ))}
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {question.tiles.map((_, tileIdx) => !response.includes(tileIdx) && (
+            renderTile(tileIdx, { onClick: () => setResponse(prev => [...prev, tileIdx]) })
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  const playListening = (question) => {
+    if (!quizPlayerRef.current) return;
+    quizPlayerRef.current.seekTo(question.time, 'seconds');
+    setListenPlaying(true);
+  };
+
+  const renderListening = (question) => (
+    <div>
+      {/* 유튜브 플레이어는 200x200보다 작으면 재생이 막힐 수 있어 크기는 두고, 자막이 보이지 않도록 화면을 덮음 */}
+      <div className="relative w-full h-52 rounded-2xl overflow-hidden bg-black mb-4">
+        <ReactPlayer
+          ref={quizPlayerRef}
+          url={`https://www.youtube.com/watch?v=${question.videoId ?? activeData.videoId}`}
+          width="100%"
+          height="100%"
+          playing={listenPlaying}
+          progressInterval={250}
+          onProgress={({ playedSeconds }) => {
+            if (playedSeconds >= question.endTime) setListenPlaying(false);
+          }}
+        />
+        <div className="absolute inset-0 bg-slate-800 flex items-center justify-center text-slate-400">
+          <Volume2 size={48} className={listenPlaying ? 'text-green-400 animate-pulse' : ''} />
+        </div>
+      </div>
+      <Button variant="secondary" icon={Volume2} onClick={() => playListening(question)} className="w-full mb-6">
+        {listenPlaying ? t('quiz.listening') : t('quiz.listen')}
+      </Button>
+      {renderChoice(question)}
+    </div>
+  );
+
+  const QUESTION_RENDERERS = {
+    choice: renderChoice,
+    typing: renderTyping,
+    reorder: renderReorder,
+    listening: renderListening
+  };
+
   const QuizView = () => {
     const question = quizSession[currentQIdx];
-    if (!question) return <div>문제 로딩 실패</div>;
+    if (!question) return <div>{t('quiz.loadFailed')}</div>;
     const progress = ((currentQIdx + 1) / quizSession.length) * 100;
+    const renderAnswerInput = QUESTION_RENDERERS[question.type] || renderChoice;
 
     return (
       <div className="p-6 max-w-md mx-auto h-full flex flex-col">
         <div className="flex items-center gap-4 mb-6">
-          <button onClick={() => setView('study')} className="text-slate-400"><X /></button>
+          <button onClick={() => setView(activeData ? 'study' : 'dashboard')} className="text-slate-400"><X /></button>
           <ProgressBar current={progress} total={100} />
           <div className="text-green-600 font-bold">{currentQIdx + 1}/{quizSession.length}</div>
+          {settings.heartsMode && (
+            <div className="flex items-center gap-1 text-red-500 font-bold">
+              <Heart size={18} fill="currentColor" /> {refillHearts(hearts).count}
+            </div>
+          )}
         </div>
         <div className="flex-1 overflow-y-auto">
-          <h2 className="text-xl font-bold text-slate-700 mb-6 leading-snug">{question.question}</h2>
-          <div className="space-y-3">
-            {question.options.map((opt, idx) => {
-              let stateStyle = "bg-white border-slate-200 text-slate-600 hover:bg-slate-50"; 
-              if (isAnswered) {
-                if (idx === question.answer) stateStyle = "bg-green-100 border-green-500 text-green-700";
-                else if (idx === selectedOpt) stateStyle = "bg-red-100 border-red-500 text-red-700 opacity-60";
-                else stateStyle = "bg-slate-50 border-slate-100 text-slate-300";
-              } else if (selectedOpt === idx) {
-                stateStyle = "bg-blue-50 border-blue-500 text-blue-600";
-              }
-              return (
-                <div key={idx} onClick={() => !isAnswered && setSelectedOpt(idx)} className={`p-4 rounded-xl border-2 font-medium cursor-pointer transition-all ${stateStyle}`}>
-                  <div className="flex items-center justify-between">
-                    {opt}
-                    {isAnswered && idx === question.answer && <Check className="text-green-600"/>}
-                    {isAnswered && idx === selectedOpt && idx !== question.answer && <X className="text-red-500"/>}
-                  </div>
-                </div>
-              );
-            })}
-          </div>
+          <h2 className="text-xl font-bold text-slate-700 mb-6 leading-snug whitespace-pre-line">{question.question}</h2>
+          {renderAnswerInput(question)}
           {isAnswered && (
             <div className="mt-6 animate-in slide-in-from-bottom-4 fade-in duration-300">
               <div className={`p-4 rounded-xl border-2 ${isCorrect ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'}`}>
                 <div className="flex items-center gap-2 mb-2 font-bold">
-                  {isCorrect ? <span className="text-green-600">정답입니다! 🎉</span> : <span className="text-red-500">오답입니다 😢</span>}
+                  {isCorrect ? <span className="text-green-600">{t('quiz.correct')}</span> : <span className="text-red-500">{t('quiz.wrong')}</span>}
                 </div>
                 <p className="text-sm text-slate-600 font-medium leading-relaxed">
-                  <span className="font-bold text-slate-700">해설:</span> {question.rationale}
+                  <span className="font-bold text-slate-700">{t('quiz.rationale')}</span> {question.rationale}
                 </p>
               </div>
             </div>
@@ -488,103 +1739,612 @@ export default function TubeLingoApp() {
         </div>
         <div className="mt-4 pt-4 border-t border-slate-100">
           {!isAnswered ? (
-            <Button size="lg" onClick={checkAnswer} disabled={selectedOpt === null} className="w-full">확인하기</Button>
+            <Button size="lg" onClick={checkAnswer} disabled={!getQuestionType(question).isReady(response, question)} className="w-full">{t('quiz.check')}</Button>
           ) : (
-            <Button size="lg" variant={isCorrect ? 'primary' : 'secondary'} onClick={nextQuestion} className="w-full">
-              {currentQIdx < quizSession.length - 1 ? '다음 문제' : '결과 보기'}
-            </Button>
+            <>
+              {isOutOfHearts() && <p className="text-sm font-bold text-red-500 text-center mb-3">{t('hearts.outOfHearts')}</p>}
+              <Button size="lg" variant={isCorrect ? 'primary' : 'secondary'} onClick={nextQuestion} className="w-full">
+                {currentQIdx < quizSession.length - 1 && !isOutOfHearts() ? t('quiz.next') : t('quiz.showResult')}
+              </Button>
+            </>
           )}
         </div>
       </div>
     );
   };
 
+  const renderQuizLogItem = ({ question, response, correct }, i) => {
+    const type = getQuestionType(question);
+    return (
+      <div key={i} className={`p-4 rounded-xl border-2 ${correct ? 'border-green-200 bg-green-50' : 'border-red-200 bg-red-50'}`}>
+        <div className="flex items-start gap-2 mb-2">
+          {correct ? <Check size={18} className="text-green-600 shrink-0 mt-0.5" /> : <X size={18} className="text-red-500 shrink-0 mt-0.5" />}
+          <p className="font-bold text-slate-700 whitespace-pre-line">{question.question}</p>
+        </div>
+        {!correct && (
+          <div className="text-sm space-y-1 mb-2">
+            <div className="text-red-500">{t('quiz.myAnswer', { answer: type.formatResponse(question, response) || '-' })}</div>
+            <div className="text-green-600 font-bold">{t('quiz.answer', { answer: type.formatAnswer(question) })}</div>
+          </div>
+        )}
+        <p className="text-sm text-slate-500">{question.rationale}</p>
+      </div>
+    );
+  };
+
+  // 이번 퀴즈 전후의 학습자 레이팅/레벨 (lib/rating.js)
+  const renderLevelChange = () => {
+    if (quizStartRating === null) return null;
+    const before = quizStartRating;
+    const after = ratings.learner.rating;
+    const diff = after - before;
+    const TrendIcon = diff >= 0 ? TrendingUp : TrendingDown;
+
+    return (
+      <Card className="p-4 mb-8 w-full flex items-center justify-between bg-purple-50 border-purple-200">
+        <div className="text-left">
+          <div className="text-purple-600 font-bold text-xs uppercase">{t('result.level')}</div>
+          <div className="text-2xl font-extrabold text-purple-700">
+            {t('result.levelChange', { before: getLevel(before), after: getLevel(after) })}
+          </div>
+        </div>
+        <div className={`flex items-center gap-1 font-extrabold ${diff >= 0 ? 'text-green-600' : 'text-red-500'}`}>
+          <TrendIcon size={20} /> {diff >= 0 ? `+${diff}` : diff}
+        </div>
+      </Card>
+    );
+  };
+
   const ResultView = () => (
-    <div className="flex flex-col items-center justify-center h-full p-6 text-center animate-in zoom-in duration-300 max-w-md mx-auto">
+    <div className="flex flex-col items-center justify-center min-h-full p-6 text-center animate-in zoom-in duration-300 max-w-md mx-auto">
       <div className="mb-6 relative">
         <div className="absolute inset-0 bg-yellow-200 rounded-full animate-ping opacity-50"></div>
         <Trophy size={80} className="text-yellow-500 relative z-10 drop-shadow-xl" fill="currentColor" />
       </div>
-      <h2 className="text-3xl font-extrabold text-slate-700 mb-2">Quiz Completed!</h2>
-      <p className="text-slate-500 text-lg mb-8">오늘의 학습 목표를 달성했습니다.</p>
+      <h2 className="text-3xl font-extrabold text-slate-700 mb-2">{t('result.title')}</h2>
+      <p className="text-slate-500 text-lg mb-8">
+        {isGoalMet(userStats)
+          ? t('result.goalMet', { streak: userStats.streak })
+          : t('result.goalRemaining', { xp: userStats.goalXp - userStats.todayXp })}
+      </p>
       <div className="grid grid-cols-2 gap-4 w-full mb-8">
         <Card className="p-4 bg-yellow-50 border-yellow-200">
-          <div className="text-yellow-600 font-bold text-xs uppercase">Total XP</div>
+          <div className="text-yellow-600 font-bold text-xs uppercase">{t('result.totalXp')}</div>
           <div className="text-2xl font-extrabold text-yellow-700">+{score * 10 + 20}</div>
         </Card>
         <Card className="p-4 bg-blue-50 border-blue-200">
-          <div className="text-blue-600 font-bold text-xs uppercase">Accuracy</div>
-          <div className="text-2xl font-extrabold text-blue-700">{Math.round((score / quizConfig.count) * 100)}%</div>
+          <div className="text-blue-600 font-bold text-xs uppercase">{t('result.accuracy')}</div>
+          <div className="text-2xl font-extrabold text-blue-700">{Math.round((score / quizSession.length) * 100)}%</div>
         </Card>
       </div>
+      {renderLevelChange()}
+      {quizLog.length > 0 && (
+        <div className="w-full text-left mb-8">
+          <h3 className="font-bold text-slate-700 mb-3">{t('result.review')}</h3>
+          <div className="space-y-3">{quizLog.map(renderQuizLogItem)}</div>
+        </div>
+      )}
       <div className="space-y-3 w-full">
-        <Button size="lg" onClick={() => setView('dashboard')} className="w-full">대시보드 확인</Button>
-        <Button size="lg" variant="secondary" onClick={() => setView('home')} className="w-full">홈으로 돌아가기</Button>
+        {mistakes.length > 0 && (
+          <Button size="lg" variant="danger" icon={RotateCcw} onClick={startMistakeRetry} className="w-full">{t('result.retryMistakes', { count: mistakes.length })}</Button>
+        )}
+        <Button size="lg" onClick={() => setView('dashboard')} className="w-full">{t('result.toDashboard')}</Button>
+        <Button size="lg" variant="secondary" onClick={() => setView('home')} className="w-full">{t('common.backHome')}</Button>
       </div>
     </div>
   );
 
-  const DashboardView = () => (
-    <div className="p-6 pb-24">
-      <h2 className="text-2xl font-extrabold text-slate-700 mb-6">내 학습 리포트</h2>
-      <Card className="p-6 mb-6">
-        <div className="flex justify-between items-center mb-6">
-          <h3 className="font-bold text-slate-700">주간 활동</h3>
-          <span className="text-sm font-bold text-slate-400">총 4시간 20분</span>
+  const LibraryView = () => {
+    const summaries = sortLessons(filterLessons(getLessonSummaries(lessons, quizResults), libraryQuery), librarySort);
+    const courseList = Object.values(courses).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return (
+      <div className="p-6 pb-24">
+        {courseList.length > 0 && (
+          <>
+            <h2 className="text-2xl font-extrabold text-slate-700 mb-4">{t('library.myCourses')}</h2>
+            <div className="grid gap-3 mb-8">
+              {courseList.map(c => {
+                const { completed, total } = getCourseProgress(c, quizResults);
+                return (
+                  <Card key={c.id} onClick={() => { setActiveCourseId(c.id); setView('course'); }} className="p-4 cursor-pointer hover:border-slate-300">
+                    <div className="flex items-center gap-2 font-bold text-slate-700 mb-2">
+                      <ListVideo size={18} className="text-green-500 shrink-0" />
+                      <span className="truncate">{c.title}</span>
+                    </div>
+                    <ProgressBar current={completed} total={total} />
+                    <div className="text-xs font-bold text-slate-400 mt-1">{t('course.lessonsCompleted', { completed, total })}</div>
+                  </Card>
+                );
+              })}
+            </div>
+          </>
+        )}
+        <h2 className="text-2xl font-extrabold text-slate-700 mb-6">{t('library.myLessons')}</h2>
+        <div className="flex gap-2 mb-6">
+          <div className="flex-1 flex items-center gap-2 bg-white px-3 rounded-xl border-2 border-slate-200">
+            <Search size={18} className="text-slate-300" />
+            <input
+              type="text"
+              placeholder={t('library.searchPlaceholder')}
+              className="flex-1 py-2 outline-none text-slate-700 font-medium"
+              value={libraryQuery}
+              onChange={(e) => setLibraryQuery(e.target.value)}
+            />
+          </div>
+          <select
+            value={librarySort}
+            onChange={(e) => setLibrarySort(e.target.value)}
+            className="rounded-xl border-2 border-slate-200 px-2 text-sm font-bold text-slate-500 bg-white"
+          >
+            {SORT_OPTIONS.map(key => <option key={key} value={key}>{t(`library.sort.${key}`)}</option>)}
+          </select>
+        </div>
+        {summaries.length === 0 ? (
+          <div className="text-center p-8 bg-slate-50 rounded-2xl border-dashed border-2 border-slate-200">
+            <Library className="mx-auto text-slate-300 mb-2" />
+            <p className="text-slate-400 text-sm">
+              {libraryQuery ? t('library.noResults') : t('library.empty')}
+            </p>
+          </div>
+        ) : (
+          <div className="grid gap-3">
+            {summaries.map(l => (
+              <Card key={l.videoId} onClick={() => openLesson(l.videoId)} className="p-3 flex gap-3 cursor-pointer hover:border-slate-300">
+                <img src={l.thumbnail} alt="" className="w-28 aspect-video object-cover rounded-lg shrink-0" />
+                <div className="flex-1 min-w-0">
+                  <div className="font-bold text-slate-700 text-sm line-clamp-2 mb-1">{l.title}</div>
+                  <div className="text-xs font-bold text-slate-300 mb-2">{new Date(l.analyzedAt).toLocaleDateString()}</div>
+                  <ProgressBar current={l.progress} total={100} />
+                  <div className="flex justify-between text-xs font-bold text-slate-400 mt-1">
+                    <span>{t('library.progress', { progress: l.progress })}</span>
+                    <span>{l.bestScore === null ? t('library.notTaken') : t('library.bestScore', { score: l.bestScore })}</span>
+                  </div>
+                </div>
+                <button
+                  onClick={(e) => { e.stopPropagation(); removeLesson(l.videoId); }}
+                  className="self-start p-1 text-slate-300 hover:text-red-400"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </Card>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const CourseView = () => {
+    const course = courses[activeCourseId];
+    if (!course) return <div>{t('course.notFound')}</div>;
+    const { completed, total } = getCourseProgress(course, quizResults);
+
+    return (
+      <div className="p-6 pb-24">
+        <div className="flex items-center gap-4 mb-6">
+          <button onClick={() => setView('library')} className="text-slate-400 hover:bg-slate-100 p-2 rounded-full"><X /></button>
+          <h2 className="text-xl font-extrabold text-slate-700 truncate flex-1">{course.title}</h2>
+          <button onClick={() => removeCourse(course.id)} className="text-slate-300 hover:text-red-400 p-2"><Trash2 size={18} /></button>
+        </div>
+        <Card className="p-4 mb-6">
+          <ProgressBar current={completed} total={total} />
+          <div className="text-sm font-bold text-slate-400 mt-2">{t('course.lessonsCompleted', { completed, total })}</div>
+        </Card>
+        <div className="space-y-3">
+          {course.items.map((item, idx) => {
+            const unlocked = isItemUnlocked(course, idx, quizResults);
+            const done = isItemCompleted(item, quizResults);
+            const openable = unlocked && item.status === 'done';
+            return (
+              <Card
+                key={item.videoId}
+                onClick={openable ? () => openLesson(item.videoId) : undefined}
+                className={`p-3 flex items-center gap-3 ${openable ? 'cursor-pointer hover:border-slate-300' : 'opacity-60'}`}
+              >
+                <div className={`w-8 h-8 rounded-full flex items-center justify-center text-sm font-bold shrink-0 ${done ? 'bg-green-500 text-white' : 'bg-slate-100 text-slate-400'}`}>
+                  {done ? <Check size={16} /> : unlocked ? idx + 1 : <Lock size={14} />}
+                </div>
+                <div className="flex-1 min-w-0">
+                  <div className="font-bold text-slate-700 text-sm truncate">{item.title}</div>
+                  <div className="text-xs font-bold mt-0.5">
+                    {item.status === 'queued' && <span className="text-slate-400">{t('course.queued')}</span>}
+                    {item.status === 'analyzing' && <span className="text-green-500 flex items-center gap-1"><Loader2 size={12} className="animate-spin" /> {t('course.analyzing')}</span>}
+                    {item.status === 'done' && <span className="text-slate-400">{done ? t('course.completed') : unlocked ? t('course.available') : t('course.locked')}</span>}
+                    {item.status === 'failed' && <span className="text-red-500">{item.error || t('course.failed')}</span>}
+                  </div>
+                </div>
+                {item.status === 'failed' && (
+                  <Button size="sm" variant="secondary" icon={RotateCcw} onClick={() => retryCourseItem(course.id, item.videoId)}>{t('course.retry')}</Button>
+                )}
+              </Card>
+            );
+          })}
+        </div>
+      </div>
+    );
+  };
+
+  const ReviewView = () => {
+    const card = reviewQueue[reviewIdx];
+
+    if (!card) {
+      return (
+        <div className="flex flex-col items-center justify-center h-full p-6 text-center max-w-md mx-auto">
+          <RotateCcw size={64} className="text-green-500 mb-6" />
+          {reviewedCount > 0 ? (
+            <>
+              <h2 className="text-2xl font-extrabold text-slate-700 mb-2">{t('review.doneTitle')}</h2>
+              <p className="text-slate-400 mb-8">{t('review.doneBody', { count: reviewedCount, xp: reviewedCount * REVIEW_XP_PER_CARD })}</p>
+            </>
+          ) : (
+            <>
+              <h2 className="text-2xl font-extrabold text-slate-700 mb-2">{t('review.emptyTitle')}</h2>
+              <p className="text-slate-400 mb-8">
+                {userStats.savedWords.length === 0 ? t('common.saveWordsHint') : t('review.emptyLater')}
+              </p>
+            </>
+          )}
+          <Button size="lg" variant="secondary" onClick={() => setView('home')} className="w-full">{t('common.backHome')}</Button>
+        </div>
+      );
+    }
+
+    const promptType = getPromptType(card);
+    // 저장 단어에는 언어가 없으므로 지금 배우는 언어의 단어 경계 규칙을 씀
+    const wordBoundaries = getLanguage(settings.targetLanguage).wordBoundaries !== false;
+    const prompt = {
+      word: { front: card.word, back: card.meaning },
+      meaning: { front: card.meaning, back: card.word },
+      example: { front: card.example && makeCloze(card.example.text, card.word, wordBoundaries), back: card.word }
+    }[promptType];
+
+    return (
+      <div className="p-6 max-w-md mx-auto h-full flex flex-col">
+        <div className="flex items-center gap-4 mb-8">
+          <button onClick={() => setView('home')} className="text-slate-400"><X /></button>
+          <ProgressBar current={reviewIdx} total={reviewQueue.length} />
+          <div className="text-green-600 font-bold">{reviewIdx + 1}/{reviewQueue.length}</div>
         </div>
-        <div className="flex justify-between items-end h-32 gap-2">
-          {[40, 70, 30, 85, 50, 100, userStats.todayXp].map((val, i) => (
-            <div key={i} className="flex flex-col items-center flex-1 group">
-              <div className={`w-full rounded-t-lg transition-all duration-500 group-hover:opacity-80 ${i===6 ? 'bg-green-500' : 'bg-slate-200'}`} style={{ height: `${(val/150)*100}%` }}></div>
-              <span className="text-xs font-bold text-slate-400 mt-2">{['월','화','수','목','금','토','일'][i]}</span>
+        <div className="text-sm font-bold text-slate-400 uppercase mb-4">{t(`review.prompts.${promptType}`)}</div>
+        <Card className="p-8 mb-6 text-center">
+          <div className={`font-extrabold text-slate-700 ${promptType === 'example' ? 'text-lg leading-relaxed' : 'text-3xl'}`}>{prompt.front}</div>
+          {promptType === 'example' && <div className="text-sm text-slate-400 mt-3">{card.example.translation}</div>}
+          {isRevealed && (
+            <div className="mt-6 pt-6 border-t-2 border-slate-100 animate-in fade-in duration-300">
+              <div className="text-2xl font-bold text-green-600">{prompt.back}</div>
+              {promptType !== 'example' && card.example && (
+                <p className="text-sm text-slate-500 mt-3 leading-relaxed">{card.example.text}</p>
+              )}
             </div>
-          ))}
+          )}
+        </Card>
+        <div className="mt-auto">
+          {!isRevealed ? (
+            <Button size="lg" onClick={() => setIsRevealed(true)} className="w-full">{t('review.reveal')}</Button>
+          ) : (
+            <div className="grid grid-cols-4 gap-2">
+              {GRADES.map(g => (
+                <Button key={g.quality} size="sm" variant={g.variant} onClick={() => gradeReview(g.quality)} className="px-2">{t(`review.grades.${g.quality}`)}</Button>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  // 이번 주 XP 리그 순위표 (lib/league.js)
+  const renderLeague = () => {
+    const standings = getStandings({ xpEvents, league, seed: deviceId });
+    const { lastResult } = league;
+
+    return (
+      <Card className="p-6 mb-6">
+        <div className="flex justify-between items-center mb-1">
+          <h3 className="font-bold text-slate-700 flex items-center gap-2">
+            <Trophy size={18} className="text-yellow-500" fill="currentColor" />
+            {t('league.title', { tier: t(`league.tiers.${LEAGUE_TIERS[league.tier]}`) })}
+          </h3>
+          <span className="text-xs font-bold text-slate-400">{t('league.endsOn', { date: new Date(`${shiftDay(league.weekKey, 6)}T00:00:00`).toLocaleDateString() })}</span>
+        </div>
+        {lastResult && lastResult.zone !== 'stay' && (
+          <p className={`text-sm font-bold mb-2 ${lastResult.zone === 'promote' ? 'text-green-600' : 'text-red-500'}`}>
+            {t(lastResult.zone === 'promote' ? 'league.promoted' : 'league.demoted', { rank: lastResult.rank, tier: t(`league.tiers.${LEAGUE_TIERS[league.tier]}`) })}
+          </p>
+        )}
+        <div className="divide-y divide-slate-100 mt-3">
+          {standings.map(entry => {
+            const zone = getZone(entry.rank, league.tier);
+            return (
+              <div key={entry.id} className={`flex items-center gap-3 py-2 text-sm ${entry.isMe ? 'font-extrabold text-green-600' : 'font-bold text-slate-600'}`}>
+                <span className={`w-6 text-center ${zone === 'promote' ? 'text-green-500' : zone === 'demote' ? 'text-red-400' : 'text-slate-400'}`}>{entry.rank}</span>
+                <span className="flex-1 truncate">{entry.isMe ? t('league.me') : entry.name}</span>
+                <span>{entry.xp} XP</span>
+              </div>
+            );
+          })}
         </div>
       </Card>
-      <h3 className="font-bold text-slate-700 text-lg mb-4">내 단어장 ({userStats.savedWords.length})</h3>
-      {userStats.savedWords.length === 0 ? (
-        <div className="text-center p-8 bg-slate-50 rounded-2xl border-dashed border-2 border-slate-200">
-          <BookOpen className="mx-auto text-slate-300 mb-2" />
-          <p className="text-slate-400 text-sm">학습 중에 단어를 저장해보세요!</p>
+    );
+  };
+
+  const renderAchievements = () => {
+    const progress = getAchievementProgress(achievements, { userStats, lessons, quizResults });
+    const unlockedCount = progress.filter(a => a.unlockedAt).length;
+
+    return (
+      <>
+        <h3 className="font-bold text-slate-700 text-lg mb-4">{t('achievements.title', { count: unlockedCount, total: progress.length })}</h3>
+        <div className="grid grid-cols-2 gap-3 mb-8">
+          {progress.map(a => {
+            const Icon = ACHIEVEMENT_ICONS[a.metric];
+            return (
+              <div key={a.id} className={`p-3 rounded-xl border-2 ${a.unlockedAt ? 'border-yellow-300 bg-yellow-50' : 'border-slate-100 bg-white'}`}>
+                <div className={`flex items-center gap-2 font-bold text-sm ${a.unlockedAt ? 'text-yellow-700' : 'text-slate-400'}`}>
+                  <Icon size={16} className="shrink-0" />
+                  <span className="truncate">{t(`achievements.metrics.${a.metric}`, { goal: a.goal })}</span>
+                </div>
+                {a.unlockedAt ? (
+                  <div className="text-xs font-bold text-yellow-600 mt-2">{t('achievements.unlockedOn', { date: new Date(a.unlockedAt).toLocaleDateString() })}</div>
+                ) : (
+                  <div className="mt-2">
+                    <ProgressBar current={a.value} total={a.goal} color="bg-yellow-400" />
+                    <div className="text-xs font-bold text-slate-300 mt-1">{a.value} / {a.goal}</div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
         </div>
+      </>
+    );
+  };
+
+  const renderAccount = () => (
+    <Card className="p-6">
+      {account ? (
+        <>
+          <p className="font-bold text-slate-700">{t('account.signedInAs', { email: account.email })}</p>
+          <p className="text-sm font-bold text-slate-400 mt-1">
+            {syncMeta.lastSyncedAt ? t('account.lastSynced', { time: new Date(syncMeta.lastSyncedAt).toLocaleString() }) : t('account.neverSynced')}
+          </p>
+          <div className="grid grid-cols-2 gap-3 mt-4">
+            <Button size="sm" variant="secondary" icon={accountStatus.busy ? Loader2 : RefreshCw} onClick={runAccountSync} disabled={accountStatus.busy || !isOnline}>
+              {accountStatus.busy ? t('account.syncing') : t('account.syncNow')}
+            </Button>
+            <Button size="sm" variant="outline" icon={LogOut} onClick={logoutAccount}>{t('account.logout')}</Button>
+          </div>
+        </>
       ) : (
-        <div className="grid gap-3">
-          {userStats.savedWords.map((w, i) => (
-            <div key={i} className="bg-white p-3 rounded-xl border border-slate-200 shadow-sm flex justify-between items-center">
-              <div>
-                <span className="font-bold text-slate-700 mr-2">{w.word}</span>
-                <span className="text-sm text-slate-500">{w.meaning}</span>
+        <>
+          <p className="text-sm text-slate-500 mb-4">{t('account.description')}</p>
+          <div className="grid gap-2">
+            {[['email', 'email'], ['password', 'password']].map(([field, type]) => (
+              <input
+                key={field}
+                type={type}
+                autoComplete={field === 'email' ? 'email' : 'current-password'}
+                placeholder={t(`account.${field}`)}
+                value={accountForm[field]}
+                onChange={(e) => setAccountForm(prev => ({ ...prev, [field]: e.target.value }))}
+                onKeyDown={(e) => { if (e.key === 'Enter') submitAccount('login'); }}
+                disabled={accountStatus.busy}
+                className="p-3 rounded-xl border-2 border-slate-200 bg-white text-sm font-medium text-slate-700 outline-none focus:border-green-400"
+              />
+            ))}
+          </div>
+          <div className="grid grid-cols-2 gap-3 mt-4">
+            <Button size="sm" onClick={() => submitAccount('login')} disabled={accountStatus.busy || !isOnline || !accountForm.email || !accountForm.password}>{t('account.login')}</Button>
+            <Button size="sm" variant="secondary" onClick={() => submitAccount('register')} disabled={accountStatus.busy || !isOnline || !accountForm.email || !accountForm.password}>{t('account.register')}</Button>
+          </div>
+        </>
+      )}
+      {accountStatus.error && <p className="text-sm font-bold text-red-500 mt-3">{accountStatus.error}</p>}
+    </Card>
+  );
+
+  const DashboardView = () => {
+    const activity = getDailyActivity({ xpEvents, watchLog, quizResults }, reportRange);
+    const summary = summarizeActivity(activity);
+    const maxXp = Math.max(userStats.goalXp, ...activity.map(d => d.xp));
+    const trend = getAccuracyTrend(quizResults);
+
+    return (
+      <div className="p-6 pb-24">
+        <h2 className="text-2xl font-extrabold text-slate-700 mb-6">{t('dashboard.title')}</h2>
+        <Card className="p-6 mb-6">
+          <div className="flex justify-between items-center mb-3">
+            <h3 className="font-bold text-slate-700">{t('dashboard.todayGoal')}</h3>
+            <span className="text-sm font-bold text-slate-400">{userStats.todayXp} / {userStats.goalXp} XP</span>
+          </div>
+          <ProgressBar current={userStats.todayXp} total={userStats.goalXp} color={isGoalMet(userStats) ? 'bg-orange-400' : 'bg-green-500'} />
+          <div className="flex gap-4 mt-4 text-sm font-bold">
+            <span className="flex items-center gap-1 text-orange-500"><Flame size={16} fill="currentColor" /> {t('dashboard.streakDays', { count: userStats.streak })}</span>
+            <span className="flex items-center gap-1 text-sky-400"><Snowflake size={16} /> {t('dashboard.freezes', { count: userStats.streakFreezes })}</span>
+          </div>
+        </Card>
+        {renderLeague()}
+        <Card className="p-6 mb-6">
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="font-bold text-slate-700">{t(reportRange === 7 ? 'dashboard.weekly' : 'dashboard.monthly')}</h3>
+            <div className="flex bg-slate-100 rounded-xl p-1 text-xs font-bold">
+              {[[7, 'week'], [30, 'month']].map(([days, label]) => (
+                <button
+                  key={days}
+                  onClick={() => setReportRange(days)}
+                  className={`px-3 py-1 rounded-lg ${reportRange === days ? 'bg-white text-green-500 shadow-sm' : 'text-slate-400'}`}
+                >
+                  {t(`dashboard.${label}`)}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className={`flex justify-between items-end h-32 ${reportRange === 7 ? 'gap-2' : 'gap-0.5'}`}>
+            {activity.map((d, i) => (
+              <div key={d.day} className="flex flex-col items-center justify-end flex-1 h-full group" title={`${d.day}: ${d.xp} XP`}>
+                <div className={`w-full rounded-t-lg transition-all duration-500 group-hover:opacity-80 ${i === activity.length - 1 ? 'bg-green-500' : 'bg-slate-200'}`} style={{ height: `${(d.xp / maxXp) * 100}%` }}></div>
+                <span className="text-xs font-bold text-slate-400 mt-2">{reportRange === 7 ? t(`dashboard.weekdays.${d.weekday}`) : i % 5 === 4 ? d.date : '\u00a0'}</span>
+              </div>
+            ))}
+          </div>
+          <div className="grid grid-cols-4 gap-2 mt-6 text-center">
+            {[
+              ['XP', summary.xp],
+              [t('dashboard.studyTime'), formatMinutes(summary.minutes, t)],
+              [t('dashboard.quizzes'), t('dashboard.quizCount', { count: summary.quizzes })],
+              [t('dashboard.accuracy'), summary.accuracy === null ? '-' : `${summary.accuracy}%`]
+            ].map(([label, value]) => (
+              <div key={label}>
+                <div className="text-xs font-bold text-slate-400">{label}</div>
+                <div className="font-extrabold text-slate-700">{value}</div>
               </div>
-              <span className="text-xs font-bold text-slate-300 bg-slate-50 px-2 py-1 rounded">{w.date}</span>
+            ))}
+          </div>
+        </Card>
+        {trend.length > 0 && (
+          <Card className="p-6 mb-6">
+            <h3 className="font-bold text-slate-700 mb-4">{t('dashboard.accuracyTrend')}</h3>
+            <div className="flex items-end h-20 gap-2">
+              {trend.map((point, i) => (
+                <div key={i} className="flex-1 h-full flex items-end" title={`${point.accuracy}%`}>
+                  <div className="w-full bg-blue-400 rounded-t-md" style={{ height: `${Math.max(4, point.accuracy)}%` }}></div>
+                </div>
+              ))}
             </div>
-          ))}
+          </Card>
+        )}
+        {renderAchievements()}
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="font-bold text-slate-700 text-lg">{t('dashboard.wordbook', { count: userStats.savedWords.length })}</h3>
+          <Button size="sm" variant="secondary" icon={Upload} onClick={() => wordImportRef.current?.click()}>{t('dashboard.importWords')}</Button>
+          <input
+            ref={wordImportRef}
+            type="file"
+            accept=".csv,.tsv,.txt"
+            className="hidden"
+            onChange={(e) => { importWords(e.target.files[0]); e.target.value = ''; }}
+          />
         </div>
-      )}
-    </div>
-  );
+        {userStats.savedWords.length > 0 && (
+          <div className="grid grid-cols-3 gap-2 mb-4">
+            <Button size="sm" variant="secondary" icon={Download} onClick={() => exportWords('csv')}>CSV</Button>
+            <Button size="sm" variant="secondary" icon={Download} onClick={() => exportWords('tsv')}>TSV</Button>
+            <Button size="sm" variant="secondary" icon={Download} onClick={() => exportWords('anki')}>Anki</Button>
+          </div>
+        )}
+        {userStats.savedWords.length === 0 ? (
+          <div className="text-center p-8 bg-slate-50 rounded-2xl border-dashed border-2 border-slate-200">
+            <BookOpen className="mx-auto text-slate-300 mb-2" />
+            <p className="text-slate-400 text-sm">{t('common.saveWordsHint')}</p>
+          </div>
+        ) : (
+          <div className="grid gap-3">
+            {userStats.savedWords.map((w, i) => (
+              <div key={i} className="bg-white p-3 rounded-xl border border-slate-200 shadow-sm flex justify-between items-center">
+                <div>
+                  <span className="font-bold text-slate-700 mr-2">{w.word}</span>
+                  <span className="text-sm text-slate-500">{w.meaning}</span>
+                </div>
+                <span className="text-xs font-bold text-slate-300 bg-slate-50 px-2 py-1 rounded">{w.date}</span>
+              </div>
+            ))}
+          </div>
+        )}
+        <div className="flex justify-between items-center mt-8 mb-4">
+          <h3 className="font-bold text-slate-700 text-lg">{t('dashboard.mistakes', { count: mistakes.length })}</h3>
+          {mistakes.length > 0 && (
+            <Button size="sm" variant="secondary" icon={RotateCcw} onClick={startMistakeRetry}>{t('dashboard.retryMistakes')}</Button>
+          )}
+        </div>
+        {mistakes.length === 0 ? (
+          <div className="text-center p-8 bg-slate-50 rounded-2xl border-dashed border-2 border-slate-200">
+            <p className="text-slate-400 text-sm">{t('dashboard.mistakesEmpty')}</p>
+          </div>
+        ) : (
+          <div className="grid gap-3">
+            {mistakes.map(m => (
+              <div key={m.key} className="bg-white p-3 rounded-xl border border-slate-200 shadow-sm">
+                <p className="font-bold text-slate-700 text-sm whitespace-pre-line mb-1">{m.question.question}</p>
+                <div className="text-sm text-green-600">{t('quiz.answer', { answer: getQuestionType(m.question).formatAnswer(m.question) })}</div>
+                <div className="flex justify-between text-xs font-bold text-slate-300 mt-2">
+                  <span className="truncate">{m.videoTitle || m.videoId}</span>
+                  <span className="shrink-0 ml-2">{t('dashboard.missCount', { count: m.missCount })}</span>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+        <h3 className="font-bold text-slate-700 text-lg mt-8 mb-4">{t('account.title')}</h3>
+        {renderAccount()}
+        <h3 className="font-bold text-slate-700 text-lg mt-8 mb-4">{t('dashboard.dataTitle')}</h3>
+        <div className="grid grid-cols-2 gap-3">
+          <Button size="sm" variant="secondary" icon={Download} onClick={handleExportData}>{t('dashboard.exportData')}</Button>
+          <Button size="sm" variant="danger" icon={Trash2} onClick={handleResetData}>{t('dashboard.resetData')}</Button>
+        </div>
+      </div>
+    );
+  };
+
+  const dueCount = getDueWords(userStats.savedWords).length;
+  // 오프라인 배너용: 로그인해 있으면 온라인이 될 때 계정 동기화로 올라갈 기록 수
+  const pendingSyncCount = account && !isOnline
+    ? Object.values(collectChanges(toSyncMaps({ userStats, lessons, quizResults }), syncMeta)).reduce((sum, items) => sum + items.length, 0)
+    : 0;
 
   return (
     <div className="flex justify-center bg-slate-100 min-h-screen font-sans text-slate-900">
       <div className="w-full max-w-md bg-white shadow-2xl flex flex-col relative h-screen max-h-screen overflow-hidden">
-        {['home', 'dashboard', 'study'].includes(view) && <Header />}
+        {['home', 'library', 'course', 'dashboard', 'study'].includes(view) && Header()}
+        {!isOnline && (
+          <div className="flex items-center gap-2 bg-slate-800 text-white text-xs font-bold px-4 py-2">
+            <WifiOff size={14} className="shrink-0" />
+            <span>{t('offline.banner')}{pendingSyncCount > 0 && ` ${t('offline.pending', { count: pendingSyncCount })}`}</span>
+          </div>
+        )}
+        {toasts.length > 0 && (
+          <div key={toasts[0].id} className="absolute top-16 inset-x-4 z-50 flex items-center gap-3 bg-yellow-400 text-yellow-900 rounded-2xl px-4 py-3 shadow-lg animate-in slide-in-from-top-4 fade-in duration-300">
+            <Award size={28} className="shrink-0" />
+            <div>
+              <div className="text-xs font-extrabold uppercase">{t('achievements.unlocked')}</div>
+              <div className="font-bold">{t(`achievements.metrics.${toasts[0].metric}`, { goal: toasts[0].goal })}</div>
+            </div>
+          </div>
+        )}
+        {/* 뷰는 App 안에서 매번 새로 정의되므로 컴포넌트(<View />)로 쓰면 렌더마다
+            재마운트되어 플레이어와 입력창 상태가 초기화됨. 함수로 호출해 DOM을 유지 */}
         <main className="flex-1 overflow-y-auto scrollbar-hide">
-          {view === 'home' && <HomeView />}
-          {view === 'analyzing' && <AnalyzingView />}
-          {view === 'study' && <StudyView />}
-          {view === 'quiz_setup' && <QuizSetupView />}
-          {view === 'quiz' && <QuizView />}
-          {view === 'result' && <ResultView />}
-          {view === 'dashboard' && <DashboardView />}
+          {view === 'home' && HomeView()}
+          {view === 'analyzing' && AnalyzingView()}
+          {view === 'study' && StudyView()}
+          {view === 'quiz_setup' && QuizSetupView()}
+          {view === 'quiz' && QuizView()}
+          {view === 'result' && ResultView()}
+          {view === 'library' && LibraryView()}
+          {view === 'course' && CourseView()}
+          {view === 'review' && ReviewView()}
+          {view === 'dashboard' && DashboardView()}
         </main>
-        {['home', 'dashboard'].includes(view) && (
-          <nav className="border-t border-slate-100 bg-white grid grid-cols-2 p-2 pb-6">
+        {['home', 'library', 'review', 'dashboard'].includes(view) && (
+          <nav className="border-t border-slate-100 bg-white grid grid-cols-4 p-2 pb-6">
             <button onClick={() => setView('home')} className={`p-3 rounded-xl flex flex-col items-center gap-1 transition-all ${view === 'home' ? 'text-green-500' : 'text-slate-400 hover:bg-slate-50'}`}>
               <Home size={24} strokeWidth={view === 'home' ? 3 : 2} />
-              <span className="text-xs font-bold">학습</span>
+              <span className="text-xs font-bold">{t('nav.home')}</span>
+            </button>
+            <button onClick={() => setView('library')} className={`p-3 rounded-xl flex flex-col items-center gap-1 transition-all ${view === 'library' ? 'text-green-500' : 'text-slate-400 hover:bg-slate-50'}`}>
+              <Library size={24} strokeWidth={view === 'library' ? 3 : 2} />
+              <span className="text-xs font-bold">{t('nav.library')}</span>
+            </button>
+            <button onClick={startReview} className={`p-3 rounded-xl flex flex-col items-center gap-1 transition-all relative ${view === 'review' ? 'text-green-500' : 'text-slate-400 hover:bg-slate-50'}`}>
+              <RotateCcw size={24} strokeWidth={view === 'review' ? 3 : 2} />
+              <span className="text-xs font-bold">{t('nav.review')}</span>
+              {dueCount > 0 && (
+                <span className="absolute top-1 right-1/4 bg-red-500 text-white text-[10px] font-bold rounded-full px-1.5">{dueCount}</span>
+              )}
             </button>
             <button onClick={() => setView('dashboard')} className={`p-3 rounded-xl flex flex-col items-center gap-1 transition-all ${view === 'dashboard' ? 'text-green-500' : 'text-slate-400 hover:bg-slate-50'}`}>
               <User size={24} strokeWidth={view === 'dashboard' ? 3 : 2} />
-              <span className="text-xs font-bold">내 정보</span>
+              <span className="text-xs font-bold">{t('nav.me')}</span>
             </button>
           </nav>
         )}
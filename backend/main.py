@@ -1,8 +1,17 @@
 import os
 import json
+import hashlib
 import re
-from fastapi import FastAPI, HTTPException
+import secrets
+import sqlite3
+import threading
+import time
+import urllib.parse
+import urllib.request
+import uuid
+from fastapi import BackgroundTasks, Depends, FastAPI, Header, HTTPException, Request
 from fastapi.middleware.cors import CORSMiddleware
+from fastapi.responses import JSONResponse
 from pydantic import BaseModel
 from youtube_transcript_api import YouTubeTranscriptApi
 from openai import OpenAI
@@ -19,13 +28,147 @@ app.add_middleware(
     allow_headers=["*"],
 )
 
-# OpenAI 클라이언트 (환경변수에서 키 로드)
+# 오류 응답에는 detail(한국어 설명)과 함께 언어와 상관없는 code를 보냅니다.
+# 프론트엔드는 code로 화면 언어에 맞는 문구를 고르고, 모르는 code일 때만 detail을 보여줍니다.
+class ApiException(HTTPException):
+    def __init__(self, status_code: int, code: str, detail: str):
+        super().__init__(status_code=status_code, detail=detail)
+        self.code = code
+
+@app.exception_handler(ApiException)
+async def api_exception_handler(request: Request, exc: ApiException):
+    return JSONResponse(status_code=exc.status_code, content={"detail": exc.detail, "code": exc.code})
+
+# AI 모델 클라이언트 (환경변수에서 키 로드)
 # Railway 변수 설정에서 OPENAI_API_KEY를 추가해야 합니다.
-client = OpenAI(api_key=os.environ.get("OPENAI_API_KEY"))
+# complete_json(system_prompt, content) -> dict 만 있으면 되므로, 테스트에서는 set_model_client로 가짜 클라이언트를 넣으면 됩니다.
+# 키가 없어도 모듈을 불러올 수 있도록 실제 클라이언트는 처음 쓸 때 만듭니다.
+class OpenAIModelClient:
+    def __init__(self, api_key: str, model: str = "gpt-4o"):  # 또는 gpt-3.5-turbo
+        self.client = OpenAI(api_key=api_key)
+        self.model = model
+
+    def complete_json(self, system_prompt: str, content: str):
+        response = self.client.chat.completions.create(
+            model=self.model,
+            messages=[
+                {"role": "system", "content": system_prompt},
+                {"role": "user", "content": content}
+            ],
+            response_format={"type": "json_object"}
+        )
+        return json.loads(response.choices[0].message.content)
+
+model_client = None
+
+def get_model_client():
+    global model_client
+    if model_client is None:
+        model_client = OpenAIModelClient(os.environ.get("OPENAI_API_KEY"))
+    return model_client
+
+def set_model_client(new_client):
+    global model_client
+    model_client = new_client
+
+# 재생목록/채널 가져오기는 YouTube Data API v3를 사용합니다.
+# Railway 변수 설정에서 YOUTUBE_API_KEY를 추가해야 합니다.
+YOUTUBE_API_KEY = os.environ.get("YOUTUBE_API_KEY")
+YOUTUBE_API_URL = "https://www.googleapis.com/youtube/v3"
+MAX_COURSE_ITEMS = 50
+
+# 분석 작업(job)은 메모리에 보관하고, 일정 시간이 지나면 정리합니다.
+ANALYSIS_STAGES = ["transcript", "script", "vocabulary", "quiz"]
+JOB_TTL_SECONDS = 600
+# 긴 자막은 이 길이(글자 수) 이하로 나눠 분석한 뒤 합칩니다.
+TRANSCRIPT_CHUNK_CHARS = 12000
+# 분석 결과는 영상과 언어 쌍마다 DB에 캐시합니다. 프롬프트나 결과 형식이 바뀌면 올리세요.
+ANALYSIS_CACHE_VERSION = 1
+jobs = {}
+jobs_lock = threading.Lock()
+
+# 계정과 동기화 데이터는 SQLite에 저장합니다.
+# Railway 변수 설정에서 DATABASE_PATH를 영구 볼륨 경로로 지정하세요. 테스트에는 ":memory:"를 쓰면 됩니다.
+DATABASE_PATH = os.environ.get("DATABASE_PATH", "tubelingo.db")
+PASSWORD_ITERATIONS = 200_000
+TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60  # 로그인 토큰 유효 기간 (30일)
+MAX_SYNC_ITEMS = 500
+db = sqlite3.connect(DATABASE_PATH, check_same_thread=False)
+db_lock = threading.Lock()
+
+def init_db():
+    with db_lock, db:
+        db.executescript("""
+            CREATE TABLE IF NOT EXISTS users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                email TEXT NOT NULL UNIQUE,
+                password_hash TEXT NOT NULL,
+                salt TEXT NOT NULL,
+                created_at REAL NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS tokens (
+                token_hash TEXT PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id),
+                created_at REAL NOT NULL
+            );
+            -- 동기화 항목 하나(통계 필드, 단어, 레슨, 퀴즈 결과)가 한 행.
+            -- updated_at은 클라이언트가 바꾼 시각(ms, 최신 값이 이김), version은 변경 조회용 증가 번호
+            CREATE TABLE IF NOT EXISTS user_data (
+                user_id INTEGER NOT NULL REFERENCES users(id),
+                kind TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                updated_at INTEGER NOT NULL,
+                version INTEGER NOT NULL,
+                PRIMARY KEY (user_id, kind, key)
+            );
+            -- 분석 결과 캐시. version이 ANALYSIS_CACHE_VERSION과 다르면 다시 분석
+            CREATE TABLE IF NOT EXISTS analysis_cache (
+                video_id TEXT NOT NULL,
+                native TEXT NOT NULL,
+                target TEXT NOT NULL,
+                version INTEGER NOT NULL,
+                result TEXT NOT NULL,
+                created_at REAL NOT NULL,
+                PRIMARY KEY (video_id, native, target)
+            );
+        """)
+
+init_db()
+
+# 지원 언어 (프롬프트용 이름과 자막 언어 코드 우선순위)
+LANGUAGES = {
+    "ko": {"name": "Korean", "transcripts": ["ko"]},
+    "en": {"name": "English", "transcripts": ["en", "en-US", "en-GB"]},
+    "ja": {"name": "Japanese", "transcripts": ["ja"]},
+    "zh": {"name": "Chinese", "transcripts": ["zh-Hans", "zh-CN", "zh", "zh-Hant", "zh-TW"]},
+    "es": {"name": "Spanish", "transcripts": ["es", "es-419", "es-ES"]},
+    "fr": {"name": "French", "transcripts": ["fr", "fr-FR", "fr-CA"]},
+    "de": {"name": "German", "transcripts": ["de"]},
+}
 
 # 2. 데이터 모델 정의
 class AnalyzeRequest(BaseModel):
     url: str
+    nativeLanguage: str = "ko"  # 번역/설명 언어
+    targetLanguage: str = "en"  # 배우는 언어 (자막 언어)
+
+class PlaylistRequest(BaseModel):
+    url: str
+
+class LookupRequest(BaseModel):
+    word: str
+    sentence: str = ""
+    nativeLanguage: str = "ko"
+    targetLanguage: str = "en"
+
+class AuthRequest(BaseModel):
+    email: str
+    password: str
+
+class SyncItemsRequest(BaseModel):
+    items: list  # [{"key", "value", "updatedAt"}]
+    since: int = 0  # 마지막으로 받은 version. 이후에 바뀐 항목만 돌려줌
 
 # 3. 헬퍼 함수
 def extract_video_id(url: str):
@@ -40,82 +183,590 @@ def extract_video_id(url: str):
             return match.group(1)
     return None
 
-def get_transcript(video_id: str):
-    """자막 추출 (한국어 -> 영어 순)"""
+def check_languages(native: str, target: str):
+    """요청한 언어 쌍 검증"""
+    if native not in LANGUAGES or target not in LANGUAGES:
+        raise ApiException(400, "unsupported_language", "지원하지 않는 언어입니다.")
+    if native == target:
+        raise ApiException(400, "same_language", "모국어와 배우는 언어가 같습니다.")
+
+def get_transcript(video_id: str, target: str):
+    """배우는 언어의 자막 추출 (지역 변형 포함)"""
     try:
-        transcript = YouTubeTranscriptApi.get_transcript(video_id, languages=['ko', 'en', 'en-US'])
+        transcript = YouTubeTranscriptApi.get_transcript(video_id, languages=LANGUAGES[target]["transcripts"])
         return transcript
     except Exception as e:
         print(f"Transcript Error: {e}")
         return None
 
-# 4. 메인 API 엔드포인트
+def extract_collection(url: str):
+    """재생목록/채널 URL에서 (종류, ID) 추출"""
+    match = re.search(r'[?&]list=([0-9A-Za-z_-]+)', url)
+    if match:
+        return "playlist", match.group(1)
+    match = re.search(r'youtube\.com\/channel\/(UC[0-9A-Za-z_-]{22})', url)
+    if match:
+        return "channel", match.group(1)
+    match = re.search(r'youtube\.com\/@([0-9A-Za-z_.-]+)', url)
+    if match:
+        return "handle", match.group(1)
+    return None, None
+
+def youtube_api(resource: str, params: dict):
+    """YouTube Data API GET 요청"""
+    query = urllib.parse.urlencode({**params, "key": YOUTUBE_API_KEY})
+    with urllib.request.urlopen(f"{YOUTUBE_API_URL}/{resource}?{query}", timeout=10) as res:
+        return json.loads(res.read().decode("utf-8"))
+
+def get_uploads_playlist(kind: str, value: str):
+    """채널의 '업로드한 동영상' 재생목록 ID와 채널 이름 조회"""
+    params = {"part": "snippet,contentDetails"}
+    if kind == "channel":
+        params["id"] = value
+    else:
+        params["forHandle"] = f"@{value}"
+    items = youtube_api("channels", params).get("items", [])
+    if not items:
+        return None, None
+    channel = items[0]
+    return channel["contentDetails"]["relatedPlaylists"]["uploads"], channel["snippet"]["title"]
+
+def get_playlist_videos(playlist_id: str):
+    """재생목록의 영상 목록 (최대 MAX_COURSE_ITEMS개, 재생목록 순서)"""
+    videos = []
+    page_token = None
+    while len(videos) < MAX_COURSE_ITEMS:
+        params = {"part": "snippet", "playlistId": playlist_id, "maxResults": 50}
+        if page_token:
+            params["pageToken"] = page_token
+        data = youtube_api("playlistItems", params)
+        for item in data.get("items", []):
+            snippet = item["snippet"]
+            video_id = snippet.get("resourceId", {}).get("videoId")
+            # 삭제/비공개 영상은 제외
+            if video_id and snippet.get("title") not in ("Deleted video", "Private video"):
+                videos.append({"videoId": video_id, "title": snippet["title"]})
+        page_token = data.get("nextPageToken")
+        if not page_token:
+            break
+    return videos[:MAX_COURSE_ITEMS]
+
+# 4. AI 분석 단계
+# {native}/{target}는 localize_prompt에서 언어 이름으로 바뀜
+SCRIPT_PROMPT = """
+You are an expert language tutor API for {native} speakers learning {target}.
+Analyze the provided YouTube transcript and build the study script for a learning app.
+
+The response MUST be a valid JSON object with this exact structure:
+{
+    "title": "Video Title (Translate to {native} if needed)",
+    "script": [
+        {"segment": int(number in brackets of the transcript line where the sentence starts), "text": "Original {target} sentence", "translation": "{native} translation"}
+    ]
+}
+
+Requirements:
+1. Each transcript line starts with its number in brackets, e.g. "[12] ...".
+2. 'script': Extract key sentences (every 10-20 seconds roughly) ensuring smooth flow.
+3. Return ONLY raw JSON. No markdown formatting.
+"""
+
+VOCABULARY_PROMPT = """
+You are an expert language tutor API for {native} speakers learning {target}.
+Pick the {target} vocabulary worth studying from the provided YouTube transcript.
+
+The response MUST be a valid JSON object with this exact structure:
+{
+    "vocabulary": [
+        {"word": "{target} vocabulary word", "meaning": "{native} meaning", "type": "noun/verb/adj"}
+    ]
+}
+
+Return ONLY raw JSON. No markdown formatting.
+"""
+
+QUIZ_PROMPT = """
+You are an expert language tutor API for {native} speakers learning {target}.
+Write comprehension quiz questions about the provided YouTube transcript.
+
+The response MUST be a valid JSON object with this exact structure:
+{
+    "quizBank": [
+        {
+            "difficulty": "easy/normal/hard",
+            "question": "Question text in {native}",
+            "options": ["Opt1", "Opt2", "Opt3", "Opt4"],
+            "answer": int(index of correct option 0-3),
+            "rationale": "Explanation in {native}"
+        }
+    ]
+}
+
+Requirements:
+1. Generate at least 3 questions (1 easy, 1 normal, 1 hard).
+2. Return ONLY raw JSON. No markdown formatting.
+"""
+
+def localize_prompt(prompt: str, native: str, target: str):
+    """프롬프트의 {native}/{target}을 언어 이름으로 치환 (JSON 예시의 중괄호는 그대로)"""
+    return prompt.replace("{native}", LANGUAGES[native]["name"]).replace("{target}", LANGUAGES[target]["name"])
+
+def ask_json(system_prompt: str, content: str):
+    """시스템 프롬프트와 입력으로 JSON 응답 요청"""
+    return get_model_client().complete_json(system_prompt, content)
+
+def chunk_transcript(raw_transcript, max_chars: int = TRANSCRIPT_CHUNK_CHARS):
+    """자막 조각을 잘라내지 않고 max_chars 이하 묶음으로 나눔"""
+    chunks, current, size = [], [], 0
+    for segment in raw_transcript:
+        length = len(segment["text"]) + 8  # 줄 번호 포함
+        if current and size + length > max_chars:
+            chunks.append(current)
+            current, size = [], 0
+        current.append(segment)
+        size += length
+    if current:
+        chunks.append(current)
+    return chunks
+
+def chunk_content(chunk, number: int, total: int):
+    """자막 조각마다 번호를 붙여, 모델이 문장의 시작 위치를 번호로 알려주게 함"""
+    lines = "\n".join(f"[{i}] {segment['text']}" for i, segment in enumerate(chunk))
+    header = f"Transcript (part {number + 1} of {total}):" if total > 1 else "Transcript:"
+    return f"{header}\n{lines}"
+
+def ask_chunks(prompt: str, chunks):
+    """묶음마다 같은 프롬프트로 요청해 (묶음, 응답)을 차례로 돌려줌"""
+    for number, chunk in enumerate(chunks):
+        yield chunk, ask_json(prompt, chunk_content(chunk, number, len(chunks)))
+
+def segment_time(chunk, item: dict):
+    """스크립트 문장의 실제 자막 시작 시각. 번호가 없거나 틀리면 모델이 준 time에 가장 가까운 자막 조각"""
+    index = item.get("segment")
+    # 모델이 번호를 "12"처럼 문자열로 주기도 함
+    if isinstance(index, str) and index.strip().isdigit():
+        index = int(index.strip())
+    if isinstance(index, int) and not isinstance(index, bool) and 0 <= index < len(chunk):
+        return chunk[index]["start"]
+    guess = item.get("time")
+    if isinstance(guess, (int, float)):
+        return min((segment["start"] for segment in chunk), key=lambda start: abs(start - guess))
+    return chunk[0]["start"]
+
+def build_script(chunks, native: str, target: str):
+    title, script = None, []
+    for chunk, result in ask_chunks(localize_prompt(SCRIPT_PROMPT, native, target), chunks):
+        title = title or result.get("title")
+        for item in result.get("script", []):
+            if not item.get("text"):
+                continue
+            script.append({
+                "time": round(segment_time(chunk, item), 2),
+                "text": item["text"],
+                "translation": item.get("translation", ""),
+            })
+    script.sort(key=lambda line: line["time"])
+    return {"title": title, "script": script}
+
+def build_vocabulary(chunks, native: str, target: str):
+    """묶음별 단어를 합침 (같은 단어는 처음 나온 것만)"""
+    vocabulary, seen = [], set()
+    for _, result in ask_chunks(localize_prompt(VOCABULARY_PROMPT, native, target), chunks):
+        for item in result.get("vocabulary", []):
+            key = str(item.get("word", "")).strip().lower()
+            if key and key not in seen:
+                seen.add(key)
+                vocabulary.append(item)
+    return vocabulary
+
+def build_quiz(chunks, native: str, target: str):
+    """묶음별 문제를 합침 (같은 질문은 한 번만)"""
+    quiz_bank, seen = [], set()
+    for _, result in ask_chunks(localize_prompt(QUIZ_PROMPT, native, target), chunks):
+        for item in result.get("quizBank", []):
+            key = str(item.get("question", "")).strip()
+            if key and key not in seen:
+                seen.add(key)
+                quiz_bank.append(item)
+    return quiz_bank
+
+def get_cached_analysis(video_id: str, native: str, target: str):
+    with db_lock:
+        row = db.execute(
+            "SELECT result FROM analysis_cache WHERE video_id = ? AND native = ? AND target = ? AND version = ?",
+            (video_id, native, target, ANALYSIS_CACHE_VERSION),
+        ).fetchone()
+    return json.loads(row[0]) if row else None
+
+def save_cached_analysis(result: dict):
+    with db_lock, db:
+        db.execute(
+            "INSERT OR REPLACE INTO analysis_cache (video_id, native, target, version, result, created_at) VALUES (?, ?, ?, ?, ?, ?)",
+            (result["videoId"], result["nativeLanguage"], result["targetLanguage"], ANALYSIS_CACHE_VERSION, json.dumps(result, ensure_ascii=False), time.time()),
+        )
+
+# 5. 분석 작업 (단계별 진행 상황 조회용)
+class JobCancelled(Exception):
+    pass
+
+def job_snapshot(job: dict):
+    """클라이언트에 보낼 작업 상태 (내부 필드 제외)"""
+    return {
+        "jobId": job["jobId"],
+        "status": job["status"],
+        "stages": job["stages"],
+        "result": job["result"],
+        "error": job["error"],
+    }
+
+def cleanup_jobs():
+    """오래된 작업 정리"""
+    expired = time.time() - JOB_TTL_SECONDS
+    with jobs_lock:
+        for job_id in [k for k, job in jobs.items() if job["updatedAt"] < expired]:
+            del jobs[job_id]
+
+def run_analysis_job(job_id: str):
+    """단계마다 결과를 작업에 채워 넣어 프론트가 먼저 끝난 부분부터 쓸 수 있게 함"""
+    job = jobs[job_id]
+    result = job["result"]
+    native, target = result["nativeLanguage"], result["targetLanguage"]
+    current = None
+
+    def start_stage(name: str):
+        nonlocal current
+        if job["cancelled"]:
+            raise JobCancelled()
+        current = name
+        job["stages"][name] = "running"
+        job["updatedAt"] = time.time()
+
+    def finish_stage():
+        job["stages"][current] = "done"
+        job["updatedAt"] = time.time()
+
+    try:
+        start_stage("transcript")
+        raw_transcript = get_transcript(result["videoId"], target)
+        if not raw_transcript:
+            raise ApiException(404, "no_transcript", "배우는 언어의 자막을 찾을 수 없는 영상입니다.")
+        chunks = chunk_transcript(raw_transcript)
+        finish_stage()
+
+        start_stage("script")
+        result.update(build_script(chunks, native, target))
+        finish_stage()
+
+        start_stage("vocabulary")
+        result["vocabulary"] = build_vocabulary(chunks, native, target)
+        finish_stage()
+
+        start_stage("quiz")
+        result["quizBank"] = build_quiz(chunks, native, target)
+        finish_stage()
+
+        save_cached_analysis(result)
+        job["status"] = "done"
+    except JobCancelled:
+        job["status"] = "cancelled"
+    except HTTPException as e:
+        job["stages"][current] = "failed"
+        job["status"] = "failed"
+        job["error"] = {"status": e.status_code, "code": getattr(e, "code", None), "detail": e.detail}
+    except Exception as e:
+        print(f"AI Error: {e}")
+        job["stages"][current] = "failed"
+        job["status"] = "failed"
+        job["error"] = {"status": 500, "code": "analysis_failed", "detail": "AI 분석 중 오류가 발생했습니다."}
+    job["updatedAt"] = time.time()
+
+# 6. 메인 API 엔드포인트
+# 모델 호출과 YouTube API 요청은 오래 걸리는 동기 호출이므로 이를 부르는 엔드포인트는 async가 아닌 def로 둡니다.
+# (FastAPI가 스레드 풀에서 실행해 그동안에도 작업 상태 조회 등이 처리됨)
 @app.post("/api/analyze")
-async def analyze_video(req: AnalyzeRequest):
+def analyze_video(req: AnalyzeRequest):
     video_id = extract_video_id(req.url)
     if not video_id:
-        raise HTTPException(status_code=400, detail="유효하지 않은 유튜브 URL입니다.")
+        raise ApiException(400, "invalid_url", "유효하지 않은 유튜브 URL입니다.")
+    native, target = req.nativeLanguage, req.targetLanguage
+    check_languages(native, target)
+
+    # 같은 영상과 언어 쌍은 캐시된 결과를 그대로 돌려줌
+    cached = get_cached_analysis(video_id, native, target)
+    if cached:
+        return cached
 
     # 자막 가져오기
-    raw_transcript = get_transcript(video_id)
+    raw_transcript = get_transcript(video_id, target)
     if not raw_transcript:
-        raise HTTPException(status_code=404, detail="자막을 찾을 수 없는 영상입니다.")
-
-    # 프롬프트 생성을 위한 텍스트 병합 (길이 제한 고려)
-    full_text = " ".join([t['text'] for t in raw_transcript])[:15000]
-
-    # AI에게 보낼 시스템 프롬프트
-    system_prompt = """
-    You are an expert language tutor API. 
-    Analyze the provided YouTube transcript and generate a structured JSON response for a learning app.
-    
-    The response MUST be a valid JSON object with this exact structure:
-    {
-        "title": "Video Title (Translate to Korean if needed)",
-        "script": [
-            {"time": float(seconds), "text": "Original sentence", "kr": "Korean translation"}
-        ],
-        "vocabulary": [
-            {"word": "vocabulary word", "meaning": "Korean meaning", "type": "noun/verb/adj"}
-        ],
-        "quizBank": [
-            {
-                "difficulty": "easy/normal/hard",
-                "question": "Question text",
-                "options": ["Opt1", "Opt2", "Opt3", "Opt4"],
-                "answer": int(index of correct option 0-3),
-                "rationale": "Explanation in Korean"
-            }
-        ]
-    }
-    
-    Requirements:
-    1. 'script': Extract key sentences (every 10-20 seconds roughly) ensuring smooth flow.
-    2. 'quizBank': Generate at least 3 questions (1 easy, 1 normal, 1 hard).
-    3. Return ONLY raw JSON. No markdown formatting.
-    """
+        raise ApiException(404, "no_transcript", "배우는 언어의 자막을 찾을 수 없는 영상입니다.")
+
+    chunks = chunk_transcript(raw_transcript)
 
     try:
-        response = client.chat.completions.create(
-            model="gpt-4o", # 또는 gpt-3.5-turbo
-            messages=[
-                {"role": "system", "content": system_prompt},
-                {"role": "user", "content": f"Transcript:\n{full_text}"}
-            ],
-            response_format={"type": "json_object"}
-        )
-        
-        result = json.loads(response.choices[0].message.content)
-        
-        # 비디오 ID 추가하여 반환
+        result = build_script(chunks, native, target)
+        result['vocabulary'] = build_vocabulary(chunks, native, target)
+        result['quizBank'] = build_quiz(chunks, native, target)
+
+        # 비디오 ID와 언어 쌍 추가하여 반환
         result['videoId'] = video_id
-        
+        result['nativeLanguage'] = native
+        result['targetLanguage'] = target
+        save_cached_analysis(result)
+
         # 썸네일은 프론트에서 처리하므로 ID만 주면 됨
         return result
 
     except Exception as e:
         print(f"AI Error: {e}")
-        raise HTTPException(status_code=500, detail="AI 분석 중 오류가 발생했습니다.")
+        raise ApiException(500, "analysis_failed", "AI 분석 중 오류가 발생했습니다.")
+
+@app.post("/api/analyze/jobs")
+def create_analysis_job(req: AnalyzeRequest, background_tasks: BackgroundTasks):
+    """분석을 백그라운드 작업으로 시작. 진행 상황은 GET /api/analyze/jobs/{job_id}로 조회"""
+    video_id = extract_video_id(req.url)
+    if not video_id:
+        raise ApiException(400, "invalid_url", "유효하지 않은 유튜브 URL입니다.")
+    check_languages(req.nativeLanguage, req.targetLanguage)
+
+    cleanup_jobs()
+    # 캐시된 결과가 있으면 모든 단계가 끝난 작업으로 바로 돌려줌
+    cached = get_cached_analysis(video_id, req.nativeLanguage, req.targetLanguage)
+    job_id = uuid.uuid4().hex
+    job = {
+        "jobId": job_id,
+        "status": "done" if cached else "running",
+        "stages": {name: "done" if cached else "pending" for name in ANALYSIS_STAGES},
+        "result": cached or {"videoId": video_id, "nativeLanguage": req.nativeLanguage, "targetLanguage": req.targetLanguage},
+        "error": None,
+        "cancelled": False,
+        "updatedAt": time.time(),
+    }
+    with jobs_lock:
+        jobs[job_id] = job
+    if not cached:
+        background_tasks.add_task(run_analysis_job, job_id)
+    return job_snapshot(job)
+
+@app.get("/api/analyze/jobs/{job_id}")
+async def get_analysis_job(job_id: str):
+    job = jobs.get(job_id)
+    if not job:
+        raise ApiException(404, "job_not_found", "분석 작업을 찾을 수 없습니다.")
+    return job_snapshot(job)
+
+@app.delete("/api/analyze/jobs/{job_id}")
+async def cancel_analysis_job(job_id: str):
+    """진행 중인 AI 요청은 끝까지 가지만, 다음 단계로 넘어가지 않음"""
+    job = jobs.get(job_id)
+    if not job:
+        raise ApiException(404, "job_not_found", "분석 작업을 찾을 수 없습니다.")
+    job["cancelled"] = True
+    return job_snapshot(job)
+
+@app.post("/api/lookup")
+def lookup_word(req: LookupRequest):
+    """스크립트에서 탭한 단어의 뜻과 품사 (문맥 반영)"""
+    word = req.word.strip()
+    if not word or len(word) > 50:
+        raise ApiException(400, "invalid_word", "유효하지 않은 단어입니다.")
+    check_languages(req.nativeLanguage, req.targetLanguage)
+
+    system_prompt = localize_prompt("""
+    You are a dictionary API for {native} speakers learning {target}.
+    Given a word and the sentence it appears in, return a JSON object:
+    {"word": "dictionary form of the word", "meaning": "{native} meaning in this context", "type": "noun/verb/adj/adv/etc"}
+    Return ONLY raw JSON.
+    """, req.nativeLanguage, req.targetLanguage)
+
+    try:
+        return ask_json(system_prompt, f"Word: {word}\nSentence: {req.sentence}")
+    except Exception as e:
+        print(f"Lookup Error: {e}")
+        raise ApiException(500, "lookup_failed", "단어 뜻을 찾지 못했습니다.")
+
+@app.post("/api/playlist")
+def get_playlist(req: PlaylistRequest):
+    if not YOUTUBE_API_KEY:
+        raise ApiException(501, "playlist_unavailable", "재생목록 가져오기가 설정되지 않은 서버입니다.")
+
+    kind, value = extract_collection(req.url)
+    if not kind:
+        raise ApiException(400, "not_playlist", "재생목록 또는 채널 URL이 아닙니다.")
+
+    try:
+        title = None
+        playlist_id = value
+        if kind != "playlist":
+            playlist_id, title = get_uploads_playlist(kind, value)
+            if not playlist_id:
+                raise ApiException(404, "channel_not_found", "채널을 찾을 수 없습니다.")
+        else:
+            items = youtube_api("playlists", {"part": "snippet", "id": playlist_id}).get("items", [])
+            if not items:
+                raise ApiException(404, "playlist_not_found", "재생목록을 찾을 수 없습니다.")
+            title = items[0]["snippet"]["title"]
+
+        videos = get_playlist_videos(playlist_id)
+    except HTTPException:
+        raise
+    except Exception as e:
+        print(f"Playlist Error: {e}")
+        raise ApiException(502, "playlist_fetch_failed", "재생목록을 불러오지 못했습니다.")
+
+    if not videos:
+        raise ApiException(404, "playlist_empty", "재생목록에 영상이 없습니다.")
+
+    return {"playlistId": playlist_id, "title": title, "videos": videos}
+
+# 7. 계정 (토큰 인증)
+# 비밀번호 해시(PBKDF2)와 DB 접근은 동기 작업이므로 계정/동기화 엔드포인트는 async가 아닌 def로 둡니다.
+def hash_password(password: str, salt: str):
+    return hashlib.pbkdf2_hmac("sha256", password.encode(), bytes.fromhex(salt), PASSWORD_ITERATIONS).hex()
+
+# 없는 이메일로 로그인해도 같은 해시 계산을 거치게 해서, 응답 시간으로 가입 여부가 드러나지 않게 함
+DUMMY_SALT = secrets.token_hex(16)
+
+def hash_token(token: str):
+    return hashlib.sha256(token.encode()).hexdigest()
+
+def issue_token(user_id: int):
+    """새 토큰 발급 (DB에는 해시만 저장)"""
+    token = secrets.token_urlsafe(32)
+    with db_lock, db:
+        db.execute("INSERT INTO tokens (token_hash, user_id, created_at) VALUES (?, ?, ?)", (hash_token(token), user_id, time.time()))
+    return token
+
+def check_credentials(req: AuthRequest):
+    email = req.email.strip().lower()
+    if not re.fullmatch(r"[^@\s]+@[^@\s]+\.[^@\s]+", email) or len(email) > 200:
+        raise ApiException(400, "invalid_email", "이메일 형식이 올바르지 않습니다.")
+    if len(req.password) < 8:
+        raise ApiException(400, "weak_password", "비밀번호는 8자 이상이어야 합니다.")
+    return email
+
+def current_user(authorization: str = Header(None)):
+    """Authorization: Bearer <token> 헤더로 사용자 확인. 유효 기간이 지난 토큰은 지움"""
+    if not authorization or not authorization.startswith("Bearer "):
+        raise ApiException(401, "login_required", "로그인이 필요합니다.")
+    token_hash = hash_token(authorization[len("Bearer "):])
+    with db_lock, db:
+        db.execute("DELETE FROM tokens WHERE created_at < ?", (time.time() - TOKEN_TTL_SECONDS,))
+        row = db.execute(
+            "SELECT users.id, users.email FROM tokens JOIN users ON users.id = tokens.user_id WHERE tokens.token_hash = ?",
+            (token_hash,),
+        ).fetchone()
+    if not row:
+        raise ApiException(401, "session_expired", "로그인이 만료되었거나 유효하지 않습니다. 다시 로그인해주세요.")
+    return {"id": row[0], "email": row[1]}
+
+@app.post("/api/auth/register")
+def register(req: AuthRequest):
+    email = check_credentials(req)
+    salt = secrets.token_hex(16)
+    try:
+        with db_lock, db:
+            cursor = db.execute(
+                "INSERT INTO users (email, password_hash, salt, created_at) VALUES (?, ?, ?, ?)",
+                (email, hash_password(req.password, salt), salt, time.time()),
+            )
+    except sqlite3.IntegrityError:
+        raise ApiException(409, "email_taken", "이미 가입된 이메일입니다.")
+    return {"token": issue_token(cursor.lastrowid), "user": {"email": email}}
+
+@app.post("/api/auth/login")
+def login(req: AuthRequest):
+    email = req.email.strip().lower()
+    with db_lock:
+        row = db.execute("SELECT id, password_hash, salt FROM users WHERE email = ?", (email,)).fetchone()
+    if not row:
+        hash_password(req.password, DUMMY_SALT)
+        raise ApiException(401, "wrong_credentials", "이메일 또는 비밀번호가 올바르지 않습니다.")
+    if not secrets.compare_digest(row[1], hash_password(req.password, row[2])):
+        raise ApiException(401, "wrong_credentials", "이메일 또는 비밀번호가 올바르지 않습니다.")
+    return {"token": issue_token(row[0]), "user": {"email": email}}
+
+@app.post("/api/auth/logout")
+def logout(authorization: str = Header(None), user: dict = Depends(current_user)):
+    with db_lock, db:
+        db.execute("DELETE FROM tokens WHERE token_hash = ?", (hash_token(authorization[len("Bearer "):]),))
+    return {"status": "ok"}
+
+@app.get("/api/me")
+def get_me(user: dict = Depends(current_user)):
+    return {"email": user["email"]}
+
+# 8. 계정 데이터 동기화 (REST)
+# 오프라인 동안의 학습 기록도 다시 온라인이 되면 이 엔드포인트로 올라옵니다.
+# 항목마다 더 나중에 바뀐 값이 이깁니다(last-writer-wins). 단어는 단어별 행이라 기기마다 저장한 단어가 합쳐집니다.
+# 지운 항목은 value가 null인 삭제 표시로 남겨, 다른 기기의 예전 값이 되살리지 못하게 합니다.
+def changed_items(user_id: int, kind: str, since: int):
+    with db_lock:
+        rows = db.execute(
+            "SELECT key, value, updated_at, version FROM user_data WHERE user_id = ? AND kind = ? AND version > ? ORDER BY version",
+            (user_id, kind, since),
+        ).fetchall()
+        cursor = db.execute("SELECT COALESCE(MAX(version), 0) FROM user_data WHERE user_id = ? AND kind = ?", (user_id, kind)).fetchone()[0]
+    return {
+        "items": [{"key": key, "value": json.loads(value), "updatedAt": updated_at} for key, value, updated_at, _ in rows],
+        "cursor": cursor,
+    }
+
+def merge_items(user_id: int, kind: str, req: SyncItemsRequest):
+    """받은 항목을 저장된 값과 비교해 더 최신인 것만 반영하고, since 이후 바뀐 항목을 돌려줌"""
+    if len(req.items) > MAX_SYNC_ITEMS:
+        raise ApiException(400, "too_many_items", "한 번에 보낼 수 있는 항목 수를 넘었습니다.")
+    items = [
+        item for item in req.items
+        if isinstance(item, dict) and isinstance(item.get("key"), str) and item["key"]
+        and isinstance(item.get("updatedAt"), (int, float)) and "value" in item
+    ]
+    with db_lock, db:
+        version = db.execute("SELECT COALESCE(MAX(version), 0) FROM user_data WHERE user_id = ?", (user_id,)).fetchone()[0]
+        for item in items:
+            version += 1
+            db.execute(
+                """
+                INSERT INTO user_data (user_id, kind, key, value, updated_at, version) VALUES (?, ?, ?, ?, ?, ?)
+                ON CONFLICT (user_id, kind, key) DO UPDATE SET
+                    value = excluded.value, updated_at = excluded.updated_at, version = excluded.version
+                WHERE excluded.updated_at > user_data.updated_at
+                """,
+                (user_id, kind, item["key"], json.dumps(item["value"], ensure_ascii=False), int(item["updatedAt"]), version),
+            )
+    return changed_items(user_id, kind, req.since)
+
+@app.get("/api/me/stats")
+def get_stats(since: int = 0, user: dict = Depends(current_user)):
+    return changed_items(user["id"], "stats", since)
+
+@app.put("/api/me/stats")
+def put_stats(req: SyncItemsRequest, user: dict = Depends(current_user)):
+    return merge_items(user["id"], "stats", req)
+
+@app.get("/api/me/words")
+def get_words(since: int = 0, user: dict = Depends(current_user)):
+    return changed_items(user["id"], "words", since)
+
+@app.put("/api/me/words")
+def put_words(req: SyncItemsRequest, user: dict = Depends(current_user)):
+    return merge_items(user["id"], "words", req)
+
+@app.get("/api/me/lessons")
+def get_lessons(since: int = 0, user: dict = Depends(current_user)):
+    return changed_items(user["id"], "lessons", since)
+
+@app.put("/api/me/lessons")
+def put_lessons(req: SyncItemsRequest, user: dict = Depends(current_user)):
+    return merge_items(user["id"], "lessons", req)
+
+@app.get("/api/me/quiz-results")
+def get_quiz_results(since: int = 0, user: dict = Depends(current_user)):
+    return changed_items(user["id"], "quizResults", since)
+
+@app.post("/api/me/quiz-results")
+def post_quiz_results(req: SyncItemsRequest, user: dict = Depends(current_user)):
+    return merge_items(user["id"], "quizResults", req)
 
 @app.get("/")
 def health_check():
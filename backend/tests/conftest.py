@@ -0,0 +1,68 @@
+# 백엔드 테스트 공용 설정
+# 실행: cd backend && pip install -r requirements-dev.txt && pytest
+# 실제 OpenAI/YouTube/DB 대신 가짜 모델 클라이언트와 임시 SQLite 파일을 씁니다.
+import os
+import re
+import sys
+import tempfile
+
+import pytest
+
+# main은 불러올 때 DB에 연결하므로 그 전에 임시 DB 경로를 지정
+os.environ["DATABASE_PATH"] = os.path.join(tempfile.mkdtemp(prefix="tubelingo-test-"), "test.db")
+sys.path.insert(0, os.path.dirname(os.path.dirname(os.path.abspath(__file__))))
+
+import main  # noqa: E402
+
+
+class FakeModelClient:
+    """프롬프트 종류별로 정해진 JSON을 돌려주고 받은 요청을 기록하는 가짜 모델
+
+    스크립트는 묶음마다 첫 줄과 마지막 줄을 문장으로 고르고(번호는 문자열로),
+    단어는 모든 묶음에서 같은 단어를, 퀴즈는 묶음마다 다른 질문을 돌려줍니다.
+    """
+
+    def __init__(self):
+        self.calls = []
+
+    def complete_json(self, system_prompt: str, content: str):
+        self.calls.append((system_prompt, content))
+        lines = re.findall(r"^\[(\d+)\] (.*)$", content, re.M)
+        if '"script"' in system_prompt:
+            first, last = lines[0], lines[-1]
+            return {
+                "title": "Fake title",
+                "script": [
+                    {"segment": first[0], "text": first[1], "translation": "번역"},
+                    {"segment": int(last[0]), "text": last[1], "translation": "번역"},
+                ],
+            }
+        if '"vocabulary"' in system_prompt:
+            return {"vocabulary": [{"word": "Hello", "meaning": "안녕", "type": "noun"}]}
+        if '"quizBank"' in system_prompt:
+            return {"quizBank": [{
+                "difficulty": "normal",
+                "question": f"What comes first? {lines[0][1]}",
+                "options": ["a", "b", "c", "d"],
+                "answer": 0,
+                "rationale": "",
+            }]}
+        return {"word": "hello", "meaning": "안녕", "type": "interjection"}
+
+
+@pytest.fixture
+def fake_model():
+    fake = FakeModelClient()
+    main.set_model_client(fake)
+    yield fake
+    main.set_model_client(None)
+
+
+@pytest.fixture(autouse=True)
+def clean_state():
+    """테스트마다 DB와 메모리 상태를 비움"""
+    yield
+    with main.db_lock, main.db:
+        for table in ("analysis_cache", "user_data", "tokens", "users"):
+            main.db.execute(f"DELETE FROM {table}")
+    main.jobs.clear()
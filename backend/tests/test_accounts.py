@@ -0,0 +1,159 @@
+# 계정(토큰 인증)과 계정 데이터 동기화. conftest의 임시 SQLite DB를 씁니다.
+import time
+
+import pytest
+
+import main
+
+
+def register(email="learner@example.com", password="password1"):
+    return main.register(main.AuthRequest(email=email, password=password))
+
+
+def bearer(token: str):
+    return f"Bearer {token}"
+
+
+def items(*entries):
+    return [{"key": key, "value": value, "updatedAt": updated_at} for key, value, updated_at in entries]
+
+
+def test_register_and_login_issue_working_tokens():
+    registered = register(email="Learner@Example.com")
+    assert registered["user"] == {"email": "learner@example.com"}
+
+    logged_in = main.login(main.AuthRequest(email="learner@example.com", password="password1"))
+    user = main.current_user(bearer(logged_in["token"]))
+    assert user["email"] == "learner@example.com"
+    assert main.current_user(bearer(registered["token"]))["id"] == user["id"]
+
+
+@pytest.mark.parametrize("email, password, status", [
+    ("not-an-email", "password1", 400),
+    ("learner@example.com", "short", 400),
+])
+def test_register_rejects_invalid_credentials(email, password, status):
+    with pytest.raises(main.HTTPException) as err:
+        register(email=email, password=password)
+    assert err.value.status_code == status
+
+
+def test_register_rejects_duplicate_email():
+    register()
+    with pytest.raises(main.HTTPException) as err:
+        register(email="LEARNER@example.com")
+    assert err.value.status_code == 409
+
+
+def test_login_rejects_wrong_password():
+    register()
+    with pytest.raises(main.HTTPException) as err:
+        main.login(main.AuthRequest(email="learner@example.com", password="wrongpass"))
+    assert err.value.status_code == 401
+    assert err.value.code == "wrong_credentials"
+
+
+def test_login_with_unknown_email_still_hashes_password(monkeypatch):
+    register()
+    salts = []
+    original = main.hash_password
+    monkeypatch.setattr(main, "hash_password", lambda password, salt: salts.append(salt) or original(password, salt))
+
+    for email in ("nobody@example.com", "learner@example.com"):
+        with pytest.raises(main.HTTPException) as err:
+            main.login(main.AuthRequest(email=email, password="wrongpass"))
+        assert err.value.status_code == 401
+    assert salts[0] == main.DUMMY_SALT
+    assert len(salts) == 2
+
+
+def test_logout_revokes_token():
+    token = register()["token"]
+    user = main.current_user(bearer(token))
+    main.logout(bearer(token), user)
+
+    with pytest.raises(main.HTTPException) as err:
+        main.current_user(bearer(token))
+    assert err.value.status_code == 401
+
+
+def test_expired_token_is_rejected_and_removed():
+    token = register()["token"]
+    with main.db_lock, main.db:
+        main.db.execute("UPDATE tokens SET created_at = ?", (time.time() - main.TOKEN_TTL_SECONDS - 1,))
+
+    with pytest.raises(main.HTTPException) as err:
+        main.current_user(bearer(token))
+    assert err.value.status_code == 401
+    assert main.db.execute("SELECT COUNT(*) FROM tokens").fetchone()[0] == 0
+
+
+def test_missing_authorization_header_is_rejected():
+    with pytest.raises(main.HTTPException) as err:
+        main.current_user(None)
+    assert err.value.status_code == 401
+
+
+def test_newer_value_wins_per_item():
+    user = main.current_user(bearer(register()["token"]))
+
+    first = main.put_stats(main.SyncItemsRequest(items=items(("xp", 100, 10), ("streak", 3, 10))), user)
+    assert {item["key"]: item["value"] for item in first["items"]} == {"xp": 100, "streak": 3}
+
+    # xp는 더 오래된 값이라 무시되고, streak만 반영됨
+    second = main.put_stats(main.SyncItemsRequest(items=items(("xp", 50, 5), ("streak", 4, 20)), since=first["cursor"]), user)
+    assert [(item["key"], item["value"]) for item in second["items"]] == [("streak", 4)]
+
+    everything = main.get_stats(0, user)
+    assert {item["key"]: item["value"] for item in everything["items"]} == {"xp": 100, "streak": 4}
+    assert everything["cursor"] == second["cursor"]
+
+
+def test_words_from_two_devices_are_merged():
+    user = main.current_user(bearer(register()["token"]))
+
+    device_a = main.put_words(main.SyncItemsRequest(items=items(("apple", {"word": "apple"}, 1))), user)
+    device_b = main.put_words(main.SyncItemsRequest(items=items(("banana", {"word": "banana"}, 2))), user)
+
+    assert {item["key"] for item in device_b["items"]} == {"apple", "banana"}
+    # 기기 A는 자기 커서 이후에 바뀐 banana만 받음
+    assert [item["key"] for item in main.get_words(device_a["cursor"], user)["items"]] == ["banana"]
+
+
+def test_deleted_item_stays_deleted_against_older_values():
+    user = main.current_user(bearer(register()["token"]))
+
+    main.put_lessons(main.SyncItemsRequest(items=items(("vid1", {"title": "A"}, 10))), user)
+    main.put_lessons(main.SyncItemsRequest(items=items(("vid1", None, 20))), user)
+    # 지우기 전에 받은 값을 다른 기기가 늦게 보내도 삭제 표시가 남음
+    main.put_lessons(main.SyncItemsRequest(items=items(("vid1", {"title": "A"}, 15))), user)
+
+    assert main.get_lessons(0, user)["items"] == [{"key": "vid1", "value": None, "updatedAt": 20}]
+
+
+def test_sync_data_is_separated_per_user_and_kind():
+    alice = main.current_user(bearer(register(email="alice@example.com")["token"]))
+    bob = main.current_user(bearer(register(email="bob@example.com")["token"]))
+
+    main.put_lessons(main.SyncItemsRequest(items=items(("vid1", {"title": "A"}, 1))), alice)
+    main.post_quiz_results(main.SyncItemsRequest(items=items(("r1", {"score": 3}, 1))), alice)
+
+    assert main.get_lessons(0, bob) == {"items": [], "cursor": 0}
+    assert [item["key"] for item in main.get_lessons(0, alice)["items"]] == ["vid1"]
+    assert [item["key"] for item in main.get_quiz_results(0, alice)["items"]] == ["r1"]
+
+
+def test_malformed_items_are_ignored_and_batch_size_is_limited():
+    user = main.current_user(bearer(register()["token"]))
+
+    result = main.put_stats(main.SyncItemsRequest(items=[
+        {"key": "xp", "value": 1, "updatedAt": 1},
+        {"key": "", "value": 1, "updatedAt": 1},
+        {"key": "streak", "value": 1},
+        "garbage",
+    ]), user)
+    assert [item["key"] for item in result["items"]] == ["xp"]
+
+    with pytest.raises(main.HTTPException) as err:
+        main.put_stats(main.SyncItemsRequest(items=items(*[(f"k{i}", i, 1) for i in range(main.MAX_SYNC_ITEMS + 1)])), user)
+    assert err.value.status_code == 400
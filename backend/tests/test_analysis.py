@@ -0,0 +1,115 @@
+# 분석 파이프라인: 긴 자막 나누기, 실제 자막 시각, 결과 캐시
+import main
+
+
+class RecordingTasks:
+    """BackgroundTasks 대신 예약된 작업만 기록"""
+
+    def __init__(self):
+        self.tasks = []
+
+    def add_task(self, func, *args):
+        self.tasks.append((func, args))
+
+
+def make_transcript(count: int, words_per_line: int = 40):
+    return [{"text": f"line{i} " + "word " * words_per_line, "start": i * 4.5, "duration": 4.5} for i in range(count)]
+
+
+def analyze_request(native="ko", target="en"):
+    return main.AnalyzeRequest(url="https://youtu.be/abcdefghijk", nativeLanguage=native, targetLanguage=target)
+
+
+def test_chunk_transcript_keeps_every_segment_within_limit():
+    transcript = make_transcript(300)
+    chunks = main.chunk_transcript(transcript, max_chars=2000)
+
+    assert len(chunks) > 1
+    assert [segment for chunk in chunks for segment in chunk] == transcript
+    for chunk in chunks:
+        assert sum(len(segment["text"]) + 8 for segment in chunk) <= 2000
+
+
+def test_segment_time_uses_real_offsets():
+    chunk = [{"text": "a", "start": 10.0}, {"text": "b", "start": 14.5}, {"text": "c", "start": 20.0}]
+
+    assert main.segment_time(chunk, {"segment": 1}) == 14.5
+    assert main.segment_time(chunk, {"segment": " 2 "}) == 20.0
+    # 번호가 범위를 벗어나면 모델이 준 time에 가장 가까운 자막
+    assert main.segment_time(chunk, {"segment": 7, "time": 15}) == 14.5
+    assert main.segment_time(chunk, {"segment": "x"}) == 10.0
+
+
+def test_long_video_is_analyzed_in_chunks_and_merged(fake_model, monkeypatch):
+    transcript = make_transcript(600)
+    monkeypatch.setattr(main, "get_transcript", lambda video_id, target: transcript)
+
+    result = main.analyze_video(analyze_request())
+
+    chunks = main.chunk_transcript(transcript)
+    assert len(chunks) > 1
+    assert len(fake_model.calls) == 3 * len(chunks)
+    # 마지막 묶음의 마지막 줄까지 스크립트에 들어가고, 시각은 실제 자막 시작 시각
+    times = [line["time"] for line in result["script"]]
+    assert times == sorted(times)
+    assert times[0] == transcript[0]["start"]
+    assert times[-1] == transcript[-1]["start"]
+    assert {line["time"] for line in result["script"]} <= {segment["start"] for segment in transcript}
+    # 같은 단어는 한 번만, 퀴즈는 묶음마다
+    assert len(result["vocabulary"]) == 1
+    assert len(result["quizBank"]) == len(chunks)
+    assert result["videoId"] == "abcdefghijk"
+
+
+def test_analysis_is_cached_per_video_and_language(fake_model, monkeypatch):
+    monkeypatch.setattr(main, "get_transcript", lambda video_id, target: make_transcript(5))
+
+    first = main.analyze_video(analyze_request())
+    calls = len(fake_model.calls)
+    assert main.analyze_video(analyze_request()) == first
+    assert len(fake_model.calls) == calls
+
+    # 언어 쌍이 다르면 다시 분석
+    other = main.analyze_video(analyze_request(native="ja"))
+    assert other["nativeLanguage"] == "ja"
+    assert len(fake_model.calls) > calls
+
+
+def test_analysis_job_fills_cache_and_cached_job_finishes_immediately(fake_model, monkeypatch):
+    monkeypatch.setattr(main, "get_transcript", lambda video_id, target: make_transcript(5))
+
+    tasks = RecordingTasks()
+    job = main.create_analysis_job(analyze_request(), tasks)
+    assert job["status"] == "running"
+    func, args = tasks.tasks[0]
+    func(*args)
+    assert main.jobs[job["jobId"]]["status"] == "done"
+
+    calls = len(fake_model.calls)
+    cached_tasks = RecordingTasks()
+    cached = main.create_analysis_job(analyze_request(), cached_tasks)
+    assert cached["status"] == "done"
+    assert set(cached["stages"].values()) == {"done"}
+    assert cached["result"]["script"] == main.jobs[job["jobId"]]["result"]["script"]
+    assert cached_tasks.tasks == []
+    assert len(fake_model.calls) == calls
+
+
+def test_failed_analysis_is_not_cached(fake_model, monkeypatch):
+    monkeypatch.setattr(main, "get_transcript", lambda video_id, target: None)
+
+    tasks = RecordingTasks()
+    job = main.create_analysis_job(analyze_request(), tasks)
+    func, args = tasks.tasks[0]
+    func(*args)
+
+    assert main.jobs[job["jobId"]]["status"] == "failed"
+    assert main.jobs[job["jobId"]]["error"]["code"] == "no_transcript"
+    assert main.get_cached_analysis("abcdefghijk", "ko", "en") is None
+
+
+def test_lookup_uses_swapped_model_client(fake_model):
+    result = main.lookup_word(main.LookupRequest(word="hello", sentence="hello there"))
+
+    assert result["meaning"] == "안녕"
+    assert "Word: hello" in fake_model.calls[0][1]
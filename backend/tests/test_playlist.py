@@ -0,0 +1,37 @@
+# 재생목록 가져오기. YouTube Data API 대신 정해진 응답을 돌려주는 가짜를 씁니다.
+import main
+
+
+def fake_youtube_api(pages):
+    calls = []
+
+    def youtube_api(resource, params):
+        calls.append((resource, params))
+        if resource == "playlists":
+            return {"items": [{"snippet": {"title": "Course"}}]}
+        return pages[params.get("pageToken", "")]
+
+    return youtube_api, calls
+
+
+def playlist_item(video_id, title):
+    return {"snippet": {"title": title, "resourceId": {"videoId": video_id}}}
+
+
+def test_playlist_pages_are_collected_without_removed_videos(monkeypatch):
+    youtube_api, calls = fake_youtube_api({
+        "": {"items": [playlist_item("a" * 11, "First"), playlist_item("b" * 11, "Deleted video")], "nextPageToken": "p2"},
+        "p2": {"items": [playlist_item("c" * 11, "Third")]},
+    })
+    monkeypatch.setattr(main, "YOUTUBE_API_KEY", "test-key")
+    monkeypatch.setattr(main, "youtube_api", youtube_api)
+
+    # 블로킹 요청을 하므로 스레드 풀에서 도는 일반 함수로 바로 호출됨
+    result = main.get_playlist(main.PlaylistRequest(url="https://www.youtube.com/playlist?list=PL123"))
+
+    assert result == {
+        "playlistId": "PL123",
+        "title": "Course",
+        "videos": [{"videoId": "a" * 11, "title": "First"}, {"videoId": "c" * 11, "title": "Third"}],
+    }
+    assert [resource for resource, _ in calls] == ["playlists", "playlistItems", "playlistItems"]
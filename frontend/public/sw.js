@@ -0,0 +1,106 @@
+// --- 서비스 워커 (오프라인 지원) ---
+// 앱 셸(HTML/JS/CSS)과 썸네일 같은 정적 리소스를 캐시해서 오프라인에서도 앱이 열리게 합니다.
+// 분석된 레슨과 학습 기록은 localStorage에 있으므로 앱만 열리면 스크립트/단어장/복습/퀴즈를 쓸 수 있습니다.
+// 영상 재생과 백엔드 API 요청은 캐시하지 않습니다.
+// 캐시 구성이 바뀌면 CACHE_VERSION을 올리세요. 이전 버전 캐시는 activate 때 지워집니다.
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `tubelingo-shell-${CACHE_VERSION}`;
+const ASSET_CACHE = `tubelingo-assets-${CACHE_VERSION}`;
+const IMAGE_CACHE = `tubelingo-images-${CACHE_VERSION}`;
+const MAX_IMAGE_ENTRIES = 200;
+
+const SHELL_URLS = ['/', '/index.html', '/manifest.webmanifest', '/icon.svg'];
+
+// 화면 구성에 필요한 외부 리소스 (스타일 CDN, 마스코트 이미지)
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'api.dicebear.com'];
+// 레슨 썸네일
+const IMAGE_HOSTS = ['img.youtube.com', 'i.ytimg.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const current = [SHELL_CACHE, ASSET_CACHE, IMAGE_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith('tubelingo-') && !current.includes(k)).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const trimCache = async (cacheName, maxEntries) => {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(k => cache.delete(k)));
+};
+
+// 페이지 이동: 새 버전을 먼저 받고, 오프라인이면 캐시된 index.html
+const networkFirst = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put('/index.html', response.clone());
+    return response;
+  } catch (err) {
+    return (await cache.match('/index.html')) || (await cache.match('/')) || Response.error();
+  }
+};
+
+// 해시가 붙은 빌드 결과물: 한 번 받으면 바뀌지 않음
+const cacheFirst = async (request, cacheName) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+};
+
+// 외부 리소스: 캐시를 바로 쓰고 뒤에서 갱신 (no-cors 응답은 status가 0)
+const staleWhileRevalidate = async (event, cacheName, maxEntries) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request);
+  const update = fetch(event.request)
+    .then(async (response) => {
+      if (response.ok || response.type === 'opaque') {
+        await cache.put(event.request, response.clone());
+        if (maxEntries) await trimCache(cacheName, maxEntries);
+      }
+      return response;
+    });
+  if (cached) {
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+  }
+  return update;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+  if (url.origin === self.location.origin) {
+    // API는 같은 도메인에 붙어 있어도 항상 네트워크로
+    if (url.pathname.startsWith('/api/')) return;
+    event.respondWith(cacheFirst(request, url.pathname.startsWith('/assets/') ? ASSET_CACHE : SHELL_CACHE));
+    return;
+  }
+  if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(event, ASSET_CACHE));
+    return;
+  }
+  if (IMAGE_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(event, IMAGE_CACHE, MAX_IMAGE_ENTRIES));
+  }
+});
@@ -6,5 +6,10 @@ export default defineConfig({
   plugins: [react()],
   server: {
     host: true
+  },
+  // 앱 로직(lib/)은 저장소 루트에 있으므로 테스트도 거기서 찾음
+  test: {
+    dir: '..',
+    include: ['lib/**/*.test.js']
   }
 })
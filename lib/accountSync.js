@@ -0,0 +1,123 @@
+// --- 계정 동기화 (기기 간 학습 기록 합치기) ---
+// 통계 필드, 저장 단어, 레슨, 퀴즈 결과를 각각 key -> value 항목으로 보고,
+// 항목마다 마지막으로 바뀐 시각을 syncMeta.times에 기록해 더 나중에 바뀐 쪽이 이기게 합니다(last-writer-wins).
+// 단어는 단어별 항목이라 두 기기에서 저장한 단어가 모두 남고(합집합), 같은 단어는 더 최근에 바뀐(복습한) 쪽을 씁니다.
+// 지운 항목은 지운 시각을 syncMeta.times에 남기고 value가 null인 항목(삭제 표시)으로 보내, 다른 기기에서도 지워지게 합니다.
+// 서버 쪽 규칙은 backend/main.py의 merge_items와 같습니다.
+
+export const SYNC_KINDS = ['stats', 'words', 'lessons', 'quizResults'];
+// savedWords는 words로 따로 동기화
+export const SYNCED_STAT_FIELDS = ['xp', 'streak', 'todayXp', 'goalXp', 'streakFreezes', 'todayDay', 'lastGoalDay'];
+// 레슨은 스크립트가 커서 조금씩 나눠 보냄
+const PUSH_BATCH_SIZE = { stats: 100, words: 200, lessons: 20, quizResults: 200 };
+// 로그인 전부터 있던 항목은 시각을 모르므로 가장 오래된 값으로 취급 (서버에 같은 항목이 있으면 서버가 이김)
+const LEGACY_TIME = 1;
+
+// 통계 필드는 지우지 않으므로 null도 값. 나머지 종류의 null은 삭제 표시
+const isDeletion = (kind, value) => kind !== 'stats' && value === null;
+
+const emptyByKind = (value) => Object.fromEntries(SYNC_KINDS.map(kind => [kind, value()]));
+
+export const createSyncMeta = () => ({
+  times: emptyByKind(() => ({})), // kind -> key -> 마지막 변경(삭제 포함) 시각(ms)
+  cursors: emptyByKind(() => 0),  // kind -> 서버에서 마지막으로 받은 version
+  pushedAt: 0,                    // 이 시각 이후에 바뀐 항목만 서버로 보냄
+  lastSyncedAt: null
+});
+
+// 퀴즈 결과와 기기를 구분하는 id
+export const createId = () =>
+  (globalThis.crypto?.randomUUID
+    ? globalThis.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`);
+
+// 예전 퀴즈 결과에는 id가 없으므로 날짜와 영상으로 구분
+export const resultKey = (result) => result.id || `${result.date}|${result.videoId ?? ''}`;
+
+export const toSyncMaps = ({ userStats, lessons, quizResults }) => ({
+  stats: Object.fromEntries(SYNCED_STAT_FIELDS.map(field => [field, userStats[field]])),
+  words: Object.fromEntries(userStats.savedWords.map(w => [w.word, w])),
+  lessons,
+  quizResults: Object.fromEntries(quizResults.map(r => [resultKey(r), r]))
+});
+
+export const fromSyncMaps = ({ userStats }, maps) => ({
+  userStats: { ...userStats, ...maps.stats, savedWords: Object.values(maps.words) },
+  lessons: maps.lessons,
+  quizResults: Object.values(maps.quizResults).sort((a, b) => String(a.date).localeCompare(String(b.date)))
+});
+
+/**
+ * 이전 항목과 달라진(값이나 객체가 바뀐) 항목과 지워진 항목에 now를 기록합니다. 바뀐 게 없으면 meta를 그대로 돌려줍니다.
+ */
+export const stampChanges = (meta, prevMaps, nextMaps, now = Date.now()) => {
+  let times = meta.times;
+  SYNC_KINDS.forEach(kind => {
+    const changed = Object.keys(nextMaps[kind]).filter(key => nextMaps[kind][key] !== prevMaps[kind][key]);
+    changed.push(...Object.keys(prevMaps[kind]).filter(key => !(key in nextMaps[kind])));
+    if (changed.length === 0) return;
+    times = { ...times, [kind]: { ...times[kind], ...Object.fromEntries(changed.map(key => [key, now])) } };
+  });
+  return times === meta.times ? meta : { ...meta, times };
+};
+
+// 지난 동기화 이후 바뀐 항목 (kind -> [{ key, value, updatedAt }]). 지운 항목은 value가 null
+export const collectChanges = (maps, meta) => Object.fromEntries(SYNC_KINDS.map(kind => [
+  kind,
+  [
+    ...Object.entries(maps[kind])
+      .map(([key, value]) => ({ key, value, updatedAt: meta.times[kind][key] ?? LEGACY_TIME })),
+    ...Object.entries(meta.times[kind])
+      .filter(([key]) => !(key in maps[kind]))
+      .map(([key, updatedAt]) => ({ key, value: null, updatedAt }))
+  ].filter(item => item.updatedAt > meta.pushedAt)
+]));
+
+/**
+ * 서버에서 받은 항목을 로컬 항목과 합칩니다. 로컬보다 나중에 바뀐 항목만 반영하고, 삭제 표시는 로컬 항목을 지웁니다.
+ * remote: kind -> [{ key, value, updatedAt }]
+ */
+export const mergeRemote = (maps, meta, remote) => {
+  const nextMaps = { ...maps };
+  let times = meta.times;
+  SYNC_KINDS.forEach(kind => {
+    const newer = (remote[kind] || []).filter(item => item.updatedAt > (times[kind][item.key] ?? 0));
+    if (newer.length === 0) return;
+    const merged = { ...nextMaps[kind] };
+    newer.forEach(item => {
+      if (isDeletion(kind, item.value)) delete merged[item.key];
+      else merged[item.key] = item.value;
+    });
+    nextMaps[kind] = merged;
+    times = { ...times, [kind]: { ...times[kind], ...Object.fromEntries(newer.map(item => [item.key, item.updatedAt])) } };
+  });
+  return { maps: nextMaps, meta: { ...meta, times } };
+};
+
+/**
+ * 바뀐 항목을 서버로 보내고, 다른 기기에서 바뀐 항목을 받아옵니다. (네트워크만 담당, 상태는 바꾸지 않음)
+ * client는 lib/apiClient.js의 pushSyncItems / pullSyncItems를 가진 객체입니다.
+ * @returns {Promise<{ remote: Object, cursors: Object }>}
+ */
+export const exchangeChanges = async (client, token, changes, cursors, { signal } = {}) => {
+  const remote = {};
+  const nextCursors = { ...cursors };
+  for (const kind of SYNC_KINDS) {
+    const received = new Map();
+    const batches = [];
+    for (let i = 0; i < changes[kind].length; i += PUSH_BATCH_SIZE[kind]) {
+      batches.push(changes[kind].slice(i, i + PUSH_BATCH_SIZE[kind]));
+    }
+    // 보낼 게 없어도 받을 건 있을 수 있음
+    if (batches.length === 0) batches.push(null);
+    for (const batch of batches) {
+      const res = batch
+        ? await client.pushSyncItems(token, kind, batch, cursors[kind], { signal })
+        : await client.pullSyncItems(token, kind, cursors[kind], { signal });
+      res.items.forEach(item => received.set(item.key, item));
+      nextCursors[kind] = res.cursor;
+    }
+    remote[kind] = [...received.values()];
+  }
+  return { remote, cursors: nextCursors };
+};
@@ -0,0 +1,87 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createSyncMeta, toSyncMaps, fromSyncMaps, stampChanges, collectChanges, mergeRemote, exchangeChanges } from './accountSync';
+
+const state = (overrides = {}) => ({
+  userStats: { xp: 10, streak: 1, todayXp: 0, goalXp: 50, streakFreezes: 0, todayDay: null, lastGoalDay: null, savedWords: [], ...overrides },
+  lessons: {},
+  quizResults: []
+});
+
+describe('stampChanges / collectChanges', () => {
+  it('바뀐 항목에만 시각을 기록하고 그 항목만 보냄', () => {
+    const prev = toSyncMaps(state());
+    const next = toSyncMaps(state({ xp: 30, savedWords: [{ word: 'apple' }] }));
+
+    const meta = stampChanges(createSyncMeta(), prev, next, 500);
+    expect(meta.times.stats).toEqual({ xp: 500 });
+    expect(meta.times.words).toEqual({ apple: 500 });
+    expect(stampChanges(meta, next, next, 900)).toBe(meta);
+
+    const changes = collectChanges(next, { ...meta, pushedAt: 100 });
+    expect(changes.stats).toEqual([{ key: 'xp', value: 30, updatedAt: 500 }]);
+    expect(changes.words).toEqual([{ key: 'apple', value: { word: 'apple' }, updatedAt: 500 }]);
+  });
+});
+
+describe('mergeRemote', () => {
+  it('로컬보다 나중에 바뀐 항목만 반영하고 단어는 합침', () => {
+    const maps = toSyncMaps(state({ xp: 30, savedWords: [{ word: 'apple' }] }));
+    const meta = { ...createSyncMeta(), times: { ...createSyncMeta().times, stats: { xp: 500, streak: 500 } } };
+
+    const merged = mergeRemote(maps, meta, {
+      stats: [{ key: 'xp', value: 5, updatedAt: 400 }, { key: 'streak', value: 7, updatedAt: 600 }],
+      words: [{ key: 'banana', value: { word: 'banana' }, updatedAt: 10 }]
+    });
+    const next = fromSyncMaps(state(), merged.maps);
+
+    expect(next.userStats).toMatchObject({ xp: 30, streak: 7 });
+    expect(next.userStats.savedWords.map(w => w.word)).toEqual(['apple', 'banana']);
+    expect(merged.meta.times.stats).toEqual({ xp: 500, streak: 600 });
+  });
+});
+
+describe('삭제 동기화', () => {
+  const lesson = { videoId: 'v1', title: 'Lesson' };
+
+  it('지운 레슨은 지운 시각과 함께 삭제 표시로 보냄', () => {
+    const prev = toSyncMaps({ ...state(), lessons: { v1: lesson } });
+    const next = toSyncMaps(state());
+
+    const meta = stampChanges(createSyncMeta(), prev, next, 700);
+    expect(meta.times.lessons).toEqual({ v1: 700 });
+    expect(collectChanges(next, { ...meta, pushedAt: 100 }).lessons).toEqual([{ key: 'v1', value: null, updatedAt: 700 }]);
+  });
+
+  it('지운 뒤 받은 예전 값은 되살리지 않고, 더 나중의 삭제 표시는 로컬 항목을 지움', () => {
+    const deletedMeta = { ...createSyncMeta(), times: { ...createSyncMeta().times, lessons: { v1: 700 } } };
+    const stale = mergeRemote(toSyncMaps(state()), deletedMeta, { lessons: [{ key: 'v1', value: lesson, updatedAt: 500 }] });
+    expect(stale.maps.lessons).toEqual({});
+
+    const keptMeta = { ...createSyncMeta(), times: { ...createSyncMeta().times, lessons: { v1: 500 } } };
+    const removed = mergeRemote(toSyncMaps({ ...state(), lessons: { v1: lesson } }), keptMeta, {
+      lessons: [{ key: 'v1', value: null, updatedAt: 700 }],
+      stats: [{ key: 'lastGoalDay', value: null, updatedAt: 700 }]
+    });
+    expect(removed.maps.lessons).toEqual({});
+    expect(removed.meta.times.lessons).toEqual({ v1: 700 });
+    // 통계 필드의 null은 값 그대로
+    expect(removed.maps.stats).toHaveProperty('lastGoalDay', null);
+  });
+});
+
+describe('exchangeChanges', () => {
+  it('보낼 게 없는 종류는 받아오기만 하고 커서를 갱신', async () => {
+    const client = {
+      pushSyncItems: vi.fn(async (token, kind, items) => ({ items, cursor: 3 })),
+      pullSyncItems: vi.fn(async () => ({ items: [], cursor: 1 }))
+    };
+    const changes = { stats: [{ key: 'xp', value: 1, updatedAt: 5 }], words: [], lessons: [], quizResults: [] };
+
+    const { remote, cursors } = await exchangeChanges(client, 'tok', changes, createSyncMeta().cursors);
+
+    expect(client.pushSyncItems).toHaveBeenCalledTimes(1);
+    expect(client.pullSyncItems).toHaveBeenCalledTimes(3);
+    expect(remote.stats).toEqual(changes.stats);
+    expect(cursors).toEqual({ stats: 3, words: 1, lessons: 1, quizResults: 1 });
+  });
+});
@@ -0,0 +1,47 @@
+// --- 업적 (배지) ---
+// 규칙마다 학습 기록에서 진행값(metric)을 계산하고, 목표(goal)에 닿으면 해금합니다.
+// 해금 기록은 { [id]: 해금 시각 }으로 저장해서, 스트릭이 끊기는 등 값이 줄어도 배지는 남습니다.
+// 이름은 로케일 사전의 achievements.metrics.<metric> ({goal} 포함)
+import { getLessonProgress } from './library';
+
+const METRICS = {
+  streak: ({ userStats }) => userStats.streak,
+  words: ({ userStats }) => userStats.savedWords.length,
+  perfectQuizzes: ({ quizResults }) => quizResults.filter(r => r.total > 0 && r.score === r.total).length,
+  // 스크립트 마지막 줄까지 재생한 영상
+  videosCompleted: ({ lessons }) => Object.values(lessons).filter(lesson => getLessonProgress(lesson) >= 100).length
+};
+
+const GOALS = {
+  streak: [3, 7, 30, 100],
+  words: [10, 50, 200, 500],
+  perfectQuizzes: [1, 5, 20],
+  videosCompleted: [1, 5, 20, 50]
+};
+
+export const ACHIEVEMENTS = Object.entries(GOALS).flatMap(([metric, goals]) =>
+  goals.map(goal => ({ id: `${metric}-${goal}`, metric, goal })));
+
+export const createAchievements = () => ({});
+
+/**
+ * 모든 업적의 진행 상황. state는 { userStats, lessons, quizResults }
+ * @returns {Array<{ id, metric, goal, value, unlockedAt }>}
+ */
+export const getAchievementProgress = (unlocked, state) => {
+  const values = Object.fromEntries(Object.entries(METRICS).map(([metric, measure]) => [metric, measure(state)]));
+  return ACHIEVEMENTS.map(a => ({
+    ...a,
+    value: Math.min(values[a.metric], a.goal),
+    unlockedAt: unlocked[a.id] || null
+  }));
+};
+
+// 목표에 닿았지만 아직 해금하지 않은 업적
+export const findNewUnlocks = (unlocked, state) =>
+  getAchievementProgress(unlocked, state).filter(a => !a.unlockedAt && a.value >= a.goal);
+
+export const unlockAchievements = (unlocked, achievements, now = new Date()) => ({
+  ...unlocked,
+  ...Object.fromEntries(achievements.map(a => [a.id, now.toISOString()]))
+});
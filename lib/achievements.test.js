@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { ACHIEVEMENTS, createAchievements, getAchievementProgress, findNewUnlocks, unlockAchievements } from './achievements';
+
+const state = ({ streak = 0, words = 0, perfect = 0, completed = 0 } = {}) => ({
+  userStats: { streak, savedWords: Array.from({ length: words }, (_, i) => ({ word: `w${i}` })) },
+  quizResults: [
+    ...Array.from({ length: perfect }, () => ({ score: 3, total: 3 })),
+    { score: 0, total: 0 }
+  ],
+  lessons: Object.fromEntries(Array.from({ length: completed }, (_, i) => [`v${i}`, { script: [{}], maxLineIdx: 0 }]))
+});
+
+describe('getAchievementProgress', () => {
+  it('진행값은 목표에서 멈추고 빈 퀴즈는 만점으로 치지 않음', () => {
+    const progress = getAchievementProgress(createAchievements(), state({ streak: 5, perfect: 1 }));
+
+    expect(progress).toHaveLength(ACHIEVEMENTS.length);
+    expect(progress.find(a => a.id === 'streak-3').value).toBe(3);
+    expect(progress.find(a => a.id === 'streak-7').value).toBe(5);
+    expect(progress.find(a => a.id === 'perfectQuizzes-5').value).toBe(1);
+  });
+});
+
+describe('findNewUnlocks / unlockAchievements', () => {
+  it('새로 닿은 업적만 해금하고, 값이 줄어도 배지는 남음', () => {
+    const now = new Date('2024-01-01T00:00:00Z');
+    const first = findNewUnlocks(createAchievements(), state({ streak: 3, words: 10, completed: 1 }));
+    expect(first.map(a => a.id)).toEqual(['streak-3', 'words-10', 'videosCompleted-1']);
+
+    const unlocked = unlockAchievements(createAchievements(), first, now);
+    expect(unlocked['streak-3']).toBe('2024-01-01T00:00:00.000Z');
+    expect(findNewUnlocks(unlocked, state({ streak: 3, words: 10, completed: 1 }))).toEqual([]);
+    expect(getAchievementProgress(unlocked, state()).find(a => a.id === 'streak-3').unlockedAt).toBe('2024-01-01T00:00:00.000Z');
+  });
+});
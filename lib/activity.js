@@ -0,0 +1,85 @@
+// --- 활동 기록 집계 (대시보드 리포트용) ---
+import { toDayKey, shiftDay } from './progress';
+
+// onProgress 틱 사이 간격이 이보다 크면 탐색(seek)으로 보고 시청 시간에서 제외
+const MAX_TICK_SECONDS = 5;
+
+export const getWatchDelta = (prevSeconds, playedSeconds) => {
+  if (prevSeconds === null) return 0;
+  const delta = playedSeconds - prevSeconds;
+  return delta > 0 && delta <= MAX_TICK_SECONDS ? delta : 0;
+};
+
+// watchLog(dayKey -> 초)에 시청 시간을 더한 새 객체를 반환
+export const mergeWatchLog = (watchLog, pending) => {
+  const merged = { ...watchLog };
+  Object.entries(pending).forEach(([day, seconds]) => {
+    merged[day] = (merged[day] || 0) + seconds;
+  });
+  return merged;
+};
+
+/**
+ * 최근 days일 동안의 일별 활동을 오래된 날부터 순서대로 반환합니다.
+ * 각 항목: { day, weekday(0=일요일), date(일), xp, minutes, quizzes, correct, answered }
+ */
+export const getDailyActivity = ({ xpEvents, watchLog, quizResults }, days, now = new Date()) => {
+  const today = toDayKey(now);
+  const byDay = {};
+  for (let i = days - 1; i >= 0; i--) {
+    const day = shiftDay(today, -i);
+    const date = new Date(`${day}T00:00:00`);
+    byDay[day] = {
+      day,
+      weekday: date.getDay(),
+      date: date.getDate(),
+      xp: 0,
+      minutes: Math.round((watchLog[day] || 0) / 60),
+      quizzes: 0,
+      correct: 0,
+      answered: 0
+    };
+  }
+
+  xpEvents.forEach(e => {
+    const entry = byDay[toDayKey(new Date(e.at))];
+    if (entry) entry.xp += e.amount;
+  });
+  quizResults.forEach(r => {
+    const entry = byDay[toDayKey(new Date(r.date))];
+    if (!entry) return;
+    entry.quizzes += 1;
+    entry.correct += r.score;
+    entry.answered += r.total;
+  });
+
+  return Object.values(byDay);
+};
+
+export const summarizeActivity = (series) => {
+  const totals = series.reduce((acc, d) => ({
+    xp: acc.xp + d.xp,
+    minutes: acc.minutes + d.minutes,
+    quizzes: acc.quizzes + d.quizzes,
+    correct: acc.correct + d.correct,
+    answered: acc.answered + d.answered
+  }), { xp: 0, minutes: 0, quizzes: 0, correct: 0, answered: 0 });
+  return {
+    ...totals,
+    accuracy: totals.answered ? Math.round((totals.correct / totals.answered) * 100) : null
+  };
+};
+
+// 최근 퀴즈들의 정답률(%) 추이
+export const getAccuracyTrend = (quizResults, limit = 10) =>
+  quizResults
+    .slice(-limit)
+    .map(r => ({ date: r.date, accuracy: r.total ? Math.round((r.score / r.total) * 100) : 0 }));
+
+// t: lib/i18n.js의 번역 함수
+export const formatMinutes = (minutes, t) => {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  if (h === 0) return t('time.minutes', { m });
+  return m === 0 ? t('time.hours', { h }) : t('time.hoursMinutes', { h, m });
+};
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { getWatchDelta, mergeWatchLog, getDailyActivity, summarizeActivity, getAccuracyTrend, formatMinutes } from './activity';
+import { getTranslator } from './i18n';
+
+const local = (d, hour = 12) => new Date(2024, 0, d, hour);
+
+describe('getWatchDelta / mergeWatchLog', () => {
+  it('탐색이나 되감기는 시청 시간에 넣지 않음', () => {
+    expect(getWatchDelta(null, 10)).toBe(0);
+    expect(getWatchDelta(10, 11.5)).toBe(1.5);
+    expect(getWatchDelta(10, 60)).toBe(0);
+    expect(getWatchDelta(10, 5)).toBe(0);
+  });
+
+  it('날짜별로 더함', () => {
+    expect(mergeWatchLog({ '2024-01-01': 30 }, { '2024-01-01': 15, '2024-01-02': 5 }))
+      .toEqual({ '2024-01-01': 45, '2024-01-02': 5 });
+  });
+});
+
+describe('getDailyActivity / summarizeActivity', () => {
+  it('최근 며칠을 오래된 날부터 채우고 범위 밖 기록은 버림', () => {
+    const series = getDailyActivity({
+      xpEvents: [{ amount: 10, at: local(3).toISOString() }, { amount: 5, at: local(1).toISOString() }],
+      watchLog: { '2024-01-04': 150 },
+      quizResults: [{ date: local(4).toISOString(), score: 3, total: 4 }]
+    }, 3, local(4));
+
+    expect(series.map(d => d.day)).toEqual(['2024-01-02', '2024-01-03', '2024-01-04']);
+    expect(series[1].xp).toBe(10);
+    expect(series[2]).toMatchObject({ date: 4, weekday: 4, minutes: 3, quizzes: 1, correct: 3, answered: 4 });
+    expect(summarizeActivity(series)).toEqual({ xp: 10, minutes: 3, quizzes: 1, correct: 3, answered: 4, accuracy: 75 });
+  });
+
+  it('푼 문제가 없으면 정답률은 null', () => {
+    expect(summarizeActivity([]).accuracy).toBeNull();
+  });
+});
+
+describe('getAccuracyTrend / formatMinutes', () => {
+  it('최근 퀴즈만 백분율로', () => {
+    const results = [{ date: 'a', score: 1, total: 2 }, { date: 'b', score: 0, total: 0 }, { date: 'c', score: 2, total: 3 }];
+    expect(getAccuracyTrend(results, 2)).toEqual([{ date: 'b', accuracy: 0 }, { date: 'c', accuracy: 67 }]);
+  });
+
+  it('시간과 분을 로케일 문구로', () => {
+    const t = getTranslator('en');
+    expect([formatMinutes(5, t), formatMinutes(120, t), formatMinutes(125, t)]).toEqual(['5m', '2h', '2h 5m']);
+  });
+});
@@ -0,0 +1,338 @@
+// --- 백엔드 API 클라이언트 ---
+// 요청마다 타임아웃, 재시도(지수 백오프), 취소(AbortSignal)를 지원하고,
+// 응답은 스키마 검증/정규화한 뒤 돌려줍니다.
+
+/**
+ * @typedef {Object} ScriptLine
+ * @property {number} time 시작 시각(초)
+ * @property {string} text 원문
+ * @property {string} translation 모국어 번역
+ *
+ * @typedef {Object} VocabularyItem
+ * @property {string} word
+ * @property {string} meaning
+ * @property {string} type
+ *
+ * @typedef {Object} QuizQuestion
+ * @property {'easy'|'normal'|'hard'} difficulty
+ * @property {string} question
+ * @property {string[]} options
+ * @property {number} answer options의 정답 인덱스
+ * @property {string} rationale
+ *
+ * @typedef {Object} Languages
+ * @property {string} nativeLanguage 번역/설명 언어 코드 (lib/languages.js)
+ * @property {string} targetLanguage 배우는 언어 코드
+ *
+ * @typedef {Object} Analysis
+ * @property {string} videoId
+ * @property {string} title
+ * @property {string} nativeLanguage
+ * @property {string} targetLanguage
+ * @property {ScriptLine[]} script time 오름차순
+ * @property {VocabularyItem[]} vocabulary
+ * @property {QuizQuestion[]} quizBank
+ *
+ * @typedef {Object} AnalysisJob
+ * @property {string} jobId
+ * @property {'running'|'done'|'failed'|'cancelled'} status
+ * @property {Object<string, 'pending'|'running'|'done'|'failed'>} stages ANALYSIS_STAGES 단계별 상태
+ * @property {{ videoId: string, nativeLanguage: string, targetLanguage: string, title: string, script: ScriptLine[]|null, vocabulary: VocabularyItem[]|null, quizBank: QuizQuestion[]|null }} result
+ *   단계가 끝나기 전의 항목은 null
+ */
+
+/**
+ * 실패 종류(kind): 'network' | 'timeout' | 'server' | 'client' | 'invalid_response' | 'aborted'
+ * 화면 문구는 로케일 사전의 errors.<kind>이고, detail은 서버가 보낸 설명(있을 때만)입니다.
+ */
+export class ApiError extends Error {
+  // code는 서버가 보내는 오류 코드 (로케일 사전의 errors.codes.<code>), detail은 서버의 한국어 설명
+  constructor(kind, detail = null, status = null, code = null) {
+    super(detail || `API error: ${kind}`);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.detail = detail;
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// 분석 작업 단계 (백엔드 ANALYSIS_STAGES와 같은 순서, 이름은 로케일 사전의 analyzing.stages.<key>)
+export const ANALYSIS_STAGES = ['transcript', 'script', 'vocabulary', 'quiz'];
+
+const RETRYABLE = ['network', 'timeout', 'server'];
+const POLL_INTERVAL_MS = 1000;
+const BACKOFF_BASE_MS = 500;
+
+export const isAbortError = (err) => err instanceof ApiError && err.kind === 'aborted';
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new ApiError('aborted'));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+  // 이미 취소된 신호는 abort 이벤트가 다시 오지 않음
+  if (signal?.aborted) onAbort();
+});
+
+const requestOnce = async (method, url, body, { signal, timeoutMs, token }) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({}));
+      // 429는 잠시 뒤 다시 시도할 수 있으므로 서버 오류로 분류
+      const kind = response.status >= 500 || response.status === 429 ? 'server' : 'client';
+      throw new ApiError(kind, errData.detail || null, response.status, errData.code || null);
+    }
+    return await response.json().catch(() => {
+      throw new ApiError('invalid_response', null, response.status);
+    });
+  } catch (err) {
+    if (err instanceof ApiError) throw err;
+    if (timedOut) throw new ApiError('timeout');
+    if (signal?.aborted) throw new ApiError('aborted');
+    throw new ApiError('network');
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+};
+
+const requestWithRetry = async (method, url, body, { signal, timeoutMs, retries, token }) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await requestOnce(method, url, body, { signal, timeoutMs, token });
+    } catch (err) {
+      if (!RETRYABLE.includes(err.kind) || attempt >= retries) throw err;
+      const delay = BACKOFF_BASE_MS * 2 ** attempt + Math.random() * BACKOFF_BASE_MS;
+      await sleep(delay, signal);
+    }
+  }
+};
+
+// --- 응답 검증 / 정규화 ---
+
+const isNonEmptyString = (v) => typeof v === 'string' && v.trim().length > 0;
+const invalid = () => new ApiError('invalid_response');
+const DIFFICULTIES = ['easy', 'normal', 'hard'];
+
+const normalizeScript = (script) =>
+  (Array.isArray(script) ? script : [])
+    .map(line => ({
+      time: typeof line?.time === 'string' ? parseFloat(line.time) : line?.time,
+      text: line?.text,
+      // 예전 서버는 번역을 kr로 보냄
+      translation: [line?.translation, line?.kr].find(isNonEmptyString) || ''
+    }))
+    .filter(line => Number.isFinite(line.time) && line.time >= 0 && isNonEmptyString(line.text))
+    .sort((a, b) => a.time - b.time);
+
+const normalizeVocabulary = (vocabulary) =>
+  (Array.isArray(vocabulary) ? vocabulary : [])
+    .filter(v => isNonEmptyString(v?.word) && isNonEmptyString(v?.meaning))
+    .map(v => ({ word: v.word.trim(), meaning: v.meaning.trim(), type: isNonEmptyString(v.type) ? v.type : '' }));
+
+// 정답은 인덱스 또는 보기 문자열로 올 수 있음. 범위를 벗어난 인덱스는 보기 범위로 맞춤
+const normalizeAnswer = (answer, options) => {
+  if (typeof answer === 'string' && !/^\d+$/.test(answer)) return options.indexOf(answer);
+  const idx = Number(answer);
+  if (!Number.isInteger(idx)) return -1;
+  return Math.min(Math.max(idx, 0), options.length - 1);
+};
+
+const normalizeQuizBank = (quizBank) =>
+  (Array.isArray(quizBank) ? quizBank : [])
+    .map(q => {
+      const rawOptions = Array.isArray(q?.options) ? q.options : [];
+      const options = rawOptions.filter(isNonEmptyString);
+      if (!isNonEmptyString(q?.question) || options.length < 2) return null;
+      // 정답 인덱스는 빈 보기를 빼기 전 기준이므로 원래 보기에서 찾은 뒤 옮김. 정답 보기가 비어 있으면 버림
+      const rawAnswer = normalizeAnswer(q.answer, rawOptions);
+      if (rawAnswer < 0 || !isNonEmptyString(rawOptions[rawAnswer])) return null;
+      const answer = rawOptions.slice(0, rawAnswer).filter(isNonEmptyString).length;
+      return {
+        difficulty: DIFFICULTIES.includes(q.difficulty) ? q.difficulty : 'normal',
+        question: q.question,
+        options,
+        answer,
+        rationale: isNonEmptyString(q.rationale) ? q.rationale : ''
+      };
+    })
+    .filter(Boolean);
+
+/** @returns {Analysis} */
+export const validateAnalysis = (data) => {
+  if (!data || typeof data !== 'object' || !isNonEmptyString(data.videoId)) throw invalid();
+  const script = normalizeScript(data.script);
+  // 스크립트가 없으면 학습 화면을 만들 수 없음
+  if (script.length === 0) throw invalid();
+  return {
+    ...data,
+    videoId: data.videoId,
+    title: isNonEmptyString(data.title) ? data.title : data.videoId,
+    script,
+    vocabulary: normalizeVocabulary(data.vocabulary),
+    quizBank: normalizeQuizBank(data.quizBank)
+  };
+};
+
+const JOB_STATUSES = ['running', 'done', 'failed', 'cancelled'];
+const STAGE_STATUSES = ['pending', 'running', 'done', 'failed'];
+
+/** @returns {AnalysisJob} */
+export const validateJob = (data) => {
+  if (!isNonEmptyString(data?.jobId) || !JOB_STATUSES.includes(data.status)) throw invalid();
+  const stages = Object.fromEntries(ANALYSIS_STAGES.map(key => [
+    key,
+    STAGE_STATUSES.includes(data.stages?.[key]) ? data.stages[key] : 'pending'
+  ]));
+  const raw = data.result || {};
+  if (!isNonEmptyString(raw.videoId)) throw invalid();
+  const script = stages.script === 'done' ? normalizeScript(raw.script) : null;
+  // 스크립트 단계가 끝났는데 쓸 만한 줄이 없으면 결과를 믿을 수 없음
+  if (script && script.length === 0) throw invalid();
+
+  return {
+    jobId: data.jobId,
+    status: data.status,
+    stages,
+    error: data.error || null,
+    result: {
+      videoId: raw.videoId,
+      nativeLanguage: raw.nativeLanguage,
+      targetLanguage: raw.targetLanguage,
+      title: isNonEmptyString(raw.title) ? raw.title : raw.videoId,
+      script,
+      vocabulary: stages.vocabulary === 'done' ? normalizeVocabulary(raw.vocabulary) : null,
+      quizBank: stages.quiz === 'done' ? normalizeQuizBank(raw.quizBank) : null
+    }
+  };
+};
+
+export const validateAuth = (data) => {
+  if (!isNonEmptyString(data?.token) || !isNonEmptyString(data?.user?.email)) throw invalid();
+  return { token: data.token, email: data.user.email };
+};
+
+export const validateSyncItems = (data) => {
+  if (!Array.isArray(data?.items) || !Number.isInteger(data.cursor)) throw invalid();
+  return {
+    items: data.items.filter(item => isNonEmptyString(item?.key) && typeof item.updatedAt === 'number' && 'value' in item),
+    cursor: data.cursor
+  };
+};
+
+export const validatePlaylist = (data) => {
+  const videos = (Array.isArray(data?.videos) ? data.videos : [])
+    .filter(v => isNonEmptyString(v?.videoId))
+    .map(v => ({ videoId: v.videoId, title: isNonEmptyString(v.title) ? v.title : v.videoId }));
+  if (!isNonEmptyString(data?.playlistId) || videos.length === 0) throw invalid();
+  return { playlistId: data.playlistId, title: isNonEmptyString(data.title) ? data.title : data.playlistId, videos };
+};
+
+export const validateLookup = (data) => {
+  if (!isNonEmptyString(data?.word) || !isNonEmptyString(data?.meaning)) return null;
+  return { word: data.word, meaning: data.meaning, type: isNonEmptyString(data.type) ? data.type : '' };
+};
+
+// --- 클라이언트 ---
+
+export const createApiClient = (baseUrl) => {
+  const request = (method, path, body, options) => requestWithRetry(method, `${baseUrl}${path}`, body, options);
+  const post = (path, body, options) => request('POST', path, body, options);
+
+  const jobPath = (jobId) => `/api/analyze/jobs/${encodeURIComponent(jobId)}`;
+  // 계정 동기화 항목 종류별 경로 (lib/accountSync.js의 SYNC_KINDS). 퀴즈 기록은 추가만 하므로 POST
+  const syncRoutes = {
+    stats: { path: '/api/me/stats', push: 'PUT' },
+    words: { path: '/api/me/words', push: 'PUT' },
+    lessons: { path: '/api/me/lessons', push: 'PUT' },
+    quizResults: { path: '/api/me/quiz-results', push: 'POST' }
+  };
+
+  return {
+    /**
+     * 분석이 끝날 때까지 한 요청으로 기다립니다. 다시 보내면 서버가 분석을 처음부터 또 하므로 재시도하지 않습니다.
+     * 긴 영상은 시간이 오래 걸리므로 watchAnalysis를 쓰세요.
+     * @returns {Promise<Analysis>}
+     */
+    analyze: async (url, languages, { signal } = {}) =>
+      validateAnalysis(await post('/api/analyze', { url, ...languages }, { signal, timeoutMs: 60000, retries: 0 })),
+
+    /**
+     * 분석 작업을 시작하고 끝날 때까지 진행 상황을 폴링합니다.
+     * onUpdate(job)는 상태를 받을 때마다 호출되고, 완료되면 전체 분석 결과를 반환합니다.
+     * signal로 취소하면 서버의 작업도 취소합니다.
+     * @returns {Promise<Analysis>}
+     */
+    watchAnalysis: async (url, languages, { signal, onUpdate } = {}) => {
+      let job = validateJob(await post('/api/analyze/jobs', { url, ...languages }, { signal, timeoutMs: 15000, retries: 0 }));
+      try {
+        for (;;) {
+          onUpdate?.(job);
+          if (job.status === 'done') return validateAnalysis(job.result);
+          if (job.status === 'cancelled') throw new ApiError('aborted');
+          if (job.status === 'failed') {
+            const status = job.error?.status || 500;
+            throw new ApiError(status >= 500 ? 'server' : 'client', job.error?.detail || null, status, job.error?.code || null);
+          }
+          await sleep(POLL_INTERVAL_MS, signal);
+          job = validateJob(await request('GET', jobPath(job.jobId), undefined, { signal, timeoutMs: 10000, retries: 3 }));
+        }
+      } catch (err) {
+        if (isAbortError(err)) {
+          request('DELETE', jobPath(job.jobId), undefined, { timeoutMs: 5000, retries: 0 }).catch(() => {});
+        }
+        throw err;
+      }
+    },
+
+    playlist: async (url, { signal } = {}) =>
+      validatePlaylist(await post('/api/playlist', { url }, { signal, timeoutMs: 20000, retries: 2 })),
+
+    lookup: async (word, sentence, languages, { signal } = {}) =>
+      validateLookup(await post('/api/lookup', { word, sentence, ...languages }, { signal, timeoutMs: 15000, retries: 2 })),
+
+    /** @returns {Promise<{ token: string, email: string }>} */
+    register: async (email, password, { signal } = {}) =>
+      validateAuth(await post('/api/auth/register', { email, password }, { signal, timeoutMs: 15000, retries: 0 })),
+
+    /** @returns {Promise<{ token: string, email: string }>} */
+    login: async (email, password, { signal } = {}) =>
+      validateAuth(await post('/api/auth/login', { email, password }, { signal, timeoutMs: 15000, retries: 0 })),
+
+    logout: (token) => post('/api/auth/logout', undefined, { token, timeoutMs: 5000, retries: 0 }),
+
+    /**
+     * 바뀐 항목을 보내고, since 이후 서버에서 바뀐 항목(방금 보낸 것 포함)을 받습니다.
+     * @returns {Promise<{ items: Array<{ key: string, value: *, updatedAt: number }>, cursor: number }>}
+     */
+    pushSyncItems: async (token, kind, items, since, { signal } = {}) => {
+      const { path, push } = syncRoutes[kind];
+      return validateSyncItems(await request(push, path, { items, since }, { signal, token, timeoutMs: 30000, retries: 2 }));
+    },
+
+    pullSyncItems: async (token, kind, since, { signal } = {}) =>
+      validateSyncItems(await request('GET', `${syncRoutes[kind].path}?since=${since}`, undefined, { signal, token, timeoutMs: 15000, retries: 2 }))
+  };
+};
@@ -0,0 +1,235 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { ApiError, createApiClient, validateAnalysis, validateJob, validateSyncItems } from './apiClient';
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body
+});
+
+// 취소 신호가 오면 fetch처럼 AbortError로 끝나는 응답 없는 요청
+const hangingFetch = (url, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+});
+
+const analysis = (overrides = {}) => ({
+  videoId: 'abc',
+  title: 'Title',
+  script: [{ time: 0, text: 'Hello', translation: '안녕' }],
+  ...overrides
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.useRealTimers();
+});
+
+describe('validateAnalysis', () => {
+  it('스크립트를 시간순으로 정렬하고 잘못된 줄은 버림', () => {
+    const result = validateAnalysis(analysis({
+      script: [
+        { time: '12.5', text: 'Second', kr: '둘째' },
+        { time: 3, text: 'First' },
+        { time: -1, text: 'Negative' },
+        { time: 5, text: '  ' }
+      ]
+    }));
+
+    expect(result.script).toEqual([
+      { time: 3, text: 'First', translation: '' },
+      { time: 12.5, text: 'Second', translation: '둘째' }
+    ]);
+  });
+
+  it('쓸 만한 스크립트가 없으면 invalid_response', () => {
+    expect(() => validateAnalysis(analysis({ script: [] }))).toThrow(ApiError);
+    expect(() => validateAnalysis({ script: [{ time: 0, text: 'Hi' }] })).toThrow(ApiError);
+  });
+
+  it('빈 보기를 빼도 정답은 원래 보기를 가리킴', () => {
+    const { quizBank } = validateAnalysis(analysis({
+      quizBank: [{ question: 'Q', options: ['', 'right', 'wrong', 'x'], answer: 1 }]
+    }));
+
+    expect(quizBank[0].options).toEqual(['right', 'wrong', 'x']);
+    expect(quizBank[0].options[quizBank[0].answer]).toBe('right');
+  });
+
+  it('정답 보기가 비어 있거나 보기 문자열로 찾을 수 없으면 문제를 버림', () => {
+    const { quizBank } = validateAnalysis(analysis({
+      quizBank: [
+        { question: 'Blank answer', options: ['', 'a', 'b'], answer: 0 },
+        { question: 'Unknown answer', options: ['a', 'b'], answer: 'c' },
+        { question: 'By text', options: ['a', '', 'b'], answer: 'b', difficulty: 'extreme' }
+      ]
+    }));
+
+    expect(quizBank).toHaveLength(1);
+    expect(quizBank[0]).toMatchObject({ question: 'By text', options: ['a', 'b'], answer: 1, difficulty: 'normal' });
+  });
+});
+
+describe('validateJob', () => {
+  it('끝나지 않은 단계의 결과는 null', () => {
+    const job = validateJob({
+      jobId: 'j1',
+      status: 'running',
+      stages: { transcript: 'done', script: 'done', vocabulary: 'running' },
+      result: { videoId: 'abc', script: [{ time: 0, text: 'Hi' }] }
+    });
+
+    expect(job.stages).toEqual({ transcript: 'done', script: 'done', vocabulary: 'running', quiz: 'pending' });
+    expect(job.result.script).toHaveLength(1);
+    expect(job.result.vocabulary).toBeNull();
+    expect(job.result.quizBank).toBeNull();
+  });
+
+  it('상태나 videoId가 없으면 invalid_response', () => {
+    expect(() => validateJob({ jobId: 'j1', status: 'weird', result: { videoId: 'abc' } })).toThrow(ApiError);
+    expect(() => validateJob({ jobId: 'j1', status: 'running', result: {} })).toThrow(ApiError);
+  });
+});
+
+describe('validateSyncItems', () => {
+  it('형식이 맞지 않는 항목은 버림', () => {
+    const result = validateSyncItems({
+      cursor: 3,
+      items: [{ key: 'xp', value: 10, updatedAt: 5 }, { key: '', value: 1, updatedAt: 1 }, { key: 'streak', updatedAt: 1 }]
+    });
+    expect(result).toEqual({ cursor: 3, items: [{ key: 'xp', value: 10, updatedAt: 5 }] });
+    expect(() => validateSyncItems({ items: [] })).toThrow(ApiError);
+  });
+});
+
+describe('createApiClient', () => {
+  it('서버 오류는 재시도하고 성공한 응답을 검증해서 돌려줌', async () => {
+    const fetchMock = vi.fn()
+      .mockResolvedValueOnce(jsonResponse({ detail: 'busy' }, 503))
+      .mockResolvedValueOnce(jsonResponse({ word: 'apple', meaning: '사과' }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await createApiClient('http://api').lookup('apple', 'an apple', { nativeLanguage: 'ko', targetLanguage: 'en' });
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(fetchMock.mock.calls[0][0]).toBe('http://api/api/lookup');
+    expect(result).toEqual({ word: 'apple', meaning: '사과', type: '' });
+  });
+
+  it('동기 분석 요청은 서버 오류여도 재시도하지 않음 (분석이 두 번 돌지 않게)', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(jsonResponse({ detail: 'busy' }, 503));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const err = await createApiClient('http://api').analyze('https://youtu.be/abc', { nativeLanguage: 'ko', targetLanguage: 'en' }).catch(e => e);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(fetchMock.mock.calls[0][0]).toBe('http://api/api/analyze');
+    expect(err.kind).toBe('server');
+  });
+
+  it('클라이언트 오류는 재시도하지 않고 서버 설명은 detail, 오류 코드는 code로', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(jsonResponse({ detail: '유효하지 않은 유튜브 URL입니다.', code: 'invalid_url' }, 400));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const err = await createApiClient('http://api').analyze('bad', {}).catch(e => e);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(err).toMatchObject({ kind: 'client', status: 400, code: 'invalid_url', detail: '유효하지 않은 유튜브 URL입니다.' });
+  });
+
+  it('응답이 늦으면 timeout', async () => {
+    vi.useFakeTimers();
+    vi.stubGlobal('fetch', vi.fn(hangingFetch));
+
+    const pending = createApiClient('http://api').login('a@b.c', 'password').catch(e => e);
+    await vi.advanceTimersByTimeAsync(15000);
+
+    expect((await pending).kind).toBe('timeout');
+  });
+
+  it('signal로 취소하면 aborted', async () => {
+    vi.stubGlobal('fetch', vi.fn(hangingFetch));
+    const controller = new AbortController();
+
+    const pending = createApiClient('http://api').lookup('word', 'a word', {}, { signal: controller.signal }).catch(e => e);
+    controller.abort();
+
+    expect((await pending).kind).toBe('aborted');
+  });
+
+  it('토큰이 있으면 Authorization 헤더를 붙임', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(jsonResponse({ items: [], cursor: 0 }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    await createApiClient('http://api').pullSyncItems('tok', 'words', 4);
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('http://api/api/me/words?since=4');
+    expect(init.headers.Authorization).toBe('Bearer tok');
+  });
+});
+
+describe('watchAnalysis', () => {
+  const languages = { nativeLanguage: 'ko', targetLanguage: 'en' };
+  const job = (status, overrides = {}) => ({
+    jobId: 'j1',
+    status,
+    stages: status === 'done' ? { transcript: 'done', script: 'done', vocabulary: 'done', quiz: 'done' } : {},
+    result: analysis(),
+    ...overrides
+  });
+
+  it('완료될 때까지 폴링하고 전체 결과를 돌려줌', async () => {
+    vi.useFakeTimers();
+    const fetchMock = vi.fn()
+      .mockResolvedValueOnce(jsonResponse(job('running')))
+      .mockResolvedValueOnce(jsonResponse(job('done')));
+    vi.stubGlobal('fetch', fetchMock);
+    const onUpdate = vi.fn();
+
+    const pending = createApiClient('http://api').watchAnalysis('https://youtu.be/abc', languages, { onUpdate });
+    await vi.advanceTimersByTimeAsync(1000);
+    const result = await pending;
+
+    expect(fetchMock.mock.calls.map(([url, init]) => [init.method, url])).toEqual([
+      ['POST', 'http://api/api/analyze/jobs'],
+      ['GET', 'http://api/api/analyze/jobs/j1']
+    ]);
+    expect(onUpdate.mock.calls.map(([update]) => update.status)).toEqual(['running', 'done']);
+    expect(result.title).toBe('Title');
+  });
+
+  it('작업 생성은 재시도하지 않음 (중복 분석 방지)', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(jsonResponse({ detail: 'busy' }, 503));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const err = await createApiClient('http://api').watchAnalysis('https://youtu.be/abc', languages).catch(e => e);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(err.kind).toBe('server');
+  });
+
+  it('실패한 작업은 서버 오류 상태를 담은 ApiError', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(jsonResponse(job('failed', { error: { status: 404, code: 'no_transcript', detail: '자막을 찾을 수 없습니다.' } }))));
+
+    const err = await createApiClient('http://api').watchAnalysis('https://youtu.be/abc', languages).catch(e => e);
+
+    expect(err).toBeInstanceOf(ApiError);
+    expect(err).toMatchObject({ kind: 'client', status: 404, code: 'no_transcript', detail: '자막을 찾을 수 없습니다.' });
+  });
+
+  it('취소하면 서버의 작업도 DELETE로 취소', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(jsonResponse(job('running')));
+    vi.stubGlobal('fetch', fetchMock);
+    const controller = new AbortController();
+
+    const pending = createApiClient('http://api').watchAnalysis('https://youtu.be/abc', languages, {
+      signal: controller.signal,
+      onUpdate: () => controller.abort()
+    }).catch(e => e);
+
+    expect((await pending).kind).toBe('aborted');
+    const [url, init] = fetchMock.mock.calls.at(-1);
+    expect(init.method).toBe('DELETE');
+    expect(url).toBe('http://api/api/analyze/jobs/j1');
+  });
+});
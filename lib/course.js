@@ -0,0 +1,55 @@
+// --- 코스 (재생목록/채널 일괄 가져오기) ---
+// 코스 항목은 순서대로 하나씩 분석하고, 앞 레슨의 퀴즈를 마쳐야 다음 레슨이 열립니다.
+// 항목 status: 'queued' | 'analyzing' | 'done' | 'failed'
+
+export const createCourse = ({ playlistId, title, videos }, sourceUrl, lessons, now = new Date()) => ({
+  id: playlistId,
+  title: title || playlistId,
+  sourceUrl,
+  createdAt: now.toISOString(),
+  items: videos.map(v => ({
+    videoId: v.videoId,
+    title: v.title,
+    status: lessons[v.videoId] ? 'done' : 'queued',
+    error: null
+  }))
+});
+
+// 새로고침으로 중단된 분석은 다시 대기열로
+export const resetInterrupted = (courses) =>
+  Object.fromEntries(Object.entries(courses).map(([id, course]) => [id, {
+    ...course,
+    items: course.items.map(item => (item.status === 'analyzing' ? { ...item, status: 'queued' } : item))
+  }]));
+
+// 다음으로 분석할 항목 (코스 생성 순, 코스 내 순서대로)
+export const getNextQueued = (courses) => {
+  const ordered = Object.values(courses).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  for (const course of ordered) {
+    const item = course.items.find(i => i.status === 'queued');
+    if (item) return { courseId: course.id, videoId: item.videoId };
+  }
+  return null;
+};
+
+export const updateCourseItem = (courses, courseId, videoId, patch) => {
+  const course = courses[courseId];
+  if (!course) return courses;
+  return {
+    ...courses,
+    [courseId]: {
+      ...course,
+      items: course.items.map(item => (item.videoId === videoId ? { ...item, ...patch } : item))
+    }
+  };
+};
+
+export const isItemCompleted = (item, quizResults) => quizResults.some(r => r.videoId === item.videoId);
+
+export const isItemUnlocked = (course, idx, quizResults) =>
+  idx === 0 || isItemCompleted(course.items[idx - 1], quizResults);
+
+export const getCourseProgress = (course, quizResults) => ({
+  completed: course.items.filter(item => isItemCompleted(item, quizResults)).length,
+  total: course.items.length
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { createCourse, resetInterrupted, getNextQueued, updateCourseItem, isItemUnlocked, getCourseProgress } from './course';
+
+const playlist = (id, ...videoIds) => ({ playlistId: id, title: '', videos: videoIds.map(videoId => ({ videoId, title: videoId })) });
+
+describe('createCourse', () => {
+  it('이미 분석한 영상은 done, 나머지는 대기열', () => {
+    const course = createCourse(playlist('PL1', 'a', 'b'), 'url', { a: {} }, new Date('2024-01-01'));
+
+    expect(course).toMatchObject({ id: 'PL1', title: 'PL1', createdAt: '2024-01-01T00:00:00.000Z' });
+    expect(course.items.map(i => i.status)).toEqual(['done', 'queued']);
+  });
+});
+
+describe('분석 대기열', () => {
+  const courses = {
+    PL2: createCourse(playlist('PL2', 'c'), 'url', {}, new Date('2024-01-02')),
+    PL1: createCourse(playlist('PL1', 'a', 'b'), 'url', {}, new Date('2024-01-01'))
+  };
+
+  it('먼저 만든 코스부터 순서대로', () => {
+    expect(getNextQueued(courses)).toEqual({ courseId: 'PL1', videoId: 'a' });
+
+    const next = updateCourseItem(updateCourseItem(courses, 'PL1', 'a', { status: 'done' }), 'PL1', 'b', { status: 'failed', error: 'x' });
+    expect(getNextQueued(next)).toEqual({ courseId: 'PL2', videoId: 'c' });
+    expect(updateCourseItem(courses, 'missing', 'a', {})).toBe(courses);
+  });
+
+  it('새로고침으로 중단된 분석은 다시 대기열로', () => {
+    const analyzing = updateCourseItem(courses, 'PL1', 'a', { status: 'analyzing' });
+    expect(getNextQueued(analyzing)).toEqual({ courseId: 'PL1', videoId: 'b' });
+    expect(getNextQueued(resetInterrupted(analyzing))).toEqual({ courseId: 'PL1', videoId: 'a' });
+  });
+});
+
+describe('잠금과 진도', () => {
+  it('앞 레슨의 퀴즈를 마쳐야 다음 레슨이 열림', () => {
+    const course = createCourse(playlist('PL1', 'a', 'b', 'c'), 'url', {});
+    const quizResults = [{ videoId: 'a', score: 1, total: 3 }];
+
+    expect([0, 1, 2].map(idx => isItemUnlocked(course, idx, quizResults))).toEqual([true, true, false]);
+    expect(getCourseProgress(course, quizResults)).toEqual({ completed: 1, total: 3 });
+  });
+});
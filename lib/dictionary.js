@@ -0,0 +1,38 @@
+// --- 단어 찾기 ---
+// 수업 단어장(vocabulary)에 있으면 그대로 쓰고, 없으면 사전 제공자(provider)에 묻습니다.
+// provider: { lookup: (word, sentence, languages) => Promise<{ word, meaning, type } | null> }
+// languages: { nativeLanguage, targetLanguage } — 뜻은 모국어로, 캐시는 언어 쌍별로 나눔
+
+// 문장을 공백은 그대로 두고 토큰으로 나눔. word는 찾기용으로 다듬은 단어(없으면 null)
+export const tokenizeLine = (text = '') =>
+  text.split(/(\s+)/).filter(Boolean).map(token => {
+    const word = token.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+    return { text: token, word: /\S/.test(token) && word ? word : null };
+  });
+
+const findInVocabulary = (word, vocabulary = []) => {
+  const key = word.toLowerCase();
+  return vocabulary.find(v => v.word?.toLowerCase() === key) || null;
+};
+
+export const createDictionary = (provider) => {
+  const cache = new Map();
+
+  return {
+    lookup: async (word, { vocabulary, sentence, languages } = {}) => {
+      const fromVocabulary = findInVocabulary(word, vocabulary);
+      if (fromVocabulary) return { ...fromVocabulary, source: 'vocabulary' };
+
+      const key = `${languages?.nativeLanguage}/${languages?.targetLanguage}:${word.toLowerCase()}`;
+      if (!cache.has(key)) {
+        // 실패한 요청은 캐시에 남기지 않아 다시 시도할 수 있게 함
+        cache.set(key, provider.lookup(word, sentence, languages).catch(err => {
+          cache.delete(key);
+          throw err;
+        }));
+      }
+      const entry = await cache.get(key);
+      return entry && { ...entry, source: 'dictionary' };
+    }
+  };
+};
@@ -0,0 +1,44 @@
+import { describe, it, expect, vi } from 'vitest';
+import { tokenizeLine, createDictionary } from './dictionary';
+
+const ko = { nativeLanguage: 'ko', targetLanguage: 'en' };
+
+describe('tokenizeLine', () => {
+  it('공백은 그대로 두고 단어 앞뒤 문장부호를 뗌', () => {
+    expect(tokenizeLine('"Hello,  world!" —')).toEqual([
+      { text: '"Hello,', word: 'Hello' },
+      { text: '  ', word: null },
+      { text: 'world!"', word: 'world' },
+      { text: ' ', word: null },
+      { text: '—', word: null }
+    ]);
+    expect(tokenizeLine("don't")[0].word).toBe("don't");
+  });
+});
+
+describe('createDictionary', () => {
+  it('수업 단어장에 있으면 사전에 묻지 않음', async () => {
+    const provider = { lookup: vi.fn() };
+    const entry = await createDictionary(provider).lookup('Apple', { vocabulary: [{ word: 'apple', meaning: '사과' }], languages: ko });
+
+    expect(entry).toEqual({ word: 'apple', meaning: '사과', source: 'vocabulary' });
+    expect(provider.lookup).not.toHaveBeenCalled();
+  });
+
+  it('같은 언어 쌍의 같은 단어는 한 번만 묻고, 실패는 캐시하지 않음', async () => {
+    const provider = {
+      lookup: vi.fn()
+        .mockRejectedValueOnce(new Error('offline'))
+        .mockResolvedValue({ word: 'run', meaning: '달리다', type: 'verb' })
+    };
+    const dictionary = createDictionary(provider);
+
+    await expect(dictionary.lookup('run', { sentence: 'I run', languages: ko })).rejects.toThrow('offline');
+    expect(await dictionary.lookup('Run', { languages: ko })).toMatchObject({ meaning: '달리다', source: 'dictionary' });
+    await dictionary.lookup('run', { languages: ko });
+    await dictionary.lookup('run', { languages: { nativeLanguage: 'ja', targetLanguage: 'en' } });
+
+    expect(provider.lookup).toHaveBeenCalledTimes(3);
+    expect(provider.lookup.mock.calls[0]).toEqual(['run', 'I run', ko]);
+  });
+});
@@ -0,0 +1,167 @@
+// --- 내보내기 / 가져오기 (CSV, TSV, Anki, SRT, VTT) ---
+import { getLineBounds } from './shadowing';
+import { toWatchUrl } from './youtubeUrl';
+
+export const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+// --- 단어장 ---
+
+const WORD_COLUMNS = ['word', 'meaning', 'type', 'example', 'example_translation', 'video_url', 'date'];
+
+const videoLink = (w) =>
+  w.videoId ? `${toWatchUrl(w.videoId)}${w.example?.time ? `&t=${Math.floor(w.example.time)}s` : ''}` : '';
+
+const wordToRow = (w) => [
+  w.word,
+  w.meaning,
+  w.type || '',
+  w.example?.text || '',
+  w.example?.translation || '',
+  videoLink(w),
+  w.date || ''
+];
+
+const escapeCsv = (value) => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+const escapeTsv = (value) => value.replace(/[\t\r\n]+/g, ' ');
+
+export const wordsToCsv = (words) =>
+  [WORD_COLUMNS, ...words.map(wordToRow)].map(row => row.map(v => escapeCsv(String(v))).join(',')).join('\r\n');
+
+export const wordsToTsv = (words) =>
+  [WORD_COLUMNS, ...words.map(wordToRow)].map(row => row.map(v => escapeTsv(String(v))).join('\t')).join('\n');
+
+const escapeHtml = (value) =>
+  value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Anki "텍스트 파일 가져오기"용 노트 목록 (앞면 / 뒷면). 기본 노트 유형(Basic)은 필드가 두 개뿐이라
+ * 예문과 영상 링크는 뒷면에 HTML로 덧붙입니다.
+ * 파일 머리의 #지시문으로 구분자와 필드 이름이 자동 설정됩니다 (Anki 2.1.54 이상).
+ */
+export const wordsToAnki = (words) => {
+  const header = ['#separator:tab', '#html:true', '#notetype:Basic', '#columns:Front\tBack'];
+  const notes = words.map(w => {
+    const meaning = `${escapeHtml(w.meaning)}${w.type ? ` <i>(${escapeHtml(w.type)})</i>` : ''}`;
+    const example = w.example ? `${escapeHtml(w.example.text)}<br>${escapeHtml(w.example.translation || '')}` : '';
+    const link = videoLink(w);
+    const back = [meaning, example, link ? `<a href="${link}">YouTube</a>` : ''].filter(Boolean).join('<br><br>');
+    return [escapeHtml(w.word), back].map(escapeTsv).join('\t');
+  });
+  return [...header, ...notes].join('\n');
+};
+
+// 따옴표로 감싼 필드(구분자/줄바꿈 포함 가능)를 지원하는 CSV/TSV 파서
+export const parseDelimited = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(v => v.trim()));
+};
+
+/**
+ * 내보낸 CSV/TSV(또는 단어,뜻 두 열짜리 파일)를 단어 목록으로 변환합니다.
+ * 헤더가 있으면 열 이름으로, 없으면 word, meaning, type 순서로 읽습니다.
+ * 예전 형식의 example_kr 열도 번역으로 읽습니다.
+ */
+export const parseWordFile = (text) => {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  // Anki 내보내기의 #separator 같은 설정 줄은 파일 맨 앞에만 있음 (본문의 #으로 시작하는 값은 그대로 둠)
+  while (lines.length && lines[0].startsWith('#')) lines.shift();
+  const body = lines.join('\n');
+  const delimiter = lines[0]?.includes('\t') ? '\t' : ',';
+  const rows = parseDelimited(body, delimiter);
+  if (rows.length === 0) return [];
+
+  const hasHeader = rows[0].map(h => h.trim().toLowerCase()).includes('word');
+  const columns = hasHeader ? rows[0].map(h => h.trim().toLowerCase()) : ['word', 'meaning', 'type'];
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+
+  return dataRows
+    .map(r => Object.fromEntries(columns.map((c, i) => [c, (r[i] || '').trim()])))
+    .filter(r => r.word && r.meaning)
+    .map(r => {
+      const videoId = r.video_url?.match(/[?&]v=([0-9A-Za-z_-]{11})/)?.[1];
+      const time = Number(r.video_url?.match(/[?&]t=(\d+)s/)?.[1]);
+      return {
+        word: r.word,
+        meaning: r.meaning,
+        type: r.type || '',
+        example: r.example
+          ? { text: r.example, translation: r.example_translation || r.example_kr || '', time: Number.isFinite(time) ? time : null }
+          : null,
+        videoId: videoId || null,
+        date: r.date || new Date().toLocaleDateString()
+      };
+    });
+};
+
+// --- 자막 (SRT / VTT) ---
+
+const pad = (n, len = 2) => String(n).padStart(len, '0');
+
+const formatTimestamp = (seconds, msSeparator) => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const h = Math.floor(totalMs / 3600000);
+  const m = Math.floor((totalMs % 3600000) / 60000);
+  const s = Math.floor((totalMs % 60000) / 1000);
+  return `${pad(h)}:${pad(m)}:${pad(s)}${msSeparator}${pad(totalMs % 1000, 3)}`;
+};
+
+// mode: 'original' | 'translation' | 'both'
+const cueText = (line, mode) => {
+  if (mode === 'original') return line.text;
+  if (mode === 'translation') return line.translation || line.text;
+  return line.translation ? `${line.text}\n${line.translation}` : line.text;
+};
+
+export const scriptToSrt = (script, mode = 'both') =>
+  script.map((line, i) => {
+    const { start, end } = getLineBounds(script, i);
+    return `${i + 1}\n${formatTimestamp(start, ',')} --> ${formatTimestamp(end, ',')}\n${cueText(line, mode)}\n`;
+  }).join('\n');
+
+export const scriptToVtt = (script, mode = 'both') =>
+  `WEBVTT\n\n${script.map((line, i) => {
+    const { start, end } = getLineBounds(script, i);
+    return `${formatTimestamp(start, '.')} --> ${formatTimestamp(end, '.')}\n${cueText(line, mode)}\n`;
+  }).join('\n')}`;
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { parseDelimited, parseWordFile, wordsToCsv, wordsToTsv, wordsToAnki, scriptToSrt, scriptToVtt } from './exporters';
+
+const word = (overrides = {}) => ({
+  word: 'apple',
+  meaning: '사과',
+  type: 'noun',
+  example: { text: 'I ate an "apple", then left.', translation: '사과를 먹고\n떠났다.', time: 12.7 },
+  videoId: 'abcdefghijk',
+  date: '2024. 1. 2.',
+  ...overrides
+});
+
+describe('parseDelimited', () => {
+  it('따옴표 안의 구분자, 줄바꿈, 이스케이프된 따옴표를 지원', () => {
+    expect(parseDelimited('a,"b,c","say ""hi""\nthere"\r\nd,e,f\n\n', ',')).toEqual([
+      ['a', 'b,c', 'say "hi"\nthere'],
+      ['d', 'e', 'f']
+    ]);
+  });
+});
+
+describe('parseWordFile', () => {
+  it('CSV로 내보낸 단어장을 그대로 다시 읽음', () => {
+    const [parsed] = parseWordFile(wordsToCsv([word()]));
+
+    expect(parsed).toEqual({
+      word: 'apple',
+      meaning: '사과',
+      type: 'noun',
+      example: { text: 'I ate an "apple", then left.', translation: '사과를 먹고\n떠났다.', time: 12 },
+      videoId: 'abcdefghijk',
+      date: '2024. 1. 2.'
+    });
+  });
+
+  it('TSV와 헤더 없는 두 열짜리 파일도 읽음', () => {
+    expect(parseWordFile(wordsToTsv([word({ example: null })]))[0]).toMatchObject({ word: 'apple', example: null });
+    expect(parseWordFile('\uFEFFcat,고양이\ndog,개')).toMatchObject([{ word: 'cat', meaning: '고양이' }, { word: 'dog', meaning: '개' }]);
+  });
+
+  it('맨 앞의 # 설정 줄만 건너뛰고 본문의 #은 그대로 둠', () => {
+    const text = [
+      '#separator:comma',
+      'word,meaning,example',
+      '#tag,해시태그,',
+      'apple,사과,"first line',
+      '#second line"'
+    ].join('\n');
+
+    expect(parseWordFile(text).map(w => [w.word, w.example?.text ?? null])).toEqual([
+      ['#tag', null],
+      ['apple', 'first line\n#second line']
+    ]);
+  });
+
+  it('단어나 뜻이 없는 줄은 버리고 옛 example_kr 열도 번역으로 읽음', () => {
+    const parsed = parseWordFile('word,meaning,example,example_kr\napple,,x,y\npear,배,A pear.,배 하나.');
+
+    expect(parsed).toHaveLength(1);
+    expect(parsed[0].example).toEqual({ text: 'A pear.', translation: '배 하나.', time: null });
+  });
+});
+
+describe('wordsToAnki', () => {
+  it('#지시문 뒤에 HTML을 이스케이프한 탭 구분 노트', () => {
+    const lines = wordsToAnki([word({ word: '<b>', example: null })]).split('\n');
+
+    expect(lines[0]).toBe('#separator:tab');
+    expect(lines[3]).toBe('#columns:Front\tBack');
+    expect(lines[4].split('\t')).toEqual(['&lt;b&gt;', '사과 <i>(noun)</i><br><br><a href="https://www.youtube.com/watch?v=abcdefghijk">YouTube</a>']);
+  });
+
+  it('Basic 노트 유형의 두 필드에 맞게 예문과 링크를 뒷면에 넣음', () => {
+    const [, back] = parseDelimited(wordsToAnki([word({ example: { text: 'An <apple>.', translation: '사과.' } })]), '\t')[4];
+
+    expect(back).toBe('사과 <i>(noun)</i><br><br>An &lt;apple&gt;.<br>사과.<br><br><a href="https://www.youtube.com/watch?v=abcdefghijk">YouTube</a>');
+  });
+});
+
+describe('scriptToSrt / scriptToVtt', () => {
+  const script = [
+    { time: 0, text: 'Hello', translation: '안녕' },
+    { time: 3661.5, text: 'Bye', translation: '' }
+  ];
+
+  it('다음 줄 시작까지를 한 자막으로, 마지막 줄은 고정 길이', () => {
+    expect(scriptToSrt(script)).toBe(
+      '1\n00:00:00,000 --> 01:01:01,500\nHello\n안녕\n\n2\n01:01:01,500 --> 01:01:06,500\nBye\n'
+    );
+  });
+
+  it('VTT는 헤더와 점 구분 밀리초, 모드에 따라 번역만', () => {
+    expect(scriptToVtt(script, 'translation')).toBe(
+      'WEBVTT\n\n00:00:00.000 --> 01:01:01.500\n안녕\n\n01:01:01.500 --> 01:01:06.500\nBye\n'
+    );
+  });
+});
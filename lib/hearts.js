@@ -0,0 +1,28 @@
+// --- 하트 모드 ---
+// 켜 두면 퀴즈에서 틀릴 때마다 하트가 하나 줄고, 다 떨어지면 그 퀴즈는 끝납니다.
+// 하트는 HEART_REFILL_MS마다 하나씩 다시 차고, updatedAt은 다음 하트가 차기 시작한 시각입니다.
+
+export const MAX_HEARTS = 5;
+export const HEART_REFILL_MS = 30 * 60 * 1000;
+
+export const createHearts = () => ({ count: MAX_HEARTS, updatedAt: null });
+
+// 지난 시간만큼 하트를 채운 상태
+export const refillHearts = (hearts, now = Date.now()) => {
+  if (hearts.count >= MAX_HEARTS || !hearts.updatedAt) return { count: Math.min(hearts.count, MAX_HEARTS), updatedAt: null };
+  const gained = Math.floor((now - hearts.updatedAt) / HEART_REFILL_MS);
+  if (gained <= 0) return hearts;
+  const count = Math.min(MAX_HEARTS, hearts.count + gained);
+  return { count, updatedAt: count >= MAX_HEARTS ? null : hearts.updatedAt + gained * HEART_REFILL_MS };
+};
+
+export const loseHeart = (hearts, now = Date.now()) => {
+  const current = refillHearts(hearts, now);
+  return { count: Math.max(0, current.count - 1), updatedAt: current.updatedAt ?? now };
+};
+
+// 다음 하트가 찰 때까지 남은 시간(ms). 가득 차 있으면 0
+export const msUntilNextHeart = (hearts, now = Date.now()) => {
+  const current = refillHearts(hearts, now);
+  return current.updatedAt ? current.updatedAt + HEART_REFILL_MS - now : 0;
+};
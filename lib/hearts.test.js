@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { MAX_HEARTS, HEART_REFILL_MS, createHearts, refillHearts, loseHeart, msUntilNextHeart } from './hearts';
+
+describe('하트', () => {
+  it('틀리면 하나 줄고 그때부터 다시 차기 시작', () => {
+    const hearts = loseHeart(createHearts(), 1000);
+    expect(hearts).toEqual({ count: MAX_HEARTS - 1, updatedAt: 1000 });
+    expect(msUntilNextHeart(hearts, 1000 + 60000)).toBe(HEART_REFILL_MS - 60000);
+    expect(msUntilNextHeart(createHearts())).toBe(0);
+  });
+
+  it('지난 시간만큼 채우고 남은 시간은 이어서 셈', () => {
+    const start = 1000;
+    const hearts = { count: 1, updatedAt: start };
+
+    expect(refillHearts(hearts, start + HEART_REFILL_MS - 1)).toBe(hearts);
+    expect(refillHearts(hearts, start + HEART_REFILL_MS * 2 + 5)).toEqual({ count: 3, updatedAt: start + HEART_REFILL_MS * 2 });
+    expect(refillHearts(hearts, start + HEART_REFILL_MS * 10)).toEqual({ count: MAX_HEARTS, updatedAt: null });
+  });
+
+  it('0개 아래로는 내려가지 않음', () => {
+    expect(loseHeart({ count: 0, updatedAt: 1000 }, 2000).count).toBe(0);
+  });
+});
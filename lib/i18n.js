@@ -0,0 +1,29 @@
+// --- 다국어(i18n) ---
+// 화면 문구는 locales/의 언어별 사전에 두고 t('section.key', { name })으로 꺼내 씁니다.
+// 사전에 없는 키는 기본 로케일(한국어) 문구로, 그마저 없으면 키 그대로 보여줍니다.
+import { ko } from './locales/ko';
+import { en } from './locales/en';
+
+export const LOCALES = { ko, en };
+export const DEFAULT_LOCALE = 'ko';
+
+// 화면 언어는 모국어를 따르고, 사전이 없는 언어는 영어로 보여줌
+export const getUiLocale = (nativeLanguage) => (LOCALES[nativeLanguage] ? nativeLanguage : 'en');
+
+const resolve = (dict, key) => key.split('.').reduce((node, part) => node?.[part], dict);
+
+const translators = {};
+
+// 동적으로 만든 키(예: 서버 오류 코드)가 사전에 있는지
+export const hasMessage = (key) => resolve(LOCALES[DEFAULT_LOCALE], key) !== undefined;
+
+export const getTranslator = (locale) => {
+  if (!translators[locale]) {
+    const dict = LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+    translators[locale] = (key, params = {}) => {
+      const template = resolve(dict, key) ?? resolve(LOCALES[DEFAULT_LOCALE], key) ?? key;
+      return String(template).replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    };
+  }
+  return translators[locale];
+};
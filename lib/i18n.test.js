@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync, readdirSync } from 'node:fs';
+import { LOCALES, getTranslator, getUiLocale, hasMessage } from './i18n';
+
+const flattenKeys = (dict, prefix = '') => Object.entries(dict).flatMap(([key, value]) =>
+  (typeof value === 'object' ? flattenKeys(value, `${prefix}${key}.`) : [`${prefix}${key}`]));
+
+// 앱과 lib/에서 t('section.key') 형태로 직접 쓰는 키 (i18n.js는 주석의 예시뿐이라 뺌)
+const usedKeys = () => {
+  const root = new URL('../', import.meta.url);
+  const files = [new URL('App.jsx', root), ...readdirSync(new URL('lib/', root))
+    .filter(name => name.endsWith('.js') && !name.endsWith('.test.js') && name !== 'i18n.js')
+    .map(name => new URL(`lib/${name}`, root))];
+  return new Set(files.flatMap(file => [...readFileSync(file, 'utf8').matchAll(/\bt\('(\w+(?:\.\w+)+)'/g)].map(m => m[1])));
+};
+
+describe('getTranslator', () => {
+  it('매개변수를 채우고 없는 키는 한국어 문구, 그마저 없으면 키 그대로', () => {
+    const t = getTranslator('en');
+
+    expect(t('course.lessonsCompleted', { completed: 1, total: 3 })).toBe('1 / 3 lessons done');
+    expect(t('course.lessonsCompleted', { completed: 1 })).toBe('1 / {total} lessons done');
+    expect(t('no.such.key')).toBe('no.such.key');
+  });
+
+  it('사전이 없는 모국어는 영어 화면', () => {
+    expect(getUiLocale('ko')).toBe('ko');
+    expect(getUiLocale('ja')).toBe('en');
+  });
+});
+
+describe('로케일 사전', () => {
+  it('모든 로케일의 키가 같음', () => {
+    const koKeys = flattenKeys(LOCALES.ko).sort();
+    Object.values(LOCALES).forEach(dict => expect(flattenKeys(dict).sort()).toEqual(koKeys));
+  });
+
+  it('코드에서 쓰는 키는 모두 사전에 있음', () => {
+    const koKeys = new Set(flattenKeys(LOCALES.ko));
+    expect([...usedKeys()].filter(key => !koKeys.has(key))).toEqual([]);
+  });
+
+  it('백엔드가 보내는 오류 코드는 모두 사전에 있음', () => {
+    const main = readFileSync(new URL('../backend/main.py', import.meta.url), 'utf8');
+    const codes = [...main.matchAll(/ApiException\(\d+, "(\w+)"/g)].map(m => m[1]);
+
+    expect(codes.length).toBeGreaterThan(0);
+    expect(codes.filter(code => !hasMessage(`errors.codes.${code}`))).toEqual([]);
+  });
+});
@@ -0,0 +1,23 @@
+// --- 학습 언어 ---
+// code는 백엔드 분석 요청(nativeLanguage / targetLanguage)에 그대로 보냅니다.
+// 화면에 보이는 언어 이름은 로케일 사전의 languages.<code>에 있습니다.
+// wordBoundaries: false인 언어는 정규식 \b로 단어를 찾을 수 없어(공백이 없거나 조사가 붙음) 부분 문자열로 찾습니다.
+
+export const LANGUAGES = [
+  { code: 'ko', speech: 'ko-KR', wordBoundaries: false },
+  { code: 'en', speech: 'en-US' },
+  { code: 'ja', speech: 'ja-JP', wordBoundaries: false },
+  { code: 'zh', speech: 'zh-CN', wordBoundaries: false },
+  { code: 'es', speech: 'es-ES' },
+  { code: 'fr', speech: 'fr-FR' },
+  { code: 'de', speech: 'de-DE' }
+];
+
+export const DEFAULT_NATIVE_LANGUAGE = 'ko';
+export const DEFAULT_TARGET_LANGUAGE = 'en';
+
+export const getLanguage = (code) =>
+  LANGUAGES.find(l => l.code === code) || LANGUAGES.find(l => l.code === DEFAULT_TARGET_LANGUAGE);
+
+// 레슨이나 설정에서 분석 요청에 보낼 언어 쌍만 추림
+export const pickLanguages = ({ nativeLanguage, targetLanguage }) => ({ nativeLanguage, targetLanguage });
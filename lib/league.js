@@ -0,0 +1,95 @@
+// --- 주간 XP 리그 ---
+// 월요일(로컬 자정)부터 한 주 동안 얻은 XP로 같은 리그의 상대들과 순위를 겨룹니다.
+// 상대는 기기 id와 주차로 정해지는 가상의 학습자라서 새로고침해도 같은 상대가 나오고,
+// 한 주 동안 각자의 속도로 XP가 늘어납니다. 서버에서 받은 상대가 있으면 peers로 넘기면 됩니다.
+// 주가 바뀌면 지난주 순위로 승급/강등을 정산합니다.
+import { toDayKey, shiftDay } from './progress';
+
+// 이름은 로케일 사전의 league.tiers.<tier>
+export const LEAGUE_TIERS = ['bronze', 'silver', 'gold', 'sapphire', 'diamond'];
+export const LEAGUE_SIZE = 10; // 나를 포함한 인원
+export const PROMOTE_COUNT = 3;
+export const DEMOTE_COUNT = 3;
+
+const PEER_NAMES = ['Mina', 'Leo', 'Sora', 'Noah', 'Yuna', 'Kai', 'Hana', 'Eli', 'Jun', 'Ava', 'Rin', 'Theo', 'Lia', 'Max', 'Nari', 'Sam'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 이번 주 월요일의 날짜 키
+export const getWeekKey = (now = new Date()) => shiftDay(toDayKey(now), -((now.getDay() + 6) % 7));
+
+export const createLeague = (now = new Date()) => ({ tier: 0, weekKey: getWeekKey(now), lastResult: null });
+
+export const getWeeklyXp = (xpEvents, weekKey) => {
+  const end = shiftDay(weekKey, 7);
+  return xpEvents
+    .filter(e => {
+      const day = toDayKey(new Date(e.at));
+      return day >= weekKey && day < end;
+    })
+    .reduce((sum, e) => sum + e.amount, 0);
+};
+
+// 같은 시드면 같은 수열을 내는 난수 (mulberry32)
+const seededRandom = (seed) => {
+  let h = 1779033703;
+  for (let i = 0; i < seed.length; i++) h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+  let a = h >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let x = Math.imul(a ^ (a >>> 15), 1 | a);
+    x = (x + Math.imul(x ^ (x >>> 7), 61 | x)) ^ x;
+    return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * 가상의 상대들. 높은 리그일수록 하루 XP가 많고, 주가 지날수록 XP가 늘어남
+ * @returns {Array<{ id: string, name: string, xp: number }>}
+ */
+export const simulatePeers = (seed, weekKey, tier, now = new Date()) => {
+  const random = seededRandom(`${seed}|${weekKey}|${tier}`);
+  const weekStart = new Date(`${weekKey}T00:00:00`).getTime();
+  const elapsedDays = Math.min(7, Math.max(0, (now.getTime() - weekStart) / DAY_MS));
+  const basePace = 30 + tier * 25; // 하루 평균 XP
+  const names = [...PEER_NAMES];
+  return Array.from({ length: LEAGUE_SIZE - 1 }, (_, i) => {
+    const name = names.splice(Math.floor(random() * names.length), 1)[0];
+    const pace = basePace * (0.2 + random() * 1.6);
+    return { id: `peer-${i}`, name, xp: Math.round(pace * elapsedDays) };
+  });
+};
+
+/**
+ * 나와 상대들의 순위표 (XP 내림차순, 같으면 내가 위)
+ * @returns {Array<{ id, name, xp, isMe, rank }>}
+ */
+export const getStandings = ({ xpEvents, league, seed, peers, now = new Date() }) => {
+  const others = peers || simulatePeers(seed, league.weekKey, league.tier, now);
+  const me = { id: 'me', name: null, xp: getWeeklyXp(xpEvents, league.weekKey), isMe: true };
+  return [me, ...others.map(p => ({ ...p, isMe: false }))]
+    .sort((a, b) => b.xp - a.xp || Number(b.isMe) - Number(a.isMe))
+    .map((entry, i) => ({ ...entry, rank: i + 1 }));
+};
+
+export const getZone = (rank, tier) => {
+  if (rank <= PROMOTE_COUNT && tier < LEAGUE_TIERS.length - 1) return 'promote';
+  if (rank > LEAGUE_SIZE - DEMOTE_COUNT && tier > 0) return 'demote';
+  return 'stay';
+};
+
+/**
+ * 주가 바뀌었으면 지난주 최종 순위로 승급/강등하고 이번 주 리그를 시작합니다.
+ * 여러 주를 건너뛰었으면 마지막으로 참여한 주만 정산합니다.
+ */
+export const settleLeague = (league, xpEvents, seed, now = new Date()) => {
+  const weekKey = getWeekKey(now);
+  if (league.weekKey === weekKey) return league;
+  const weekEnd = new Date(`${shiftDay(league.weekKey, 7)}T00:00:00`);
+  const { rank } = getStandings({ xpEvents, league, seed, now: weekEnd }).find(entry => entry.isMe);
+  const zone = getZone(rank, league.tier);
+  return {
+    tier: league.tier + (zone === 'promote' ? 1 : zone === 'demote' ? -1 : 0),
+    weekKey,
+    lastResult: { weekKey: league.weekKey, rank, zone, tier: league.tier }
+  };
+};
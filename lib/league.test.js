@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { LEAGUE_SIZE, LEAGUE_TIERS, getWeekKey, createLeague, getWeeklyXp, simulatePeers, getStandings, getZone, settleLeague } from './league';
+
+// 2024-01-01은 월요일 (로컬 시각 기준)
+const local = (d, hour = 12) => new Date(2024, 0, d, hour);
+const xp = (amount, d) => ({ amount, at: local(d).toISOString() });
+
+describe('주차와 주간 XP', () => {
+  it('월요일부터 일요일까지를 한 주로', () => {
+    expect(getWeekKey(local(1))).toBe('2024-01-01');
+    expect(getWeekKey(local(7, 23))).toBe('2024-01-01');
+    expect(getWeekKey(local(8, 0))).toBe('2024-01-08');
+    expect(getWeeklyXp([xp(10, 1), xp(20, 7), xp(40, 8)], '2024-01-01')).toBe(30);
+  });
+});
+
+describe('simulatePeers / getStandings', () => {
+  it('같은 시드와 주면 같은 상대, 시간이 지날수록 XP가 늘어남', () => {
+    const monday = simulatePeers('device', '2024-01-01', 0, local(1, 0));
+    const later = simulatePeers('device', '2024-01-01', 0, local(4));
+
+    expect(monday).toHaveLength(LEAGUE_SIZE - 1);
+    expect(monday.every(p => p.xp === 0)).toBe(true);
+    expect(later.map(p => p.name)).toEqual(monday.map(p => p.name));
+    expect(new Set(later.map(p => p.name)).size).toBe(LEAGUE_SIZE - 1);
+    expect(simulatePeers('device', '2024-01-01', 0, local(4))).toEqual(later);
+    expect(simulatePeers('other', '2024-01-01', 0, local(4))).not.toEqual(later);
+  });
+
+  it('XP 내림차순, 같으면 내가 위', () => {
+    const standings = getStandings({
+      xpEvents: [xp(50, 2)],
+      league: createLeague(local(1)),
+      peers: [{ id: 'a', name: 'A', xp: 80 }, { id: 'b', name: 'B', xp: 50 }]
+    });
+    expect(standings.map(s => [s.id, s.rank])).toEqual([['a', 1], ['me', 2], ['b', 3]]);
+  });
+});
+
+describe('getZone / settleLeague', () => {
+  it('맨 위 리그는 승급, 맨 아래 리그는 강등 없음', () => {
+    expect(getZone(1, 0)).toBe('promote');
+    expect(getZone(1, LEAGUE_TIERS.length - 1)).toBe('stay');
+    expect(getZone(LEAGUE_SIZE, 1)).toBe('demote');
+    expect(getZone(LEAGUE_SIZE, 0)).toBe('stay');
+  });
+
+  it('주가 바뀌면 지난주 순위로 정산', () => {
+    const league = createLeague(local(1));
+    expect(settleLeague(league, [], 'device', local(5))).toBe(league);
+
+    const promoted = settleLeague(league, [xp(100000, 3)], 'device', local(9));
+    expect(promoted).toEqual({
+      tier: 1,
+      weekKey: '2024-01-08',
+      lastResult: { weekKey: '2024-01-01', rank: 1, zone: 'promote', tier: 0 }
+    });
+
+    const demoted = settleLeague({ ...league, tier: 2 }, [], 'device', local(20));
+    expect(demoted).toMatchObject({ tier: 1, weekKey: '2024-01-15', lastResult: { rank: LEAGUE_SIZE, zone: 'demote' } });
+  });
+});
@@ -0,0 +1,53 @@
+// --- 레슨 라이브러리 ---
+// 저장된 레슨(videoId -> lesson)과 퀴즈 기록으로 목록 항목을 만들고 검색/정렬합니다.
+
+// 정렬 기준 (이름은 로케일 사전의 library.sort.<key>)
+export const SORT_OPTIONS = ['recent', 'analyzed', 'title', 'progress', 'score'];
+
+// 스크립트 진도(%) — 가장 멀리 재생한 줄 기준
+export const getLessonProgress = (lesson) => {
+  const total = lesson.script?.length || 0;
+  if (total === 0) return 0;
+  return Math.round((((lesson.maxLineIdx ?? -1) + 1) / total) * 100);
+};
+
+export const getBestScore = (videoId, quizResults) => {
+  const scores = quizResults
+    .filter(r => r.videoId === videoId && r.total > 0)
+    .map(r => Math.round((r.score / r.total) * 100));
+  return scores.length ? Math.max(...scores) : null;
+};
+
+export const getLessonSummaries = (lessons, quizResults) =>
+  Object.values(lessons).map(lesson => ({
+    videoId: lesson.videoId,
+    title: lesson.title || lesson.videoId,
+    thumbnail: lesson.thumbnail,
+    analyzedAt: lesson.analyzedAt,
+    lastOpenedAt: lesson.lastOpenedAt || lesson.analyzedAt,
+    progress: getLessonProgress(lesson),
+    bestScore: getBestScore(lesson.videoId, quizResults)
+  }));
+
+export const filterLessons = (summaries, query) => {
+  const q = query.trim().toLowerCase();
+  if (!q) return summaries;
+  return summaries.filter(s => s.title.toLowerCase().includes(q) || s.videoId.toLowerCase().includes(q));
+};
+
+const COMPARATORS = {
+  recent: (a, b) => (b.lastOpenedAt || '').localeCompare(a.lastOpenedAt || ''),
+  analyzed: (a, b) => (b.analyzedAt || '').localeCompare(a.analyzedAt || ''),
+  title: (a, b) => a.title.localeCompare(b.title),
+  progress: (a, b) => b.progress - a.progress,
+  score: (a, b) => (b.bestScore ?? -1) - (a.bestScore ?? -1)
+};
+
+export const sortLessons = (summaries, key) => [...summaries].sort(COMPARATORS[key] || COMPARATORS.recent);
+
+// 현재 줄까지 진도를 기록 (뒤로 돌아가도 최고 기록 유지)
+export const updateLessonProgress = (lessons, videoId, lineIdx) => {
+  const lesson = lessons[videoId];
+  if (!lesson || (lesson.maxLineIdx ?? -1) >= lineIdx) return lessons;
+  return { ...lessons, [videoId]: { ...lesson, maxLineIdx: lineIdx } };
+};
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { getLessonProgress, getBestScore, getLessonSummaries, filterLessons, sortLessons, updateLessonProgress } from './library';
+
+const lessons = {
+  abc: { videoId: 'abc', title: 'Cooking Pasta', script: [{}, {}, {}, {}], maxLineIdx: 1, analyzedAt: '2024-01-01', lastOpenedAt: '2024-01-05' },
+  xyz: { videoId: 'xyz', title: 'Airport English', script: [{}, {}], analyzedAt: '2024-01-03' }
+};
+const quizResults = [
+  { videoId: 'abc', score: 3, total: 4 },
+  { videoId: 'abc', score: 1, total: 4 },
+  { videoId: 'xyz', score: 0, total: 0 }
+];
+
+describe('getLessonSummaries', () => {
+  it('진도와 최고 점수를 계산', () => {
+    expect(getLessonProgress(lessons.abc)).toBe(50);
+    expect(getLessonProgress({})).toBe(0);
+    expect(getBestScore('abc', quizResults)).toBe(75);
+    expect(getBestScore('xyz', quizResults)).toBeNull();
+
+    const [abc, xyz] = getLessonSummaries(lessons, quizResults);
+    expect(abc).toMatchObject({ progress: 50, bestScore: 75, lastOpenedAt: '2024-01-05' });
+    // 연 적이 없으면 분석한 시각
+    expect(xyz).toMatchObject({ progress: 0, bestScore: null, lastOpenedAt: '2024-01-03' });
+  });
+});
+
+describe('filterLessons / sortLessons', () => {
+  const summaries = getLessonSummaries(lessons, quizResults);
+
+  it('제목이나 videoId로 검색', () => {
+    expect(filterLessons(summaries, ' pasta ').map(s => s.videoId)).toEqual(['abc']);
+    expect(filterLessons(summaries, 'XYZ').map(s => s.videoId)).toEqual(['xyz']);
+    expect(filterLessons(summaries, '')).toBe(summaries);
+  });
+
+  it('기준별 정렬, 모르는 기준은 최근 순', () => {
+    const order = (key) => sortLessons(summaries, key).map(s => s.videoId);
+    expect(order('recent')).toEqual(['abc', 'xyz']);
+    expect(order('analyzed')).toEqual(['xyz', 'abc']);
+    expect(order('title')).toEqual(['xyz', 'abc']);
+    expect(order('score')).toEqual(['abc', 'xyz']);
+    expect(order('unknown')).toEqual(['abc', 'xyz']);
+  });
+});
+
+describe('updateLessonProgress', () => {
+  it('뒤로 돌아가도 최고 기록을 유지', () => {
+    expect(updateLessonProgress(lessons, 'abc', 0)).toBe(lessons);
+    expect(updateLessonProgress(lessons, 'missing', 3)).toBe(lessons);
+    expect(updateLessonProgress(lessons, 'abc', 3).abc.maxLineIdx).toBe(3);
+  });
+});
@@ -0,0 +1,316 @@
+// --- English UI strings ---
+
+export const en = {
+  common: {
+    cancel: 'Cancel',
+    backHome: 'Back to home',
+    saveWordsHint: 'Save words while you study!',
+    none: '(nothing)'
+  },
+  languages: {
+    ko: 'Korean',
+    en: 'English',
+    ja: 'Japanese',
+    zh: 'Chinese',
+    es: 'Spanish',
+    fr: 'French',
+    de: 'German'
+  },
+  nav: {
+    home: 'Learn',
+    library: 'Library',
+    review: 'Review',
+    me: 'Profile'
+  },
+  errors: {
+    network: "Can't reach the server. Please check your internet connection.",
+    timeout: 'The server is taking too long. Please try again in a moment.',
+    server: 'Something went wrong on the server. Please try again in a moment.',
+    client: "The request couldn't be processed.",
+    invalid_response: 'The AI analysis came back malformed. Please try again.',
+    aborted: 'The request was cancelled.',
+    codes: {
+      unsupported_language: "That language isn't supported.",
+      same_language: 'Your native language and the language you are learning are the same.',
+      no_transcript: "This video has no subtitles in the language you're learning.",
+      analysis_failed: 'Something went wrong during the AI analysis. Please try again in a moment.',
+      invalid_url: "That's not a valid YouTube link.",
+      job_not_found: "The analysis couldn't be found. Please try again.",
+      invalid_word: "That word isn't valid.",
+      lookup_failed: "Couldn't find the meaning of this word.",
+      playlist_unavailable: "This server can't import playlists.",
+      not_playlist: "That's not a playlist or channel link.",
+      channel_not_found: "Couldn't find the channel.",
+      playlist_not_found: "Couldn't find the playlist.",
+      playlist_fetch_failed: "Couldn't load the playlist.",
+      playlist_empty: 'The playlist has no videos.',
+      invalid_email: "That email address doesn't look right.",
+      weak_password: 'Your password must be at least 8 characters.',
+      login_required: 'Please log in.',
+      session_expired: 'Your login has expired. Please log in again.',
+      email_taken: 'That email is already registered.',
+      wrong_credentials: 'The email or password is incorrect.',
+      too_many_items: 'Too many items were sent at once.'
+    }
+  },
+  offline: {
+    banner: "You're offline. You can keep studying your saved lessons.",
+    pending: '{count} records will sync when you reconnect.',
+    analyzeUnavailable: 'Analyzing new videos needs an internet connection.'
+  },
+  url: {
+    notYoutube: "That's not a YouTube link.",
+    playlistOnly: "This playlist link doesn't point to a video.",
+    noVideoId: "Couldn't find a video ID in the link.",
+    invalidVideoId: "The video ID doesn't look right."
+  },
+  time: {
+    minutes: '{m}m',
+    hours: '{h}h',
+    hoursMinutes: '{h}h {m}m'
+  },
+  home: {
+    titleLine1: 'The most fun way',
+    titleLine2: 'to learn with YouTube',
+    descLine1: 'Just paste a link to a video you like.',
+    descLine2: 'Your AI tutor builds the lesson and a quiz!',
+    targetLanguage: 'Learning',
+    nativeLanguage: 'My language',
+    startAt: 'Starts playing at {m}m {s}s.',
+    start: 'Start learning',
+    importPlaylist: 'Import the whole playlist as a course',
+    importChannel: "Import the channel's videos as a course"
+  },
+  analyzing: {
+    title: 'The AI is analyzing the video',
+    hint: 'You can start studying as soon as the script is ready',
+    stages: {
+      transcript: 'Fetching captions',
+      script: 'Building the study script',
+      vocabulary: 'Building the word list',
+      quiz: 'Writing the quiz'
+    }
+  },
+  lookup: {
+    searching: "Looking up '{word}'...",
+    notFound: "Couldn't find a meaning."
+  },
+  speaking: {
+    micError: "Can't use the microphone. Please check your browser permissions.",
+    recognitionError: 'Speech recognition failed. Please try again.',
+    start: 'Repeat after',
+    stop: 'Stop recording',
+    score: '{score} pts',
+    praise: 'Well done! 🎉',
+    heardWord: 'Heard: {word}',
+    heard: 'Recognized: {text}',
+    unsupported: "This browser doesn't support speech recognition. Listen to your recording and compare it yourself."
+  },
+  study: {
+    tabScript: 'Script',
+    tabWords: 'Words',
+    shadowing: 'Shadowing',
+    speed: 'Speed',
+    subtitles: 'Subtitles',
+    subtitleModes: {
+      original: 'Original',
+      translation: 'Translation',
+      both: 'Both',
+      hidden: 'Off'
+    },
+    subtitleSizes: {
+      sm: 'Small',
+      md: 'Medium',
+      lg: 'Large'
+    },
+    blurTranslation: 'Hide translation',
+    subtitleFile: 'Subtitle file',
+    repeat: 'Repeat',
+    repeatOption: '{count}×',
+    gap: 'Gap',
+    gapOption: '{count}s',
+    speakNow: 'Your turn to speak!',
+    repeatProgress: '{current}/{total}',
+    vocabularyLoading: 'Building the word list...',
+    vocabularyFailed: "Couldn't build the word list. Tap words in the script to look them up.",
+    backToCurrent: 'Back to current line',
+    quizLoading: 'Preparing the quiz...',
+    startQuiz: 'Done studying & take the quiz!'
+  },
+  quizSetup: {
+    title: 'Quiz options',
+    count: 'Questions',
+    countOption: '{count} questions',
+    difficulty: 'Difficulty',
+    generate: 'Create quiz ✨',
+    adaptive: 'Auto',
+    adaptiveHint: "Picks questions you'll get right about 70–80% of the time. You're Lv.{level}"
+  },
+  quiz: {
+    empty: 'No quiz questions could be created.',
+    loadFailed: 'Failed to load the question',
+    retryTitle: 'Mistake retry',
+    typingPlaceholder: 'Type your answer',
+    listen: 'Play clip',
+    listening: 'Playing...',
+    correct: 'Correct! 🎉',
+    wrong: 'Not quite 😢',
+    rationale: 'Explanation:',
+    check: 'Check',
+    next: 'Next question',
+    showResult: 'See results',
+    myAnswer: 'Your answer: {answer}',
+    answer: 'Answer: {answer}'
+  },
+  quizgen: {
+    wordType: 'word',
+    meaningQuestion: "What does '{word}' mean?",
+    meaningRationale: "'{word}' ({type}) means '{meaning}'.",
+    reverseQuestion: "Which word means '{meaning}'?",
+    reverseRationale: "'{meaning}' is '{word}' in {language}.",
+    clozeQuestion: 'Which word fills the blank?\n"{sentence}"',
+    translationQuestion: 'Which is the right translation?\n"{text}"',
+    translationRationale: '"{text}" means "{translation}".',
+    typingQuestion: 'Type the word that fills the blank ({meaning})\n"{sentence}"',
+    typingRationale: 'Answer: {word} — "{text}"',
+    reorderQuestion: 'Put the words in order\n"{translation}"',
+    reorderRationale: 'Answer: "{text}"',
+    listeningQuestion: 'Listen to the clip and pick the sentence you heard',
+    lineRationale: '"{text}" — {translation}'
+  },
+  result: {
+    title: 'Quiz Completed!',
+    goalMet: "You hit today's goal! 🔥 {streak}-day streak",
+    goalRemaining: "{xp} XP left to reach today's goal.",
+    totalXp: 'Total XP',
+    accuracy: 'Accuracy',
+    level: 'Level',
+    levelChange: 'Lv.{before} → Lv.{after}',
+    review: 'Question review',
+    retryMistakes: 'Retry missed questions ({count})',
+    toDashboard: 'View dashboard'
+  },
+  library: {
+    myCourses: 'My courses',
+    myLessons: 'My lessons',
+    searchPlaceholder: 'Search titles',
+    sort: {
+      recent: 'Recently studied',
+      analyzed: 'Recently added',
+      title: 'Title',
+      progress: 'Progress',
+      score: 'Score'
+    },
+    noResults: 'No matching lessons.',
+    empty: 'Videos you analyze are saved here.',
+    progress: 'Progress {progress}%',
+    notTaken: 'No quiz yet',
+    bestScore: 'Best {score}%',
+    confirmRemove: 'Remove this lesson from your library?'
+  },
+  course: {
+    notFound: "Couldn't find that course.",
+    lessonsCompleted: '{completed} / {total} lessons done',
+    queued: 'Waiting to analyze',
+    analyzing: 'Analyzing...',
+    completed: 'Done',
+    available: 'Ready to study',
+    locked: 'Unlocks after the previous lesson',
+    failed: 'Analysis failed',
+    retry: 'Retry',
+    confirmRemove: 'Delete this course? Analyzed lessons stay in your library.'
+  },
+  review: {
+    doneTitle: 'Review complete!',
+    doneBody: 'You reviewed {count} cards. +{xp} XP',
+    emptyTitle: 'Nothing to review',
+    emptyLater: 'See you on your next review day.',
+    prompts: {
+      word: 'What does this word mean?',
+      meaning: 'Which word has this meaning?',
+      example: 'Which word fills the blank?'
+    },
+    reveal: 'Show answer',
+    grades: {
+      1: 'Again',
+      3: 'Hard',
+      4: 'Good',
+      5: 'Easy'
+    }
+  },
+  dashboard: {
+    title: 'My learning report',
+    todayGoal: "Today's goal",
+    streakDays: '{count}-day streak',
+    freezes: '{count} freezes',
+    weekly: 'Last 7 days',
+    monthly: 'Last 30 days',
+    week: 'Week',
+    month: 'Month',
+    weekdays: ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'],
+    studyTime: 'Study time',
+    quizzes: 'Quizzes',
+    quizCount: '{count}',
+    accuracy: 'Accuracy',
+    accuracyTrend: 'Recent quiz accuracy',
+    wordbook: 'My words ({count})',
+    importWords: 'Import',
+    importedWords: 'Imported {count} words.',
+    skippedDuplicates: ' ({count} duplicates skipped)',
+    importFailed: "Couldn't read the file.",
+    mistakes: 'Mistake notebook ({count})',
+    retryMistakes: 'Retry',
+    mistakesEmpty: 'Questions you miss collect here.',
+    missCount: 'missed {count}×',
+    dataTitle: 'Data',
+    exportData: 'Export',
+    resetData: 'Reset',
+    confirmReset: 'All of your learning history will be deleted and you will be signed out. Continue?'
+  },
+  account: {
+    title: 'Account',
+    description: 'Sign in to sync your XP, streak, words, lessons and quiz history across devices.',
+    email: 'Email',
+    password: 'Password (8+ characters)',
+    login: 'Sign in',
+    register: 'Sign up',
+    logout: 'Sign out',
+    signedInAs: 'Signed in as {email}',
+    syncNow: 'Sync now',
+    syncing: 'Syncing...',
+    lastSynced: 'Last synced: {time}',
+    neverSynced: 'Not synced yet.',
+    sessionExpired: 'Your session expired. Please sign in again.'
+  },
+  achievements: {
+    title: 'Achievements ({count}/{total})',
+    unlocked: 'Achievement unlocked!',
+    unlockedOn: 'Unlocked {date}',
+    metrics: {
+      streak: '{goal}-day streak',
+      words: 'Words saved: {goal}',
+      perfectQuizzes: 'Perfect quizzes: {goal}',
+      videosCompleted: 'Videos finished: {goal}'
+    }
+  },
+  league: {
+    title: '{tier} League',
+    endsOn: 'Ends {date}',
+    me: 'You',
+    promoted: 'You finished #{rank} last week and moved up to the {tier} League!',
+    demoted: 'You finished #{rank} last week and dropped to the {tier} League.',
+    tiers: {
+      bronze: 'Bronze',
+      silver: 'Silver',
+      gold: 'Gold',
+      sapphire: 'Sapphire',
+      diamond: 'Diamond'
+    }
+  },
+  hearts: {
+    mode: 'Hearts mode',
+    modeHint: 'Each wrong answer costs a heart. You have up to {max}, and one refills every 30 minutes.',
+    empty: "You're out of hearts. One refills in {minutes} min.",
+    outOfHearts: "You're out of hearts."
+  }
+};
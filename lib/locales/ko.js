@@ -0,0 +1,317 @@
+// --- 한국어 화면 문구 ---
+
+export const ko = {
+  common: {
+    cancel: '취소',
+    backHome: '홈으로 돌아가기',
+    saveWordsHint: '학습 중에 단어를 저장해보세요!',
+    none: '(없음)'
+  },
+  languages: {
+    ko: '한국어',
+    en: '영어',
+    ja: '일본어',
+    zh: '중국어',
+    es: '스페인어',
+    fr: '프랑스어',
+    de: '독일어'
+  },
+  nav: {
+    home: '학습',
+    library: '라이브러리',
+    review: '복습',
+    me: '내 정보'
+  },
+  errors: {
+    network: '서버에 연결할 수 없어요. 인터넷 연결을 확인해주세요.',
+    timeout: '서버 응답이 너무 늦어요. 잠시 후 다시 시도해주세요.',
+    server: '서버에서 오류가 발생했어요. 잠시 후 다시 시도해주세요.',
+    client: '요청을 처리할 수 없어요.',
+    invalid_response: 'AI 분석 결과가 올바르지 않아요. 다시 시도해주세요.',
+    aborted: '요청이 취소되었어요.',
+    codes: {
+      unsupported_language: '지원하지 않는 언어예요.',
+      same_language: '모국어와 배우는 언어가 같아요.',
+      no_transcript: '배우는 언어의 자막이 없는 영상이에요.',
+      analysis_failed: 'AI 분석 중 오류가 발생했어요. 잠시 후 다시 시도해주세요.',
+      invalid_url: '유효하지 않은 유튜브 주소예요.',
+      job_not_found: '분석 작업을 찾을 수 없어요. 다시 시도해주세요.',
+      invalid_word: '유효하지 않은 단어예요.',
+      lookup_failed: '단어 뜻을 찾지 못했어요.',
+      playlist_unavailable: '이 서버에서는 재생목록을 가져올 수 없어요.',
+      not_playlist: '재생목록 또는 채널 주소가 아니에요.',
+      channel_not_found: '채널을 찾을 수 없어요.',
+      playlist_not_found: '재생목록을 찾을 수 없어요.',
+      playlist_fetch_failed: '재생목록을 불러오지 못했어요.',
+      playlist_empty: '재생목록에 영상이 없어요.',
+      invalid_email: '이메일 형식이 올바르지 않아요.',
+      weak_password: '비밀번호는 8자 이상이어야 해요.',
+      login_required: '로그인이 필요해요.',
+      session_expired: '로그인이 만료되었어요. 다시 로그인해주세요.',
+      email_taken: '이미 가입된 이메일이에요.',
+      wrong_credentials: '이메일 또는 비밀번호가 올바르지 않아요.',
+      too_many_items: '한 번에 보낼 수 있는 항목 수를 넘었어요.'
+    }
+  },
+  offline: {
+    banner: '오프라인 상태예요. 저장된 레슨으로 계속 학습할 수 있어요.',
+    pending: '기록 {count}개는 온라인이 되면 동기화돼요.',
+    analyzeUnavailable: '새 영상 분석은 온라인에서만 할 수 있어요.'
+  },
+  url: {
+    notYoutube: '유튜브 링크가 아니에요.',
+    playlistOnly: '재생목록 링크에는 영상이 지정되어 있지 않아요.',
+    noVideoId: '링크에서 영상 ID를 찾을 수 없어요.',
+    invalidVideoId: '영상 ID 형식이 올바르지 않아요.'
+  },
+  time: {
+    minutes: '{m}분',
+    hours: '{h}시간',
+    hoursMinutes: '{h}시간 {m}분'
+  },
+  home: {
+    titleLine1: '유튜브로 배우는',
+    titleLine2: '가장 재미있는 방법',
+    descLine1: '좋아하는 영상 링크만 넣으세요.',
+    descLine2: 'AI 튜터가 학습 자료와 퀴즈를 만들어줍니다!',
+    targetLanguage: '배우는 언어',
+    nativeLanguage: '모국어',
+    startAt: '{m}분 {s}초부터 재생합니다.',
+    start: '학습 시작하기',
+    importPlaylist: '재생목록 전체를 코스로 가져오기',
+    importChannel: '채널 영상을 코스로 가져오기'
+  },
+  analyzing: {
+    title: 'AI가 영상을 분석하고 있어요',
+    hint: '스크립트가 준비되면 바로 학습을 시작할 수 있어요',
+    stages: {
+      transcript: '자막 가져오기',
+      script: '학습 스크립트 만들기',
+      vocabulary: '단어장 만들기',
+      quiz: '퀴즈 만들기'
+    }
+  },
+  lookup: {
+    searching: "'{word}' 찾는 중...",
+    notFound: '뜻을 찾지 못했어요.'
+  },
+  speaking: {
+    micError: '마이크를 사용할 수 없어요. 브라우저 권한을 확인해주세요.',
+    recognitionError: '음성 인식에 실패했어요. 다시 시도해주세요.',
+    start: '따라 말하기',
+    stop: '녹음 끝내기',
+    score: '{score}점',
+    praise: '잘했어요! 🎉',
+    heardWord: '들린 단어: {word}',
+    heard: '인식된 문장: {text}',
+    unsupported: '이 브라우저는 음성 인식을 지원하지 않아요. 녹음을 들으며 스스로 비교해보세요.'
+  },
+  study: {
+    tabScript: '스크립트',
+    tabWords: '단어장',
+    shadowing: '쉐도잉',
+    speed: '속도',
+    subtitles: '자막',
+    subtitleModes: {
+      original: '원문',
+      translation: '번역',
+      both: '모두',
+      hidden: '끄기'
+    },
+    subtitleSizes: {
+      sm: '작게',
+      md: '보통',
+      lg: '크게'
+    },
+    blurTranslation: '번역 가리기',
+    subtitleFile: '자막 파일',
+    repeat: '반복',
+    repeatOption: '{count}회',
+    gap: '간격',
+    gapOption: '{count}초',
+    speakNow: '따라 말해보세요!',
+    repeatProgress: '{current}/{total}회',
+    vocabularyLoading: '단어장을 만들고 있어요...',
+    vocabularyFailed: '단어장을 만들지 못했어요. 스크립트의 단어를 눌러 뜻을 찾아보세요.',
+    backToCurrent: '현재 문장으로',
+    quizLoading: '퀴즈를 준비하고 있어요...',
+    startQuiz: '학습 완료 & 퀴즈 도전!'
+  },
+  quizSetup: {
+    title: '퀴즈 옵션 설정',
+    count: '문항 수',
+    countOption: '{count}문제',
+    difficulty: '난이도',
+    generate: '퀴즈 생성하기 ✨',
+    adaptive: '자동',
+    adaptiveHint: '실력에 맞춰 정답률 70~80% 정도의 문제를 골라요. 현재 Lv.{level}'
+  },
+  quiz: {
+    empty: '생성된 퀴즈 데이터가 없습니다.',
+    loadFailed: '문제 로딩 실패',
+    retryTitle: '오답 재도전',
+    typingPlaceholder: '정답 입력',
+    listen: '구간 듣기',
+    listening: '재생 중...',
+    correct: '정답입니다! 🎉',
+    wrong: '오답입니다 😢',
+    rationale: '해설:',
+    check: '확인하기',
+    next: '다음 문제',
+    showResult: '결과 보기',
+    myAnswer: '내 답: {answer}',
+    answer: '정답: {answer}'
+  },
+  // 클라이언트에서 만드는 문제 (lib/quizGenerator.js)
+  quizgen: {
+    wordType: '단어',
+    meaningQuestion: "'{word}'의 뜻으로 알맞은 것은?",
+    meaningRationale: "'{word}'({type})는 '{meaning}'라는 뜻입니다.",
+    reverseQuestion: "'{meaning}'에 해당하는 단어는?",
+    reverseRationale: "'{meaning}'는 {language}로 '{word}'입니다.",
+    clozeQuestion: '빈칸에 들어갈 알맞은 단어는?\n"{sentence}"',
+    translationQuestion: '다음 문장의 알맞은 해석은?\n"{text}"',
+    translationRationale: '"{text}"는 "{translation}"라는 뜻입니다.',
+    typingQuestion: '빈칸에 들어갈 단어를 입력하세요 ({meaning})\n"{sentence}"',
+    typingRationale: '정답: {word} — "{text}"',
+    reorderQuestion: '단어를 순서대로 배열하세요\n"{translation}"',
+    reorderRationale: '정답: "{text}"',
+    listeningQuestion: '구간을 듣고 들린 문장을 고르세요',
+    lineRationale: '"{text}" — {translation}'
+  },
+  result: {
+    title: 'Quiz Completed!',
+    goalMet: '오늘의 학습 목표를 달성했습니다! 🔥 {streak}일 연속',
+    goalRemaining: '오늘의 목표까지 {xp} XP 남았어요.',
+    totalXp: 'Total XP',
+    accuracy: 'Accuracy',
+    level: '레벨',
+    levelChange: 'Lv.{before} → Lv.{after}',
+    review: '문항별 리뷰',
+    retryMistakes: '틀린 문제 다시 풀기 ({count})',
+    toDashboard: '대시보드 확인'
+  },
+  library: {
+    myCourses: '내 코스',
+    myLessons: '내 레슨',
+    searchPlaceholder: '제목 검색',
+    sort: {
+      recent: '최근 학습순',
+      analyzed: '추가순',
+      title: '제목순',
+      progress: '진도순',
+      score: '점수순'
+    },
+    noResults: '검색 결과가 없어요.',
+    empty: '분석한 영상이 여기에 저장돼요.',
+    progress: '진도 {progress}%',
+    notTaken: '퀴즈 미응시',
+    bestScore: '최고 {score}%',
+    confirmRemove: '이 레슨을 라이브러리에서 삭제할까요?'
+  },
+  course: {
+    notFound: '코스를 찾을 수 없습니다.',
+    lessonsCompleted: '{completed} / {total} 레슨 완료',
+    queued: '분석 대기 중',
+    analyzing: '분석 중...',
+    completed: '완료',
+    available: '학습 가능',
+    locked: '이전 레슨을 완료하면 열려요',
+    failed: '분석 실패',
+    retry: '재시도',
+    confirmRemove: '코스를 삭제할까요? 분석된 레슨은 라이브러리에 남습니다.'
+  },
+  review: {
+    doneTitle: '복습 완료!',
+    doneBody: '{count}장을 복습했어요. +{xp} XP',
+    emptyTitle: '복습할 단어가 없어요',
+    emptyLater: '다음 복습일에 다시 만나요.',
+    prompts: {
+      word: '이 단어의 뜻은?',
+      meaning: '이 뜻의 단어는?',
+      example: '빈칸에 들어갈 단어는?'
+    },
+    reveal: '정답 보기',
+    grades: {
+      1: '다시',
+      3: '어려움',
+      4: '좋음',
+      5: '쉬움'
+    }
+  },
+  dashboard: {
+    title: '내 학습 리포트',
+    todayGoal: '오늘의 목표',
+    streakDays: '{count}일 연속',
+    freezes: '프리즈 {count}개',
+    weekly: '주간 활동',
+    monthly: '월간 활동',
+    week: '주',
+    month: '월',
+    weekdays: ['일', '월', '화', '수', '목', '금', '토'],
+    studyTime: '학습 시간',
+    quizzes: '퀴즈',
+    quizCount: '{count}회',
+    accuracy: '정답률',
+    accuracyTrend: '최근 퀴즈 정답률',
+    wordbook: '내 단어장 ({count})',
+    importWords: '가져오기',
+    importedWords: '{count}개 단어를 가져왔어요.',
+    skippedDuplicates: ' (중복 {count}개 제외)',
+    importFailed: '파일을 읽을 수 없습니다.',
+    mistakes: '오답 노트 ({count})',
+    retryMistakes: '다시 풀기',
+    mistakesEmpty: '틀린 문제가 여기에 모여요.',
+    missCount: '{count}회 틀림',
+    dataTitle: '데이터 관리',
+    exportData: '내보내기',
+    resetData: '초기화',
+    confirmReset: '모든 학습 기록이 삭제됩니다. 계속할까요? (로그인한 계정에서도 로그아웃돼요)'
+  },
+  account: {
+    title: '계정',
+    description: '로그인하면 XP, 스트릭, 단어장, 레슨, 퀴즈 기록이 다른 기기와 동기화돼요.',
+    email: '이메일',
+    password: '비밀번호 (8자 이상)',
+    login: '로그인',
+    register: '가입하기',
+    logout: '로그아웃',
+    signedInAs: '{email}(으)로 로그인됨',
+    syncNow: '지금 동기화',
+    syncing: '동기화 중...',
+    lastSynced: '마지막 동기화: {time}',
+    neverSynced: '아직 동기화하지 않았어요.',
+    sessionExpired: '로그인이 만료되었어요. 다시 로그인해 주세요.'
+  },
+  achievements: {
+    title: '업적 ({count}/{total})',
+    unlocked: '업적 달성!',
+    unlockedOn: '{date} 달성',
+    metrics: {
+      streak: '{goal}일 연속 학습',
+      words: '단어 {goal}개 저장',
+      perfectQuizzes: '만점 퀴즈 {goal}회',
+      videosCompleted: '영상 {goal}개 완주'
+    }
+  },
+  league: {
+    title: '{tier} 리그',
+    endsOn: '{date}까지',
+    me: '나',
+    promoted: '지난주 {rank}위! {tier} 리그로 승급했어요.',
+    demoted: '지난주 {rank}위로 {tier} 리그로 내려왔어요.',
+    tiers: {
+      bronze: '브론즈',
+      silver: '실버',
+      gold: '골드',
+      sapphire: '사파이어',
+      diamond: '다이아몬드'
+    }
+  },
+  hearts: {
+    mode: '하트 모드',
+    modeHint: '틀릴 때마다 하트가 하나씩 줄어요. 하트는 최대 {max}개이고 30분마다 하나씩 다시 차요.',
+    empty: '하트가 없어요. {minutes}분 뒤에 하나가 다시 차요.',
+    outOfHearts: '하트가 모두 떨어졌어요.'
+  }
+};
@@ -0,0 +1,32 @@
+// --- 오답 노트 ---
+// 틀린 문제를 questionKey 기준으로 한 번만 보관하고, 다시 맞히면 노트에서 지웁니다.
+// 항목: { key, question, response, videoId, videoTitle, missCount, lastMissedAt }
+import { questionKey, shuffle } from './quizGenerator';
+
+export const recordMistake = (mistakes, { question, response, videoId, videoTitle }, now = new Date()) => {
+  // 세션용 id는 저장하지 않음
+  const { id, mistakeKey, ...rest } = question;
+  const key = questionKey(rest);
+  const existing = mistakes.find(m => m.key === key);
+  const entry = {
+    key,
+    question: rest,
+    response,
+    videoId: existing?.videoId ?? videoId,
+    videoTitle: existing?.videoTitle ?? videoTitle,
+    missCount: (existing?.missCount || 0) + 1,
+    lastMissedAt: now.toISOString()
+  };
+  return [...mistakes.filter(m => m.key !== key), entry];
+};
+
+export const resolveMistake = (mistakes, key) => mistakes.filter(m => m.key !== key);
+
+// 오답 노트로 재도전 세션 구성. 각 문제에 원래 노트 키를 달아 둠
+export const buildRetrySession = (mistakes, random = Math.random) =>
+  shuffle(mistakes, random).map((m, i) => ({
+    ...m.question,
+    videoId: m.question.videoId ?? m.videoId,
+    id: i,
+    mistakeKey: m.key
+  }));
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { recordMistake, resolveMistake, buildRetrySession } from './mistakes';
+
+const question = { id: 3, question: 'Q', options: ['a', 'b'], answer: 0, difficulty: 'easy' };
+
+describe('recordMistake', () => {
+  it('같은 문제는 한 번만 두고 틀린 횟수를 셈', () => {
+    let mistakes = recordMistake([], { question, response: 1, videoId: 'v1', videoTitle: 'First' }, new Date('2024-01-01'));
+    mistakes = recordMistake(mistakes, { question: { ...question, id: 7 }, response: 1, videoId: 'v2', videoTitle: 'Second' }, new Date('2024-01-02'));
+
+    expect(mistakes).toHaveLength(1);
+    expect(mistakes[0]).toMatchObject({ videoId: 'v1', videoTitle: 'First', missCount: 2, lastMissedAt: '2024-01-02T00:00:00.000Z' });
+    // 세션용 id는 저장하지 않음
+    expect(mistakes[0].question).not.toHaveProperty('id');
+  });
+
+  it('다시 맞히면 노트에서 지움', () => {
+    const mistakes = recordMistake([], { question, response: 1, videoId: 'v1' });
+    expect(resolveMistake(mistakes, mistakes[0].key)).toEqual([]);
+  });
+});
+
+describe('buildRetrySession', () => {
+  it('원래 노트 키와 영상을 달아 새 번호를 매김', () => {
+    const mistakes = recordMistake([], { question, response: 1, videoId: 'v1' });
+    const [retry] = buildRetrySession(mistakes);
+
+    expect(retry).toMatchObject({ question: 'Q', videoId: 'v1', id: 0, mistakeKey: mistakes[0].key });
+    // 재도전에서 또 틀려도 같은 항목으로 모임
+    expect(recordMistake(mistakes, { question: retry, response: 1 })).toHaveLength(1);
+  });
+});
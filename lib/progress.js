@@ -0,0 +1,88 @@
+// --- 진행도 엔진 (XP / 연속 학습 / 일일 목표) ---
+// 날짜는 모두 사용자의 로컬 자정 기준 'YYYY-MM-DD' 키로 다룹니다.
+
+export const MAX_STREAK_FREEZES = 2;
+const FREEZE_REWARD_INTERVAL = 7; // 7일 연속마다 스트릭 프리즈 1개 지급
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export const toDayKey = (date = new Date()) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const fromDayKey = (key) => {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(y, m - 1, d);
+};
+
+export const shiftDay = (key, days) => {
+  const date = fromDayKey(key);
+  date.setDate(date.getDate() + days);
+  return toDayKey(date);
+};
+
+// 두 날짜 키 사이의 일수 (b - a)
+export const dayDiff = (a, b) => {
+  const [ay, am, ad] = a.split('-').map(Number);
+  const [by, bm, bd] = b.split('-').map(Number);
+  return Math.round((Date.UTC(by, bm - 1, bd) - Date.UTC(ay, am - 1, ad)) / 86400000);
+};
+
+// 다음 로컬 자정까지 남은 시간(ms)
+export const msUntilNextDay = (now = new Date()) => {
+  const next = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+  return next.getTime() - now.getTime();
+};
+
+export const createXpEvent = (amount, source, now = new Date()) => ({
+  amount,
+  source,
+  at: now.toISOString()
+});
+
+/**
+ * 날짜가 바뀌었으면 todayXp를 초기화하고, 목표를 못 채운 날을 정산합니다.
+ * 빠진 날 수만큼 프리즈가 있으면 소모해서 스트릭을 지키고, 모자라면 스트릭이 끊깁니다.
+ */
+export const rolloverDay = (stats, now = new Date()) => {
+  const today = toDayKey(now);
+  if (stats.todayDay === today) return stats;
+
+  let { streak, streakFreezes, lastGoalDay } = stats;
+  if (!lastGoalDay) {
+    streak = 0;
+  } else if (streak > 0) {
+    const missedDays = dayDiff(lastGoalDay, today) - 1;
+    if (missedDays > 0) {
+      if (missedDays <= streakFreezes) {
+        streakFreezes -= missedDays;
+        lastGoalDay = shiftDay(today, -1);
+      } else {
+        streak = 0;
+      }
+    }
+  }
+
+  return { ...stats, streak, streakFreezes, lastGoalDay, todayDay: today, todayXp: 0 };
+};
+
+// XP를 반영하고, 오늘 처음 목표를 달성하면 스트릭을 1 올립니다.
+export const applyXp = (stats, amount, now = new Date()) => {
+  const today = toDayKey(now);
+  const rolled = rolloverDay(stats, now);
+  const next = {
+    ...rolled,
+    xp: rolled.xp + amount,
+    todayXp: rolled.todayXp + amount
+  };
+
+  if (next.todayXp >= next.goalXp && next.lastGoalDay !== today) {
+    next.streak += 1;
+    next.lastGoalDay = today;
+    if (next.streak % FREEZE_REWARD_INTERVAL === 0) {
+      next.streakFreezes = Math.min(MAX_STREAK_FREEZES, next.streakFreezes + 1);
+    }
+  }
+  return next;
+};
+
+export const isGoalMet = (stats) => stats.todayXp >= stats.goalXp;
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { MAX_STREAK_FREEZES, toDayKey, shiftDay, dayDiff, msUntilNextDay, rolloverDay, applyXp, isGoalMet } from './progress';
+
+// 로컬 시각 기준 날짜
+const day = (d, hour = 12) => new Date(2024, 0, d, hour);
+
+const stats = (overrides = {}) => ({
+  xp: 0, streak: 0, todayXp: 0, goalXp: 50, streakFreezes: 0, todayDay: null, lastGoalDay: null, ...overrides
+});
+
+describe('날짜 키', () => {
+  it('월/연 경계를 넘어 이동하고 일수를 셈', () => {
+    expect(toDayKey(day(5))).toBe('2024-01-05');
+    expect(shiftDay('2024-03-01', -1)).toBe('2024-02-29');
+    expect(shiftDay('2023-12-31', 1)).toBe('2024-01-01');
+    expect(dayDiff('2023-12-30', '2024-01-02')).toBe(3);
+  });
+
+  it('다음 로컬 자정까지 남은 시간', () => {
+    expect(msUntilNextDay(day(5, 23))).toBe(60 * 60 * 1000);
+  });
+});
+
+describe('applyXp', () => {
+  it('오늘 처음 목표를 채우면 스트릭이 1 오르고 한 번만 오름', () => {
+    let next = applyXp(stats(), 30, day(1));
+    expect(next).toMatchObject({ xp: 30, todayXp: 30, streak: 0 });
+    expect(isGoalMet(next)).toBe(false);
+
+    next = applyXp(next, 30, day(1));
+    expect(next).toMatchObject({ streak: 1, lastGoalDay: '2024-01-01' });
+    expect(applyXp(next, 50, day(1)).streak).toBe(1);
+  });
+
+  it('7일 연속마다 프리즈를 주되 최대 개수까지만', () => {
+    const next = applyXp(stats({ streak: 6, streakFreezes: MAX_STREAK_FREEZES, lastGoalDay: '2024-01-06', todayDay: '2024-01-07' }), 50, day(7));
+
+    expect(next.streak).toBe(7);
+    expect(next.streakFreezes).toBe(MAX_STREAK_FREEZES);
+    expect(applyXp(stats({ streak: 13, lastGoalDay: '2024-01-06' }), 50, day(7)).streakFreezes).toBe(1);
+  });
+});
+
+describe('rolloverDay', () => {
+  it('같은 날이면 그대로', () => {
+    const today = stats({ todayDay: '2024-01-05', todayXp: 20 });
+    expect(rolloverDay(today, day(5))).toBe(today);
+  });
+
+  it('날이 바뀌면 todayXp를 초기화하고 어제 목표를 채웠으면 스트릭 유지', () => {
+    const next = rolloverDay(stats({ streak: 3, todayXp: 60, todayDay: '2024-01-04', lastGoalDay: '2024-01-04' }), day(5));
+    expect(next).toMatchObject({ streak: 3, todayXp: 0, todayDay: '2024-01-05' });
+  });
+
+  it('빠진 날만큼 프리즈가 있으면 소모하고, 모자라면 스트릭이 끊김', () => {
+    const missedTwo = stats({ streak: 5, streakFreezes: 2, todayDay: '2024-01-02', lastGoalDay: '2024-01-02' });
+
+    expect(rolloverDay(missedTwo, day(5))).toMatchObject({ streak: 5, streakFreezes: 0, lastGoalDay: '2024-01-04' });
+    expect(rolloverDay({ ...missedTwo, streakFreezes: 1 }, day(5))).toMatchObject({ streak: 0, streakFreezes: 1 });
+  });
+});
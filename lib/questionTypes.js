@@ -0,0 +1,77 @@
+// --- 문제 유형 레지스트리 ---
+// 유형마다 빈 응답, 제출 가능 여부, 채점 방법, 응답/정답 표시 문구를 정의합니다.
+// 새 유형은 QUESTION_TYPES에 항목을 추가하고 App.jsx에 렌더러를 등록하면 됩니다.
+
+// 대소문자, 악센트, 문장부호, 공백 차이를 무시하도록 정규화
+export const normalizeText = (text = '') =>
+  text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .normalize('NFC') // 한글처럼 NFD로 자모가 나뉜 글자는 다시 합침
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s']/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+export const levenshtein = (a, b) => {
+  const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const temp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = temp;
+    }
+  }
+  return prev[b.length];
+};
+
+// 길이 5자 이상이면 오타 1개까지, 9자 이상이면 2개까지 허용
+export const isFuzzyMatch = (input, expected) => {
+  const a = normalizeText(input);
+  const b = normalizeText(expected);
+  if (!a) return false;
+  const tolerance = b.length >= 9 ? 2 : b.length >= 5 ? 1 : 0;
+  return levenshtein(a, b) <= tolerance;
+};
+
+export const QUESTION_TYPES = {
+  // 4지선다 (기본). 응답: 보기 인덱스
+  choice: {
+    emptyResponse: null,
+    isReady: (response) => response !== null,
+    grade: (q, response) => response === q.answer,
+    formatResponse: (q, response) => q.options[response] ?? '',
+    formatAnswer: (q) => q.options[q.answer]
+  },
+  // 빈칸 직접 입력. 응답: 문자열
+  typing: {
+    emptyResponse: '',
+    isReady: (response) => response.trim().length > 0,
+    grade: (q, response) => isFuzzyMatch(response, q.answerText),
+    formatResponse: (q, response) => response,
+    formatAnswer: (q) => q.answerText
+  },
+  // 단어 타일 순서 맞추기. 응답: tiles 인덱스 배열
+  reorder: {
+    emptyResponse: [],
+    isReady: (response, q) => response.length === q.tiles.length,
+    grade: (q, response) =>
+      normalizeText(response.map(i => q.tiles[i]).join(' ')) === normalizeText(q.answerText),
+    formatResponse: (q, response) => response.map(i => q.tiles[i]).join(' '),
+    formatAnswer: (q) => q.answerText
+  },
+  // 영상 구간을 듣고 문장 고르기. 응답: 보기 인덱스
+  listening: {
+    emptyResponse: null,
+    isReady: (response) => response !== null,
+    grade: (q, response) => response === q.answer,
+    formatResponse: (q, response) => q.options[response] ?? '',
+    formatAnswer: (q) => q.options[q.answer]
+  }
+};
+
+export const getQuestionType = (q) => QUESTION_TYPES[q?.type] || QUESTION_TYPES.choice;
+
+export const gradeResponse = (q, response) => getQuestionType(q).grade(q, response);
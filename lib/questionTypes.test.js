@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeText, levenshtein, isFuzzyMatch, getQuestionType, gradeResponse, QUESTION_TYPES } from './questionTypes';
+
+describe('normalizeText / isFuzzyMatch', () => {
+  it('대소문자, 악센트, 문장부호, 공백 차이를 무시', () => {
+    expect(normalizeText('  Café,   CRÈME!  ')).toBe('cafe creme');
+    expect(normalizeText("don't")).toBe("don't");
+    expect(normalizeText('안녕, 세상')).toBe('안녕 세상');
+  });
+
+  it('길이에 따라 오타를 허용', () => {
+    expect(levenshtein('kitten', 'sitting')).toBe(3);
+    expect(isFuzzyMatch('cat', 'car')).toBe(false);
+    expect(isFuzzyMatch('appel', 'apple')).toBe(false);
+    expect(isFuzzyMatch('aple', 'apple')).toBe(true);
+    expect(isFuzzyMatch('beutifull', 'beautiful')).toBe(true);
+    expect(isFuzzyMatch('', 'a')).toBe(false);
+    // 한글은 자모가 아니라 글자 단위로 셈
+    expect(isFuzzyMatch('안녕하세오', '안녕하세요')).toBe(true);
+    expect(isFuzzyMatch('안넝하세오', '안녕하세요')).toBe(false);
+  });
+});
+
+describe('QUESTION_TYPES', () => {
+  it('type이 없거나 모르는 유형은 객관식', () => {
+    expect(getQuestionType({})).toBe(QUESTION_TYPES.choice);
+    expect(getQuestionType({ type: 'unknown' })).toBe(QUESTION_TYPES.choice);
+    expect(gradeResponse({ options: ['a', 'b'], answer: 1 }, 1)).toBe(true);
+  });
+
+  it('빈칸 입력은 오타를 허용해 채점', () => {
+    const q = { type: 'typing', answerText: 'Beautiful' };
+    expect(QUESTION_TYPES.typing.isReady('  ')).toBe(false);
+    expect(gradeResponse(q, 'beautifull')).toBe(true);
+  });
+
+  it('타일 순서 맞추기는 모든 타일을 놓아야 제출 가능', () => {
+    const q = { type: 'reorder', tiles: ['sweet.', 'Pears', 'are'], answerText: 'Pears are sweet.' };
+    const { isReady, formatResponse } = QUESTION_TYPES.reorder;
+
+    expect(isReady([1, 2], q)).toBe(false);
+    expect(formatResponse(q, [1, 2, 0])).toBe('Pears are sweet.');
+    expect(gradeResponse(q, [1, 2, 0])).toBe(true);
+    expect(gradeResponse(q, [2, 1, 0])).toBe(false);
+  });
+});
@@ -0,0 +1,169 @@
+// --- 클라이언트 퀴즈 생성기 ---
+// 단어장(vocabulary, 저장 단어)과 스크립트(text/translation)로 quizBank와 같은 형태의 문제를 만듭니다.
+// { type, difficulty, question, options, answer, rationale } — type별 필드는 questionTypes.js 참고
+import { makeCloze, wordPattern } from './srs';
+import { getLanguage } from './languages';
+
+const OPTION_COUNT = 4;
+const REORDER_MIN_WORDS = 4;
+const REORDER_MAX_WORDS = 12;
+const LISTENING_FALLBACK_SECONDS = 5; // 마지막 줄은 다음 줄 시간이 없으므로 고정 길이로 재생
+
+export const shuffle = (items, random = Math.random) => {
+  const arr = [...items];
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+};
+
+// 정답 하나와 오답 후보로 보기를 구성. 오답이 2개 미만이면 문제를 만들지 않음
+const buildOptions = (correct, pool, random) => {
+  const distractors = shuffle([...new Set(pool.filter(p => p && p !== correct))], random).slice(0, OPTION_COUNT - 1);
+  if (distractors.length < 2) return null;
+  const options = shuffle([correct, ...distractors], random);
+  return { options, answer: options.indexOf(correct) };
+};
+
+const containsWord = (text, word, wordBoundaries) => wordPattern(word, wordBoundaries).test(text);
+
+// 수업 단어와 저장 단어를 합쳐 중복 제거
+const collectWords = (vocabulary, savedWords) => {
+  const seen = new Set();
+  return [...vocabulary, ...savedWords].filter(w => {
+    const key = w.word?.toLowerCase();
+    if (!key || !w.meaning || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const meaningQuestions = (words, t, random) => words.map(w => {
+  const opts = buildOptions(w.meaning, words.map(o => o.meaning), random);
+  return opts && {
+    difficulty: 'easy',
+    question: t('quizgen.meaningQuestion', { word: w.word }),
+    ...opts,
+    rationale: t('quizgen.meaningRationale', { word: w.word, type: w.type || t('quizgen.wordType'), meaning: w.meaning })
+  };
+});
+
+const reverseQuestions = (words, t, language, random) => words.map(w => {
+  const opts = buildOptions(w.word, words.map(o => o.word), random);
+  return opts && {
+    difficulty: 'normal',
+    question: t('quizgen.reverseQuestion', { meaning: w.meaning }),
+    ...opts,
+    rationale: t('quizgen.reverseRationale', { meaning: w.meaning, word: w.word, language })
+  };
+});
+
+const clozeQuestions = (words, script, t, wordBoundaries, random) => words.map(w => {
+  const line = script.find(l => l.text && containsWord(l.text, w.word, wordBoundaries));
+  if (!line) return null;
+  const opts = buildOptions(w.word, words.map(o => o.word), random);
+  return opts && {
+    difficulty: 'hard',
+    question: t('quizgen.clozeQuestion', { sentence: makeCloze(line.text, w.word, wordBoundaries) }),
+    ...opts,
+    rationale: t('quizgen.lineRationale', { text: line.text, translation: line.translation || '' })
+  };
+});
+
+const translationQuestions = (script, t, random) => script.map(line => {
+  if (!line.text || !line.translation) return null;
+  const opts = buildOptions(line.translation, script.map(l => l.translation), random);
+  return opts && {
+    difficulty: 'normal',
+    question: t('quizgen.translationQuestion', { text: line.text }),
+    ...opts,
+    rationale: t('quizgen.translationRationale', { text: line.text, translation: line.translation })
+  };
+});
+
+const typingQuestions = (words, script, t, wordBoundaries) => words.map(w => {
+  const line = script.find(l => l.text && containsWord(l.text, w.word, wordBoundaries));
+  if (!line) return null;
+  return {
+    type: 'typing',
+    difficulty: 'hard',
+    question: t('quizgen.typingQuestion', { meaning: w.meaning, sentence: makeCloze(line.text, w.word, wordBoundaries) }),
+    answerText: w.word,
+    rationale: t('quizgen.typingRationale', { word: w.word, text: line.text })
+  };
+});
+
+const reorderQuestions = (script, t, random) => script.map(line => {
+  const tiles = (line.text || '').split(/\s+/).filter(Boolean);
+  if (tiles.length < REORDER_MIN_WORDS || tiles.length > REORDER_MAX_WORDS) return null;
+  return {
+    type: 'reorder',
+    difficulty: 'normal',
+    question: t('quizgen.reorderQuestion', { translation: line.translation || '' }),
+    tiles: shuffle(tiles, random),
+    answerText: line.text,
+    rationale: t('quizgen.reorderRationale', { text: line.text })
+  };
+});
+
+const listeningQuestions = (script, t, random) => script.map((line, i) => {
+  if (!line.text || typeof line.time !== 'number') return null;
+  const opts = buildOptions(line.text, script.map(l => l.text), random);
+  return opts && {
+    type: 'listening',
+    difficulty: 'hard',
+    question: t('quizgen.listeningQuestion'),
+    time: line.time,
+    endTime: script[i + 1]?.time ?? line.time + LISTENING_FALLBACK_SECONDS,
+    ...opts,
+    rationale: t('quizgen.lineRationale', { text: line.text, translation: line.translation || '' })
+  };
+});
+
+/**
+ * t는 lib/i18n.js의 번역 함수(문제 문구용), targetLanguage는 학습 언어 코드입니다.
+ */
+export const generateQuestions = ({ vocabulary = [], script = [], savedWords = [], t, targetLanguage }, random = Math.random) => {
+  const words = collectWords(vocabulary, savedWords);
+  const language = t(`languages.${targetLanguage}`);
+  const wordBoundaries = getLanguage(targetLanguage).wordBoundaries !== false;
+  return [
+    ...meaningQuestions(words, t, random),
+    ...reverseQuestions(words, t, language, random),
+    ...clozeQuestions(words, script, t, wordBoundaries, random),
+    ...translationQuestions(script, t, random),
+    ...typingQuestions(words, script, t, wordBoundaries),
+    ...reorderQuestions(script, t, random),
+    ...listeningQuestions(script, t, random)
+  ].filter(Boolean);
+};
+
+// 듣기 문제처럼 질문 문구가 같은 유형이 있어 정답까지 포함해 중복을 판단
+export const questionKey = (q) =>
+  [q.type || 'choice', q.question, q.answerText ?? q.options?.[q.answer]].join('|');
+
+// 같은 문제(questionKey 기준)는 처음 것만 남김
+export const dedupeQuestions = (questions) => {
+  const seen = new Set();
+  return questions.filter(q => {
+    const key = questionKey(q);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * 서버 quizBank와 생성 문제를 합쳐 count개의 서로 다른 문제를 고릅니다.
+ * 요청 난이도 문제를 먼저 채우고, 모자라면 다른 난이도로 채웁니다.
+ */
+export const buildQuizSession = ({ quizBank = [], generated = [], difficulty, count }, random = Math.random) => {
+  const unique = dedupeQuestions([...quizBank, ...generated]);
+
+  const preferred = shuffle(unique.filter(q => q.difficulty === difficulty), random);
+  const others = shuffle(unique.filter(q => q.difficulty !== difficulty), random);
+  return [...preferred, ...others]
+    .slice(0, count)
+    .map((q, i) => ({ ...q, id: i }));
+};
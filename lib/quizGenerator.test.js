@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { shuffle, generateQuestions, questionKey, dedupeQuestions, buildQuizSession } from './quizGenerator';
+import { getTranslator } from './i18n';
+
+const t = getTranslator('ko');
+
+const words = (...entries) => entries.map(([word, meaning]) => ({ word, meaning, type: 'noun' }));
+
+describe('generateQuestions', () => {
+  it('단어, 저장 단어, 스크립트로 정답이 보기 안에 있는 문제를 만듦', () => {
+    const questions = generateQuestions({
+      vocabulary: words(['apple', '사과'], ['pear', '배']),
+      savedWords: words(['Apple', '사과'], ['grape', '포도']),
+      script: [
+        { time: 0, text: 'I like apple pie', translation: '나는 사과 파이가 좋아' },
+        { time: 2, text: 'Pears are sweet', translation: '배는 달다' },
+        { time: 4, text: 'Grapes are small', translation: '포도는 작다' }
+      ],
+      t,
+      targetLanguage: 'en'
+    });
+
+    const choices = questions.filter(q => q.options);
+    choices.forEach(q => {
+      expect(q.options.length).toBeGreaterThanOrEqual(3);
+      expect(new Set(q.options).size).toBe(q.options.length);
+      expect(q.answer).toBeGreaterThanOrEqual(0);
+    });
+    // 대소문자만 다른 저장 단어는 한 번만
+    expect(questions.filter(q => q.difficulty === 'easy')).toHaveLength(3);
+    expect(questions.find(q => q.question.includes('I like apple pie') && q.difficulty === 'normal').options)
+      .toContain('나는 사과 파이가 좋아');
+    expect(questions.filter(q => q.type === 'reorder').map(q => q.answerText)).toEqual(['I like apple pie']);
+    expect(questions.filter(q => q.type === 'listening').map(q => q.endTime)).toEqual([2, 4, 9]);
+  });
+
+  it('오답 후보가 모자라면 객관식 문제를 만들지 않음', () => {
+    const questions = generateQuestions({ vocabulary: words(['apple', '사과'], ['pear', '배']), t, targetLanguage: 'en' });
+    expect(questions).toEqual([]);
+  });
+
+  it('단어 경계가 없는 언어도 단어가 든 문장으로 빈칸 문제를 만듦', () => {
+    const questions = generateQuestions({
+      vocabulary: words(['猫', 'cat'], ['犬', 'dog'], ['鳥', 'bird']),
+      script: [{ time: 0, text: '私は猫が好きです', translation: 'I like cats' }],
+      t,
+      targetLanguage: 'ja'
+    });
+
+    const cloze = questions.filter(q => q.difficulty === 'hard' && !q.type);
+    expect(cloze).toHaveLength(1);
+    expect(cloze[0].question).toContain('私は_____が好きです');
+    expect(cloze[0].options[cloze[0].answer]).toBe('猫');
+    expect(questions.filter(q => q.type === 'typing').map(q => q.answerText)).toEqual(['猫']);
+  });
+
+  it('단어 경계가 있는 언어는 다른 단어 안에 든 경우를 찾지 않음', () => {
+    const questions = generateQuestions({
+      vocabulary: words(['cat', '고양이'], ['dog', '개'], ['bird', '새']),
+      script: [{ time: 0, text: 'The category is dogs', translation: '' }],
+      t,
+      targetLanguage: 'en'
+    });
+
+    expect(questions.filter(q => q.type === 'typing')).toEqual([]);
+  });
+
+  it('빈칸 문제는 다른 단어 안의 같은 글자를 가리지 않음', () => {
+    const questions = generateQuestions({
+      vocabulary: words(['cat', '고양이'], ['dog', '개'], ['bird', '새']),
+      script: [{ time: 0, text: 'The cat sat near the cathedral', translation: '' }],
+      t,
+      targetLanguage: 'en'
+    });
+
+    const typing = questions.find(q => q.type === 'typing');
+    expect(typing.question).toContain('The _____ sat near the cathedral');
+  });
+});
+
+describe('buildQuizSession', () => {
+  const choice = (question, difficulty) => ({ question, difficulty, options: ['a', 'b', 'c'], answer: 0 });
+
+  it('같은 문제는 한 번만, 요청 난이도를 먼저 채우고 번호를 매김', () => {
+    const quizBank = [choice('Q1', 'hard'), choice('Q2', 'easy')];
+    const generated = [choice('Q1', 'hard'), choice('Q3', 'easy'), choice('Q4', 'normal')];
+
+    expect(dedupeQuestions([...quizBank, ...generated])).toHaveLength(4);
+    const session = buildQuizSession({ quizBank, generated, difficulty: 'easy', count: 3 }, () => 0.5);
+    expect(session.slice(0, 2).map(q => q.difficulty)).toEqual(['easy', 'easy']);
+    expect(session.map(q => q.id)).toEqual([0, 1, 2]);
+  });
+
+  it('질문 문구가 같아도 정답이 다르면 다른 문제', () => {
+    const listening = (answer) => ({ type: 'listening', question: '들은 문장은?', options: ['a', 'b'], answer });
+    expect(questionKey(listening(0))).not.toBe(questionKey(listening(1)));
+    expect(shuffle([1, 2, 3], () => 0)).toEqual([2, 3, 1]);
+  });
+});
@@ -0,0 +1,129 @@
+// --- 적응형 난이도 (Elo 레이팅) ---
+// 학습자와 문제(단어 복습 카드 포함)마다 레이팅을 두고, 답할 때마다 양쪽을 함께 조정합니다.
+// 학습자 레이팅이 문제보다 높을수록 정답 확률이 높다고 보고(expectedScore),
+// 적응형 퀴즈는 예상 정답률이 70~80%가 되는 문제를 골라 세션 도중에도 다시 고릅니다.
+// ratings: { learner: { rating, answered }, items: { [questionKey | 'word:<단어>']: { rating, answered } } }
+import { questionKey, dedupeQuestions, shuffle } from './quizGenerator';
+import { PASSING_QUALITY } from './srs';
+
+export const DEFAULT_RATING = 1000;
+// 처음 보는 문제는 난이도 라벨로 시작 레이팅을 정함.
+// 처음 시작한 학습자(DEFAULT_RATING)가 normal 문제를 약 75% 맞히는 값
+export const DIFFICULTY_RATINGS = { easy: 650, normal: 800, hard: 950 };
+export const TARGET_SUCCESS = { min: 0.7, mid: 0.75, max: 0.8 };
+const MAX_RATED_ITEMS = 2000;
+const RECENT_WINDOW = 5; // 세션 중 난이도 조정에 보는 최근 응답 수
+const REVIEW_WEIGHT = 0.5; // 단어 복습은 퀴즈보다 약하게 반영
+
+export const createRatings = () => ({
+  learner: { rating: DEFAULT_RATING, answered: 0 },
+  items: {}
+});
+
+export const wordKey = (word) => `word:${word}`;
+
+// 학습자가 이 문제를 맞힐 확률
+export const expectedScore = (learnerRating, itemRating) => 1 / (1 + 10 ** ((itemRating - learnerRating) / 400));
+
+export const getItemRating = (ratings, key, difficulty) =>
+  ratings.items[key]?.rating ?? DIFFICULTY_RATINGS[difficulty] ?? DEFAULT_RATING;
+
+// 초반에는 크게, 응답이 쌓이면 작게 움직여 레이팅이 안정되도록 함
+const learnerK = (answered) => (answered < 30 ? 40 : 24);
+const itemK = (answered) => (answered < 10 ? 32 : 16);
+
+/**
+ * 응답 하나를 반영한 새 ratings를 돌려줍니다.
+ * key가 없으면(예: 문제가 남지 않은 옛 퀴즈 기록) 학습자 레이팅만 조정합니다.
+ */
+export const recordAnswer = (ratings, { key, difficulty, correct, weight = 1 }) => {
+  const { learner } = ratings;
+  const item = key ? ratings.items[key] : null;
+  const itemRating = key ? getItemRating(ratings, key, difficulty) : DIFFICULTY_RATINGS[difficulty] ?? DEFAULT_RATING;
+  const delta = (correct ? 1 : 0) - expectedScore(learner.rating, itemRating);
+
+  const next = {
+    learner: {
+      rating: Math.round(learner.rating + learnerK(learner.answered) * weight * delta),
+      answered: learner.answered + 1
+    },
+    items: ratings.items
+  };
+  if (!key) return next;
+
+  const { [key]: previous, ...rest } = ratings.items;
+  const answered = (item?.answered || 0) + 1;
+  // 최근에 푼 문제를 뒤로 보내고, 너무 많으면 오래된 것부터 버림
+  const entries = Object.entries(rest).slice(-(MAX_RATED_ITEMS - 1));
+  next.items = {
+    ...Object.fromEntries(entries),
+    [key]: { rating: Math.round(itemRating - itemK(item?.answered || 0) * weight * delta), answered }
+  };
+  return next;
+};
+
+export const recordQuizAnswer = (ratings, question, correct) =>
+  recordAnswer(ratings, { key: questionKey(question), difficulty: question.difficulty, correct });
+
+export const recordReview = (ratings, word, quality) =>
+  recordAnswer(ratings, { key: wordKey(word), difficulty: 'normal', correct: quality >= PASSING_QUALITY, weight: REVIEW_WEIGHT });
+
+// 레이팅을 화면용 레벨(1~10)로. 기본 레이팅은 Lv.5
+export const getLevel = (rating) => Math.max(1, Math.min(10, Math.floor((rating - 700) / 75) + 1));
+
+// 이번 세션 최근 응답이 너무 잘 맞으면 어렵게, 너무 틀리면 쉽게
+export const getTargetSuccess = (answers) => {
+  const recent = answers.slice(-RECENT_WINDOW);
+  if (recent.length < 2) return TARGET_SUCCESS.mid;
+  const accuracy = recent.filter(Boolean).length / recent.length;
+  if (accuracy > TARGET_SUCCESS.max) return TARGET_SUCCESS.min;
+  if (accuracy < TARGET_SUCCESS.min) return TARGET_SUCCESS.max;
+  return TARGET_SUCCESS.mid;
+};
+
+// 예상 정답률이 success가 되는 문제 레이팅
+export const targetItemRating = (learnerRating, success) =>
+  learnerRating - 400 * Math.log10(success / (1 - success));
+
+// 목표 레이팅에 가까운 문제부터 count개. 비슷한 문제끼리는 섞어서 매번 같은 순서가 되지 않게 함
+const pickClosest = (candidates, ratings, target, count, random) =>
+  shuffle(candidates, random)
+    .map(q => ({ q, distance: Math.abs(getItemRating(ratings, questionKey(q), q.difficulty) - target) + random() * 25 }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, count)
+    .map(({ q }) => q);
+
+/**
+ * 적응형 세션을 처음 구성합니다. pool은 세션 도중 다시 고를 때 쓰는 전체 후보입니다.
+ */
+export const planAdaptiveSession = ({ quizBank = [], generated = [], count }, ratings, random = Math.random) => {
+  const pool = dedupeQuestions([...quizBank, ...generated]);
+  const target = targetItemRating(ratings.learner.rating, TARGET_SUCCESS.mid);
+  const session = pickClosest(pool, ratings, target, count, random).map((q, i) => ({ ...q, id: i }));
+  return { session, pool };
+};
+
+/**
+ * currentIdx번 문제까지 푼 뒤, 갱신된 레이팅과 이번 세션 응답(answers: boolean[])으로 남은 문제를 다시 고릅니다.
+ * 이미 낸 문제는 다시 내지 않고, 세션 길이는 그대로 유지합니다.
+ */
+export const replanAdaptiveSession = (session, currentIdx, pool, ratings, answers, random = Math.random) => {
+  const asked = session.slice(0, currentIdx + 1);
+  const askedKeys = new Set(asked.map(questionKey));
+  const remaining = pool.filter(q => !askedKeys.has(questionKey(q)));
+  const target = targetItemRating(ratings.learner.rating, getTargetSuccess(answers));
+  const next = pickClosest(remaining, ratings, target, session.length - asked.length, random);
+  return [...asked, ...next].map((q, i) => ({ ...q, id: i }));
+};
+
+// 예전 퀴즈 결과로 학습자 레이팅을 추정 (문제별 기록은 없으므로 학습자 레이팅만)
+export const seedRatings = (quizResults = []) =>
+  quizResults.reduce((ratings, result) => {
+    let next = ratings;
+    for (let i = 0; i < (result.total || 0); i += 1) {
+      // 맞힌 문제를 고르게 흩어 놓아 순서에 따른 치우침을 줄임
+      const correct = Math.floor(((i + 1) * result.score) / result.total) > Math.floor((i * result.score) / result.total);
+      next = recordAnswer(next, { difficulty: result.difficulty, correct });
+    }
+    return next;
+  }, createRatings());
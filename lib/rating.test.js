@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_RATING, DIFFICULTY_RATINGS, TARGET_SUCCESS, createRatings, expectedScore, recordAnswer, recordQuizAnswer,
+  recordReview, wordKey, getLevel, getTargetSuccess, targetItemRating, planAdaptiveSession, replanAdaptiveSession, seedRatings
+} from './rating';
+import { questionKey } from './quizGenerator';
+
+const question = (name, difficulty = 'normal') => ({ question: name, options: ['a', 'b'], answer: 0, difficulty });
+// 항상 같은 값을 돌려주는 난수 (섞기와 거리 보정이 결과를 바꾸지 않도록)
+const fixedRandom = () => 0;
+
+describe('expectedScore / targetItemRating', () => {
+  it('처음 시작한 학습자는 normal 문제를 약 75% 맞힘', () => {
+    expect(expectedScore(DEFAULT_RATING, DIFFICULTY_RATINGS.normal)).toBeCloseTo(0.76, 2);
+    expect(expectedScore(DEFAULT_RATING, targetItemRating(DEFAULT_RATING, 0.75))).toBeCloseTo(0.75, 5);
+  });
+});
+
+describe('recordAnswer', () => {
+  it('맞히면 학습자는 오르고 문제는 내려감', () => {
+    const key = questionKey(question('Q'));
+    const next = recordQuizAnswer(createRatings(), question('Q'), true);
+
+    expect(next.learner.rating).toBeGreaterThan(DEFAULT_RATING);
+    expect(next.learner.answered).toBe(1);
+    expect(next.items[key].rating).toBeLessThan(DIFFICULTY_RATINGS.normal);
+  });
+
+  it('키가 없으면 학습자만, 단어 복습은 절반만 반영', () => {
+    const noKey = recordAnswer(createRatings(), { difficulty: 'normal', correct: false });
+    expect(noKey.items).toEqual({});
+    expect(noKey.learner.rating).toBeLessThan(DEFAULT_RATING);
+
+    const quiz = recordAnswer(createRatings(), { key: 'q', difficulty: 'normal', correct: false });
+    const review = recordReview(createRatings(), 'apple', 0);
+    expect(DEFAULT_RATING - review.learner.rating).toBeCloseTo((DEFAULT_RATING - quiz.learner.rating) / 2, 0);
+    expect(review.items[wordKey('apple')]).toBeDefined();
+  });
+});
+
+describe('getLevel / getTargetSuccess', () => {
+  it('기본 레이팅은 Lv.5이고 1~10 사이로 자름', () => {
+    expect(getLevel(DEFAULT_RATING)).toBe(5);
+    expect(getLevel(0)).toBe(1);
+    expect(getLevel(5000)).toBe(10);
+  });
+
+  it('최근 응답이 너무 잘 맞으면 어렵게, 너무 틀리면 쉽게', () => {
+    expect(getTargetSuccess([true])).toBe(TARGET_SUCCESS.mid);
+    expect(getTargetSuccess([true, true, true, true, true])).toBe(TARGET_SUCCESS.min);
+    expect(getTargetSuccess([false, false, true])).toBe(TARGET_SUCCESS.max);
+  });
+});
+
+describe('planAdaptiveSession / replanAdaptiveSession', () => {
+  const pool = [question('easy', 'easy'), question('normal'), question('hard', 'hard'), question('normal')];
+
+  it('중복을 빼고 목표 레이팅에 가까운 문제부터 고름', () => {
+    const { session, pool: candidates } = planAdaptiveSession({ quizBank: pool, count: 2 }, createRatings(), fixedRandom);
+
+    expect(candidates).toHaveLength(3);
+    expect(session.map(q => q.question)).toEqual(['normal', 'hard']);
+    expect(session.map(q => q.id)).toEqual([0, 1]);
+  });
+
+  it('틀리면 남은 문제를 더 쉬운 쪽으로 다시 고르고 푼 문제는 유지', () => {
+    let ratings = createRatings();
+    const { session, pool: candidates } = planAdaptiveSession({ quizBank: pool, count: 2 }, ratings, fixedRandom);
+    ratings = recordQuizAnswer(ratings, session[0], false);
+
+    const next = replanAdaptiveSession(session, 0, candidates, ratings, [false], fixedRandom);
+
+    expect(next.map(q => q.question)).toEqual(['normal', 'easy']);
+  });
+});
+
+describe('seedRatings', () => {
+  it('예전 점수가 높으면 레이팅도 높게 시작', () => {
+    const good = seedRatings([{ score: 9, total: 10, difficulty: 'normal' }]);
+    const bad = seedRatings([{ score: 1, total: 10, difficulty: 'normal' }]);
+
+    expect(good.learner.answered).toBe(10);
+    expect(good.learner.rating).toBeGreaterThan(DEFAULT_RATING);
+    expect(bad.learner.rating).toBeLessThan(DEFAULT_RATING);
+  });
+});
@@ -0,0 +1,16 @@
+// --- 서비스 워커 등록 ---
+// 서비스 워커 파일은 frontend/public/sw.js에 있고, 빌드하면 사이트 루트(/sw.js)로 배포됩니다.
+// 개발 서버에서는 캐시 때문에 수정 사항이 안 보일 수 있어 프로덕션 빌드에서만 등록합니다.
+
+export const registerServiceWorker = async (url = '/sw.js') => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return null;
+  try {
+    const registration = await navigator.serviceWorker.register(url);
+    // 저장 공간이 부족해도 브라우저가 레슨 데이터를 임의로 지우지 않도록 요청
+    await navigator.storage?.persist?.();
+    return registration;
+  } catch (err) {
+    console.error('Service Worker Error:', err);
+    return null;
+  }
+};
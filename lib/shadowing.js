@@ -0,0 +1,24 @@
+// --- 쉐도잉 (한 줄 반복 재생) ---
+
+export const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5];
+export const REPEAT_OPTIONS = [1, 2, 3, 5];
+export const GAP_OPTIONS = [0, 1, 2, 3, 5]; // 초
+
+const LAST_LINE_SECONDS = 5; // 마지막 줄은 다음 줄 시간이 없으므로 고정 길이
+
+// 스크립트 한 줄의 재생 구간 [start, end)
+export const getLineBounds = (script, idx) => {
+  const line = script[idx];
+  const next = script[idx + 1];
+  return { start: line.time, end: next ? next.time : line.time + LAST_LINE_SECONDS };
+};
+
+/**
+ * 한 줄 재생이 끝났을 때 다음 동작을 결정합니다.
+ * repeatCount는 방금 끝난 재생까지 포함한 반복 횟수입니다.
+ */
+export const nextShadowStep = ({ lineIdx, repeatCount, repeats, lineCount }) => {
+  if (repeatCount < repeats) return { action: 'repeat', lineIdx, repeatCount };
+  if (lineIdx + 1 < lineCount) return { action: 'advance', lineIdx: lineIdx + 1, repeatCount: 0 };
+  return { action: 'finish', lineIdx, repeatCount };
+};
@@ -0,0 +1,19 @@
+import { describe, it, expect } from 'vitest';
+import { getLineBounds, nextShadowStep } from './shadowing';
+
+describe('getLineBounds', () => {
+  it('다음 줄 시작까지, 마지막 줄은 고정 길이', () => {
+    const script = [{ time: 1 }, { time: 4.5 }];
+    expect(getLineBounds(script, 0)).toEqual({ start: 1, end: 4.5 });
+    expect(getLineBounds(script, 1)).toEqual({ start: 4.5, end: 9.5 });
+  });
+});
+
+describe('nextShadowStep', () => {
+  it('정한 횟수만큼 반복한 뒤 다음 줄로, 마지막 줄이면 끝', () => {
+    const base = { repeats: 2, lineCount: 3 };
+    expect(nextShadowStep({ ...base, lineIdx: 0, repeatCount: 1 })).toEqual({ action: 'repeat', lineIdx: 0, repeatCount: 1 });
+    expect(nextShadowStep({ ...base, lineIdx: 0, repeatCount: 2 })).toEqual({ action: 'advance', lineIdx: 1, repeatCount: 0 });
+    expect(nextShadowStep({ ...base, lineIdx: 2, repeatCount: 2 })).toEqual({ action: 'finish', lineIdx: 2, repeatCount: 2 });
+  });
+});
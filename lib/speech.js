@@ -0,0 +1,127 @@
+// --- 말하기 연습 (녹음 / 음성 인식 / 발음 비교) ---
+// 음성 인식기는 교체 가능하도록 { isSupported, start } 인터페이스로 다룹니다.
+// start()는 { stop: () => Promise<transcript> }를 반환합니다.
+import { normalizeText } from './questionTypes';
+
+export const PASS_SCORE = 80; // 이 점수 이상이면 통과(XP 지급)
+
+export const createWebSpeechRecognizer = () => {
+  const Recognition = typeof window !== 'undefined' && (window.SpeechRecognition || window.webkitSpeechRecognition);
+  return {
+    isSupported: () => !!Recognition,
+    start: ({ lang }) => {
+      const rec = new Recognition();
+      rec.lang = lang;
+      rec.continuous = true;
+      rec.interimResults = false;
+
+      let transcript = '';
+      let error = null;
+      rec.onresult = (e) => {
+        transcript = Array.from(e.results).map(r => r[0].transcript).join(' ');
+      };
+      rec.onerror = (e) => { error = e.error; };
+      const ended = new Promise(resolve => { rec.onend = resolve; });
+      rec.start();
+
+      return {
+        stop: async () => {
+          rec.stop();
+          await ended;
+          // 아무 말도 안 한 경우는 빈 결과로 처리
+          if (error && error !== 'no-speech') throw new Error(error);
+          return transcript;
+        }
+      };
+    }
+  };
+};
+
+// 테스트나 데모용: 항상 정해진 문장을 인식한 것으로 처리
+export const createStubRecognizer = (text) => ({
+  isSupported: () => true,
+  start: () => ({ stop: async () => text })
+});
+
+let activeRecognizer = null;
+
+export const setRecognizer = (recognizer) => { activeRecognizer = recognizer; };
+
+export const getRecognizer = () => {
+  if (!activeRecognizer) activeRecognizer = createWebSpeechRecognizer();
+  return activeRecognizer;
+};
+
+// 마이크 녹음 시작. stop()은 녹음된 Blob을 반환
+export const startRecording = async () => {
+  const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  const chunks = [];
+  let recorder;
+  try {
+    recorder = new MediaRecorder(stream);
+    recorder.ondataavailable = (e) => chunks.push(e.data);
+    recorder.start();
+  } catch (err) {
+    // 녹음기를 만들지 못하면 마이크가 켜진 채로 남지 않도록 트랙을 멈춤
+    stream.getTracks().forEach(t => t.stop());
+    throw err;
+  }
+
+  return {
+    stop: () => new Promise(resolve => {
+      recorder.onstop = () => {
+        stream.getTracks().forEach(t => t.stop());
+        resolve(new Blob(chunks, { type: recorder.mimeType }));
+      };
+      recorder.stop();
+    })
+  };
+};
+
+/**
+ * 원문과 인식 결과를 단어 단위로 비교합니다 (LCS 정렬).
+ * 반환: { words: [{ word, status: 'correct' | 'wrong' | 'missed', heard }], score }
+ * 원문 단어와 같은 자리에서 다른 단어가 들렸으면 wrong, 아예 없으면 missed.
+ */
+export const diffWords = (expectedText, heardText) => {
+  const expected = expectedText.split(/\s+/).filter(Boolean);
+  const expectedNorm = expected.map(w => normalizeText(w));
+  const heard = normalizeText(heardText).split(' ').filter(Boolean);
+
+  // lcs[i][j]: expected[i..], heard[j..]의 최장 공통 부분열 길이
+  const lcs = Array.from({ length: expected.length + 1 }, () => new Array(heard.length + 1).fill(0));
+  for (let i = expected.length - 1; i >= 0; i--) {
+    for (let j = heard.length - 1; j >= 0; j--) {
+      lcs[i][j] = expectedNorm[i] === heard[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const words = [];
+  let i = 0;
+  let j = 0;
+  let extras = []; // 원문과 짝이 안 맞은 인식 단어
+  while (i < expected.length) {
+    if (!expectedNorm[i]) {
+      // 문장부호만 있는 토큰은 비교하지 않음
+      words.push({ word: expected[i], status: 'correct' });
+      i++;
+    } else if (j < heard.length && expectedNorm[i] === heard[j]) {
+      words.push({ word: expected[i], status: 'correct' });
+      extras = [];
+      i++;
+      j++;
+    } else if (j < heard.length && lcs[i][j + 1] >= lcs[i + 1][j]) {
+      extras.push(heard[j]);
+      j++;
+    } else {
+      const substitute = extras.shift() ?? (j < heard.length && lcs[i + 1][j + 1] === lcs[i][j] ? heard[j++] : undefined);
+      words.push(substitute ? { word: expected[i], status: 'wrong', heard: substitute } : { word: expected[i], status: 'missed' });
+      i++;
+    }
+  }
+
+  // 점수는 실제 단어만으로 계산
+  const scored = words.filter((w, idx) => expectedNorm[idx]);
+  const correct = scored.filter(w => w.status === 'correct').length;
+  return { words, score: scored.length ? Math.round((correct / scored.length) * 100) : 0 };
+};
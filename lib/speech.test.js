@@ -0,0 +1,67 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createStubRecognizer, setRecognizer, getRecognizer, startRecording, diffWords } from './speech';
+
+afterEach(() => {
+  setRecognizer(null);
+  vi.unstubAllGlobals();
+});
+
+describe('diffWords', () => {
+  it('대소문자와 문장부호는 무시하고 단어별로 비교', () => {
+    expect(diffWords('Hello, world!', 'hello world')).toEqual({
+      words: [{ word: 'Hello,', status: 'correct' }, { word: 'world!', status: 'correct' }],
+      score: 100
+    });
+  });
+
+  it('다르게 들린 단어는 wrong, 빠진 단어는 missed', () => {
+    const { words, score } = diffWords('I like green apples', 'I like red');
+
+    expect(words.map(w => w.status)).toEqual(['correct', 'correct', 'wrong', 'missed']);
+    expect(words[2].heard).toBe('red');
+    expect(score).toBe(50);
+  });
+
+  it('문장부호만 있는 토큰은 점수에 넣지 않음', () => {
+    expect(diffWords('Wait - what', 'wait').score).toBe(50);
+  });
+});
+
+describe('setRecognizer', () => {
+  it('교체한 인식기를 getRecognizer가 돌려줌', async () => {
+    setRecognizer(createStubRecognizer('I like red'));
+
+    const recognizer = getRecognizer();
+    expect(recognizer.isSupported()).toBe(true);
+    const transcript = await recognizer.start({ lang: 'en-US' }).stop();
+    expect(diffWords('I like green', transcript).score).toBe(67);
+  });
+});
+
+describe('startRecording', () => {
+  it('녹음을 멈추면 마이크 트랙도 멈춤', async () => {
+    const track = { stop: vi.fn() };
+    vi.stubGlobal('navigator', { mediaDevices: { getUserMedia: vi.fn(async () => ({ getTracks: () => [track] })) } });
+    vi.stubGlobal('MediaRecorder', class {
+      constructor() { this.mimeType = 'audio/webm'; }
+      start() {}
+      stop() { this.onstop(); }
+    });
+
+    const blob = await (await startRecording()).stop();
+
+    expect(blob.type).toBe('audio/webm');
+    expect(track.stop).toHaveBeenCalled();
+  });
+
+  it('녹음기를 만들지 못하면 마이크 트랙을 멈추고 오류를 그대로 던짐', async () => {
+    const track = { stop: vi.fn() };
+    vi.stubGlobal('navigator', { mediaDevices: { getUserMedia: vi.fn(async () => ({ getTracks: () => [track] })) } });
+    vi.stubGlobal('MediaRecorder', class {
+      constructor() { throw new Error('NotSupportedError'); }
+    });
+
+    await expect(startRecording()).rejects.toThrow('NotSupportedError');
+    expect(track.stop).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,83 @@
+// --- 간격 반복 (SM-2) ---
+// 저장된 단어마다 srs 상태를 붙여 다음 복습일을 계산합니다.
+import { toDayKey, shiftDay } from './progress';
+
+// 복습 버튼 (이름은 로케일 사전의 review.grades.<quality>)
+export const GRADES = [
+  { quality: 1, variant: 'danger' },
+  { quality: 3, variant: 'secondary' },
+  { quality: 4, variant: 'primary' },
+  { quality: 5, variant: 'primary' }
+];
+
+// 이 점수 미만이면 같은 세션에서 한 번 더 보여줌
+export const PASSING_QUALITY = 3;
+
+export const createSrsState = (now = new Date()) => ({
+  ease: 2.5,
+  interval: 0,
+  repetitions: 0,
+  due: toDayKey(now)
+});
+
+export const gradeCard = (srs, quality, now = new Date()) => {
+  const ease = Math.max(1.3, srs.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+  let { repetitions, interval } = srs;
+  if (quality < PASSING_QUALITY) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) interval = 1;
+    else if (repetitions === 2) interval = 6;
+    else interval = Math.round(interval * srs.ease);
+  }
+
+  return {
+    ease,
+    interval,
+    repetitions,
+    due: shiftDay(toDayKey(now), interval),
+    lastReviewed: now.toISOString()
+  };
+};
+
+export const isDue = (word, now = new Date()) => (word.srs?.due || toDayKey(now)) <= toDayKey(now);
+
+// 복습할 단어를 오래 밀린 순서대로
+export const getDueWords = (words, now = new Date()) =>
+  words
+    .filter(w => isDue(w, now))
+    .sort((a, b) => (a.srs?.due || '').localeCompare(b.srs?.due || ''));
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * 문장에서 단어를 찾는 정규식. 앞뒤가 글자나 숫자가 아닐 때만 일치합니다("cat"은 "cathedral"에서 찾지 않음).
+ * \b는 ASCII 기준이라 악센트 글자(café)에서 틀리므로 유니코드 글자로 앞뒤를 봅니다.
+ * wordBoundaries가 false인 언어(lib/languages.js)는 부분 문자열로 찾습니다.
+ */
+export const wordPattern = (word, wordBoundaries = true) => {
+  const escaped = escapeRegExp(word);
+  return new RegExp(wordBoundaries ? `(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])` : escaped, 'giu');
+};
+
+// 단어가 들어 있는 스크립트 문장을 예문으로 찾음
+export const findExample = (word, script = [], wordBoundaries = true) => {
+  const line = script.find(l => l.text && wordPattern(word, wordBoundaries).test(l.text));
+  return line ? { text: line.text, translation: line.translation, time: line.time } : null;
+};
+
+export const makeCloze = (sentence, word, wordBoundaries = true) =>
+  sentence.replace(wordPattern(word, wordBoundaries), '_____');
+
+/**
+ * 카드 출제 방식: 단어→뜻, 뜻→단어, 예문 빈칸.
+ * 복습 횟수에 따라 돌아가며 출제해 한 방향으로만 외우지 않도록 합니다.
+ */
+export const getPromptType = (word) => {
+  const types = ['word', 'meaning'];
+  if (word.example) types.push('example');
+  return types[(word.srs?.repetitions || 0) % types.length];
+};
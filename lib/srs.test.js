@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { PASSING_QUALITY, createSrsState, gradeCard, isDue, getDueWords, findExample, makeCloze, getPromptType } from './srs';
+
+const day = (d) => new Date(2024, 0, d, 12);
+
+describe('gradeCard', () => {
+  it('맞힐수록 간격이 1일 → 6일 → ease배로 늘어남', () => {
+    let srs = createSrsState(day(1));
+    srs = gradeCard(srs, 4, day(1));
+    expect(srs).toMatchObject({ repetitions: 1, interval: 1, due: '2024-01-02' });
+    srs = gradeCard(srs, 4, day(2));
+    expect(srs).toMatchObject({ repetitions: 2, interval: 6, due: '2024-01-08' });
+    srs = gradeCard(srs, 5, day(8));
+    expect(srs).toMatchObject({ repetitions: 3, interval: 15, due: '2024-01-23' });
+    expect(srs.ease).toBeCloseTo(2.6);
+  });
+
+  it('통과하지 못하면 처음부터, ease는 1.3 아래로 내려가지 않음', () => {
+    const srs = gradeCard({ ease: 1.3, interval: 20, repetitions: 5 }, PASSING_QUALITY - 2, day(1));
+    expect(srs).toMatchObject({ ease: 1.3, interval: 1, repetitions: 0, due: '2024-01-02' });
+  });
+});
+
+describe('getDueWords', () => {
+  it('복습일이 지난 단어를 오래 밀린 순서대로, SRS가 없는 단어는 바로', () => {
+    const words = [
+      { word: 'later', srs: { due: '2024-01-09' } },
+      { word: 'recent', srs: { due: '2024-01-04' } },
+      { word: 'old', srs: { due: '2024-01-01' } },
+      { word: 'legacy' }
+    ];
+    expect(getDueWords(words, day(5)).map(w => w.word)).toEqual(['legacy', 'old', 'recent']);
+    expect(isDue(words[0], day(9))).toBe(true);
+  });
+});
+
+describe('예문과 출제 방식', () => {
+  it('단어가 든 문장을 예문으로 찾고 빈칸으로 바꿈', () => {
+    const script = [{ time: 0, text: 'Pineapples', translation: '파인애플' }, { time: 3, text: 'An apple, two Apple pies', translation: '사과' }];
+    expect(findExample('apple', script)).toEqual({ text: 'An apple, two Apple pies', translation: '사과', time: 3 });
+    expect(findExample('pear', script)).toBeNull();
+    expect(makeCloze('An apple, two Apple pies', 'apple')).toBe('An _____, two _____ pies');
+    expect(makeCloze('a+b a+', 'a+')).toBe('a+b _____');
+  });
+
+  it('다른 단어 안에 든 경우는 빈칸으로 바꾸지 않음', () => {
+    expect(makeCloze('The cat sat in the cathedral', 'cat')).toBe('The _____ sat in the cathedral');
+    expect(makeCloze('Go inside, in the rain', 'in')).toBe('Go inside, _____ the rain');
+    expect(makeCloze('Un café, deux cafés', 'café')).toBe('Un _____, deux cafés');
+  });
+
+  it('단어 경계가 없는 언어는 부분 문자열로', () => {
+    expect(makeCloze('私は猫が好き', '猫', false)).toBe('私は_____が好き');
+    expect(findExample('猫', [{ time: 1, text: '猫です' }], false)).toMatchObject({ time: 1 });
+  });
+
+  it('복습 횟수에 따라 돌아가며 출제하고 예문이 없으면 예문 빈칸은 빼고', () => {
+    const withExample = (repetitions) => getPromptType({ example: {}, srs: { repetitions } });
+    expect([0, 1, 2, 3].map(withExample)).toEqual(['word', 'meaning', 'example', 'word']);
+    expect(getPromptType({ srs: { repetitions: 2 } })).toBe('word');
+  });
+});
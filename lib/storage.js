@@ -0,0 +1,181 @@
+// --- 로컬 저장소 (localStorage) ---
+// 학습 기록은 버전이 붙은 하나의 JSON 문서로 저장합니다.
+// 스키마가 바뀌면 SCHEMA_VERSION을 올리고 MIGRATIONS에 변환 함수를 추가하세요.
+
+import { createSrsState } from './srs';
+import { DEFAULT_NATIVE_LANGUAGE, DEFAULT_TARGET_LANGUAGE } from './languages';
+import { downloadFile } from './exporters';
+import { createRatings, seedRatings } from './rating';
+import { createId, createSyncMeta } from './accountSync';
+import { createAchievements, findNewUnlocks, unlockAchievements } from './achievements';
+import { createLeague } from './league';
+import { createHearts } from './hearts';
+
+const STORAGE_KEY = 'tubelingo:state';
+export const SCHEMA_VERSION = 13;
+
+export const createDefaultState = () => ({
+  version: SCHEMA_VERSION,
+  userStats: {
+    xp: 0,
+    streak: 0,
+    todayXp: 0,
+    goalXp: 100,
+    streakFreezes: 0,
+    todayDay: null,     // todayXp가 집계된 날짜 키
+    lastGoalDay: null,  // 마지막으로 일일 목표를 달성한 날짜 키
+    savedWords: []
+  },
+  lessons: {},      // videoId -> 분석된 레슨 데이터
+  quizResults: [],  // 퀴즈 결과 기록 (오래된 순)
+  xpEvents: [],     // XP 획득 기록 { amount, source, at }
+  watchLog: {},     // 날짜 키 -> 영상 시청 시간(초)
+  mistakes: [],     // 오답 노트 (lib/mistakes.js 참고)
+  courses: {},      // 재생목록 id -> 코스 (lib/course.js 참고)
+  deviceId: createId(), // 이 기기를 구분하는 id (리그 상대 생성에 사용)
+  ratings: createRatings(), // 적응형 난이도용 학습자/문제 레이팅 (lib/rating.js 참고)
+  account: null,    // 로그인한 계정 { token, email }
+  syncMeta: createSyncMeta(), // 계정 동기화용 항목별 변경 시각과 서버 커서 (lib/accountSync.js 참고)
+  achievements: createAchievements(), // 업적 id -> 해금 시각 (lib/achievements.js 참고)
+  league: createLeague(), // 주간 XP 리그 { tier, weekKey, lastResult } (lib/league.js 참고)
+  hearts: createHearts(), // 하트 모드의 남은 하트 (lib/hearts.js 참고)
+  settings: {
+    subtitleMode: 'both',   // 'original' | 'translation' | 'both' | 'hidden'
+    subtitleSize: 'md',     // 'sm' | 'md' | 'lg'
+    blurTranslation: false, // 번역은 탭해야 보이도록
+    nativeLanguage: DEFAULT_NATIVE_LANGUAGE, // 번역/설명 언어이자 화면 언어
+    targetLanguage: DEFAULT_TARGET_LANGUAGE, // 배우는 언어
+    heartsMode: false       // 퀴즈에서 틀릴 때마다 하트 소모
+  }
+});
+
+// 버전 n -> n+1 로 올리는 변환 함수 목록 (키: 변환 전 버전)
+// 예: 2: (data) => ({ ...data, version: 3, newField: [] })
+const MIGRATIONS = {
+  // v2: XP 이벤트 기록 추가. 날짜 정보가 없던 streak/todayXp는 신뢰할 수 없어 초기화
+  1: (data) => ({
+    ...data,
+    version: 2,
+    userStats: { ...data.userStats, streak: 0, todayXp: 0 },
+    xpEvents: []
+  }),
+  // v3: 일별 시청 시간 기록 추가
+  2: (data) => ({ ...data, version: 3, watchLog: {} }),
+  // v4: 저장 단어에 간격 반복(SRS) 상태 추가. 기존 단어는 오늘 바로 복습 대상
+  3: (data) => ({
+    ...data,
+    version: 4,
+    userStats: {
+      ...data.userStats,
+      savedWords: (data.userStats?.savedWords || []).map(w => ({ ...w, srs: w.srs || createSrsState() }))
+    }
+  }),
+  // v5: 오답 노트 추가
+  4: (data) => ({ ...data, version: 5, mistakes: [] }),
+  // v6: 재생목록 코스 추가
+  5: (data) => ({ ...data, version: 6, courses: {} }),
+  // v7: 화면 설정 추가 (기본값은 withDefaults에서 채움)
+  6: (data) => ({ ...data, version: 7, settings: {} }),
+  // v8: 한국어 번역(kr)을 언어와 무관한 translation으로 바꾸고, 레슨에 언어 쌍 기록
+  7: (data) => {
+    const renameKr = ({ kr, ...rest }) => ({ ...rest, translation: kr ?? rest.translation ?? '' });
+    return {
+      ...data,
+      version: 8,
+      lessons: Object.fromEntries(Object.entries(data.lessons || {}).map(([videoId, lesson]) => [videoId, {
+        ...lesson,
+        script: (lesson.script || []).map(renameKr),
+        nativeLanguage: 'ko',
+        targetLanguage: 'en'
+      }])),
+      userStats: {
+        ...data.userStats,
+        savedWords: (data.userStats?.savedWords || []).map(w => (w.example ? { ...w, example: renameKr(w.example) } : w))
+      }
+    };
+  },
+  // v9: 오프라인 동기화 대기열 추가. 이전 기록은 이미 로컬에만 있으므로 보내지 않음
+  8: (data) => ({ ...data, version: 9, deviceId: createId(), outbox: [] }),
+  // v10: 적응형 난이도 레이팅 추가. 학습자 레이팅은 지난 퀴즈 결과로 추정
+  9: (data) => ({ ...data, version: 10, ratings: seedRatings(data.quizResults) }),
+  // v11: 계정 동기화 추가. 기존 기록은 첫 로그인 때 서버로 올라감
+  10: (data) => ({ ...data, version: 11, account: null, syncMeta: createSyncMeta() }),
+  // v12: 업적/리그/하트 추가. 이미 달성한 업적은 알림 없이 해금해 둠
+  11: (data) => ({
+    ...data,
+    version: 12,
+    achievements: unlockAchievements(createAchievements(), findNewUnlocks(createAchievements(), {
+      userStats: { streak: 0, savedWords: [], ...data.userStats },
+      lessons: data.lessons || {},
+      quizResults: data.quizResults || []
+    })),
+    league: createLeague(),
+    hearts: createHearts(),
+    settings: { ...data.settings, heartsMode: false }
+  }),
+  // v13: 오프라인 이벤트 대기열 제거. 기록은 이미 로컬에 반영돼 있고, 로그인하면 계정 동기화로 올라감
+  12: ({ outbox, ...data }) => ({ ...data, version: 13 })
+};
+
+const migrate = (data) => {
+  let current = data;
+  while (current.version < SCHEMA_VERSION) {
+    const step = MIGRATIONS[current.version];
+    if (!step) throw new Error(`지원하지 않는 저장 데이터 버전입니다: ${current.version}`);
+    current = step(current);
+  }
+  return current;
+};
+
+// 저장된 값에 빠진 필드가 있어도 기본값으로 채워서 돌려줌
+const withDefaults = (data) => {
+  const defaults = createDefaultState();
+  return {
+    ...defaults,
+    ...data,
+    userStats: { ...defaults.userStats, ...data.userStats },
+    settings: { ...defaults.settings, ...data.settings }
+  };
+};
+
+export const parseState = (raw) => {
+  const data = JSON.parse(raw);
+  if (!data || typeof data !== 'object') throw new Error('저장 데이터 형식이 올바르지 않습니다.');
+  if (data.version > SCHEMA_VERSION) throw new Error('더 최신 버전의 앱에서 저장된 데이터입니다.');
+  // 버전 정보가 없으면 v1으로 간주
+  return withDefaults(migrate({ version: 1, ...data }));
+};
+
+export const loadState = () => {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    if (!raw) return createDefaultState();
+    return parseState(raw);
+  } catch (e) {
+    console.error('Storage Load Error:', e);
+    return createDefaultState();
+  }
+};
+
+export const saveState = (state) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...state, version: SCHEMA_VERSION }));
+  } catch (e) {
+    // 용량 초과 등으로 실패해도 앱 동작은 계속되어야 함
+    console.error('Storage Save Error:', e);
+  }
+};
+
+export const resetState = () => {
+  window.localStorage.removeItem(STORAGE_KEY);
+  return createDefaultState();
+};
+
+// 현재 상태를 JSON 파일로 내려받기
+export const exportState = (state) => {
+  downloadFile(
+    JSON.stringify({ ...state, version: SCHEMA_VERSION }, null, 2),
+    `tubelingo-backup-${new Date().toISOString().slice(0, 10)}.json`,
+    'application/json'
+  );
+};
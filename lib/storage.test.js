@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { SCHEMA_VERSION, createDefaultState, parseState, loadState, saveState, resetState } from './storage';
+
+const createMemoryStorage = () => {
+  const items = {};
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); },
+    removeItem: (key) => { delete items[key]; }
+  };
+};
+
+describe('parseState', () => {
+  it('버전이 없는 옛 데이터는 v1로 보고 최신 스키마까지 올림', () => {
+    const state = parseState(JSON.stringify({
+      userStats: { xp: 120, streak: 4, todayXp: 30, savedWords: [{ word: 'apple', meaning: '사과' }] },
+      lessons: { abc: { videoId: 'abc', script: [{ time: 0, text: 'Hi', kr: '안녕' }] } },
+      quizResults: []
+    }));
+
+    expect(state.version).toBe(SCHEMA_VERSION);
+    // v2: 날짜 정보가 없던 streak/todayXp는 초기화
+    expect(state.userStats).toMatchObject({ xp: 120, streak: 0, todayXp: 0 });
+    // v4: 기존 단어에 SRS 상태
+    expect(state.userStats.savedWords[0].srs).toBeDefined();
+    // v8: kr -> translation
+    expect(state.lessons.abc.script[0]).toEqual({ time: 0, text: 'Hi', translation: '안녕' });
+    expect(state.lessons.abc).toMatchObject({ nativeLanguage: 'ko', targetLanguage: 'en' });
+    expect(state.xpEvents).toEqual([]);
+    // v13: 오프라인 이벤트 대기열은 계정 동기화로 대체되어 제거
+    expect(state).not.toHaveProperty('outbox');
+    expect(state.deviceId).toBeTruthy();
+  });
+
+  it('빠진 필드와 설정은 기본값으로 채움', () => {
+    const state = parseState(JSON.stringify({ version: SCHEMA_VERSION, settings: { subtitleMode: 'hidden' } }));
+    const defaults = createDefaultState();
+
+    expect(state.settings).toEqual({ ...defaults.settings, subtitleMode: 'hidden' });
+    expect(state.userStats).toEqual(defaults.userStats);
+    expect(state.lessons).toEqual({});
+  });
+
+  it('더 최신 버전이나 객체가 아닌 데이터는 거부', () => {
+    expect(() => parseState(JSON.stringify({ version: SCHEMA_VERSION + 1 }))).toThrow();
+    expect(() => parseState('null')).toThrow();
+    expect(() => parseState('{broken')).toThrow();
+  });
+});
+
+describe('loadState / saveState', () => {
+  beforeEach(() => {
+    globalThis.window = { localStorage: createMemoryStorage() };
+    vi.restoreAllMocks();
+  });
+
+  it('저장한 상태를 그대로 불러옴', () => {
+    const state = createDefaultState();
+    state.userStats.xp = 42;
+    saveState(state);
+
+    expect(loadState().userStats.xp).toBe(42);
+  });
+
+  it('저장된 값이 없거나 깨졌으면 기본 상태', () => {
+    expect(loadState().userStats.xp).toBe(0);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    window.localStorage.setItem('tubelingo:state', '{broken');
+    expect(loadState().userStats.xp).toBe(0);
+  });
+
+  it('resetState는 저장된 값을 지움', () => {
+    saveState({ ...createDefaultState(), lessons: { abc: {} } });
+    expect(resetState().lessons).toEqual({});
+    expect(loadState().lessons).toEqual({});
+  });
+});
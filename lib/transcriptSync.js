@@ -0,0 +1,34 @@
+// --- 스크립트 싱크 ---
+// 스크립트는 time 오름차순이어야 합니다.
+import { getLineBounds } from './shadowing';
+
+/**
+ * 재생 위치(초)에 해당하는 줄 인덱스. time <= seconds 인 마지막 줄을 이진 탐색으로 찾습니다.
+ * 첫 줄보다 앞이면 0, 빈 스크립트면 -1.
+ */
+export const findLineIndex = (script, seconds) => {
+  if (!script?.length) return -1;
+  let lo = 0;
+  let hi = script.length - 1;
+  let found = 0;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (script[mid].time <= seconds) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+};
+
+/**
+ * 재생 위치가 idx번 줄의 구간 [time, 다음 줄 time) 안에 있는지. 마지막 줄은 고정 길이(getLineBounds)까지입니다.
+ * findLineIndex는 첫 줄 전과 마지막 줄 뒤에도 끝 줄을 돌려주므로, 말하지 않는 구간에 자막을 숨길 때 씁니다.
+ */
+export const isWithinLine = (script, idx, seconds) => {
+  if (!script?.[idx]) return false;
+  const { start, end } = getLineBounds(script, idx);
+  return seconds >= start && seconds < end;
+};
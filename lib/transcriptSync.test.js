@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { findLineIndex, isWithinLine } from './transcriptSync';
+
+describe('findLineIndex', () => {
+  const script = [{ time: 2 }, { time: 5 }, { time: 5 }, { time: 9.5 }];
+
+  it('재생 위치 이전에 시작한 마지막 줄', () => {
+    expect([0, 2, 4.9, 5, 9.4, 100].map(s => findLineIndex(script, s))).toEqual([0, 0, 0, 2, 2, 3]);
+  });
+
+  it('빈 스크립트는 -1', () => {
+    expect(findLineIndex([], 3)).toBe(-1);
+    expect(findLineIndex(null, 3)).toBe(-1);
+  });
+});
+
+describe('isWithinLine', () => {
+  const script = [{ time: 2 }, { time: 5 }];
+
+  it('첫 줄 전과 마지막 줄이 끝난 뒤에는 어느 줄 구간도 아님', () => {
+    expect(isWithinLine(script, findLineIndex(script, 0), 0)).toBe(false);
+    expect(isWithinLine(script, findLineIndex(script, 3), 3)).toBe(true);
+    expect(isWithinLine(script, findLineIndex(script, 9.9), 9.9)).toBe(true);
+    expect(isWithinLine(script, findLineIndex(script, 10), 10)).toBe(false);
+    expect(isWithinLine([], -1, 3)).toBe(false);
+  });
+});
@@ -0,0 +1,109 @@
+// --- 유튜브 URL 파싱 / 정규화 ---
+// 백엔드(extract_video_id)와 같은 11자리 영상 ID 규칙을 사용하고,
+// 서버에는 항상 정규화된 watch URL만 보냅니다.
+
+const VIDEO_ID_RE = /^[0-9A-Za-z_-]{11}$/;
+
+const YOUTUBE_HOSTS = [
+  'youtube.com',
+  'www.youtube.com',
+  'm.youtube.com',
+  'music.youtube.com',
+  'youtu.be',
+  'www.youtube-nocookie.com',
+  'youtube-nocookie.com'
+];
+
+// /shorts/ID, /embed/ID, /live/ID, /v/ID 형태의 경로
+const PATH_PREFIXES = ['shorts', 'embed', 'live', 'v', 'e'];
+
+/**
+ * 't=' 값(예: 90, 90s, 1m30s, 1h2m3s)을 초 단위로 변환. 해석할 수 없으면 0
+ */
+export const parseTimestamp = (value) => {
+  if (!value) return 0;
+  if (/^\d+$/.test(value)) return Number(value);
+  const match = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (!match || match[0] === '') return 0;
+  const [, h = 0, m = 0, sec = 0] = match;
+  return Number(h) * 3600 + Number(m) * 60 + Number(sec);
+};
+
+const toUrl = (input) => {
+  const trimmed = input.trim();
+  try {
+    return new URL(/^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+  } catch (e) {
+    return null;
+  }
+};
+
+const extractId = (url) => {
+  if (url.hostname === 'youtu.be') return url.pathname.split('/')[1];
+  const v = url.searchParams.get('v');
+  if (v) return v;
+  const [prefix, id] = url.pathname.split('/').filter(Boolean);
+  return PATH_PREFIXES.includes(prefix) ? id : null;
+};
+
+export const toWatchUrl = (videoId) => `https://www.youtube.com/watch?v=${videoId}`;
+
+/**
+ * 입력을 해석해 { videoId, start, playlistId, url } 또는 { error }를 반환합니다.
+ * error는 오류 코드('notYoutube' | 'playlistOnly' | 'noVideoId' | 'invalidVideoId')이고
+ * 문구는 로케일 사전의 url.<코드>에 있습니다. 빈 입력은 null.
+ */
+export const parseYouTubeUrl = (input) => {
+  if (!input || !input.trim()) return null;
+
+  // 영상 ID만 붙여넣은 경우
+  if (VIDEO_ID_RE.test(input.trim())) {
+    const videoId = input.trim();
+    return { videoId, start: 0, playlistId: null, url: toWatchUrl(videoId) };
+  }
+
+  const url = toUrl(input);
+  if (!url || !YOUTUBE_HOSTS.includes(url.hostname.toLowerCase())) {
+    return { error: 'notYoutube' };
+  }
+
+  const playlistId = url.searchParams.get('list');
+  const videoId = extractId(url);
+  if (!videoId) {
+    return playlistId
+      ? { error: 'playlistOnly', playlistId }
+      : { error: 'noVideoId' };
+  }
+  if (!VIDEO_ID_RE.test(videoId)) {
+    return { error: 'invalidVideoId' };
+  }
+
+  // t=는 쿼리 또는 해시(#t=1m30s)에 올 수 있음. embed는 start=
+  const hashParams = new URLSearchParams(url.hash.replace(/^#/, ''));
+  const start = parseTimestamp(url.searchParams.get('t') || url.searchParams.get('start') || hashParams.get('t'));
+
+  return { videoId, start, playlistId, url: toWatchUrl(videoId) };
+};
+
+/**
+ * 재생목록/채널 URL을 해석해 { kind: 'playlist' | 'channel' | 'handle', id, url }를 반환합니다.
+ * 코스 가져오기 대상이 아니면 null.
+ */
+export const parseCollectionUrl = (input) => {
+  if (!input || !input.trim()) return null;
+  const url = toUrl(input);
+  if (!url || !YOUTUBE_HOSTS.includes(url.hostname.toLowerCase())) return null;
+
+  const playlistId = url.searchParams.get('list');
+  if (playlistId) {
+    return { kind: 'playlist', id: playlistId, url: `https://www.youtube.com/playlist?list=${playlistId}` };
+  }
+  const [first, second] = url.pathname.split('/').filter(Boolean);
+  if (first === 'channel' && second) {
+    return { kind: 'channel', id: second, url: `https://www.youtube.com/channel/${second}` };
+  }
+  if (first?.startsWith('@')) {
+    return { kind: 'handle', id: first.slice(1), url: `https://www.youtube.com/${first}` };
+  }
+  return null;
+};
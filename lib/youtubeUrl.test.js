@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { parseTimestamp, parseYouTubeUrl, parseCollectionUrl } from './youtubeUrl';
+
+const ID = 'dQw4w9WgXcQ';
+
+describe('parseTimestamp', () => {
+  it('초, 단위가 붙은 시각을 초로, 해석할 수 없으면 0', () => {
+    expect(['90', '90s', '1m30s', '1h2m3s', '', null, 'abc', '1x'].map(parseTimestamp))
+      .toEqual([90, 90, 90, 3723, 0, 0, 0, 0]);
+  });
+});
+
+describe('parseYouTubeUrl', () => {
+  it.each([
+    [ID],
+    [`https://www.youtube.com/watch?v=${ID}`],
+    [`youtube.com/watch?v=${ID}&feature=share`],
+    [`https://youtu.be/${ID}`],
+    [`https://m.youtube.com/shorts/${ID}`],
+    [`https://www.youtube-nocookie.com/embed/${ID}`],
+    [`https://music.youtube.com/watch?v=${ID}`]
+  ])('%s', (input) => {
+    expect(parseYouTubeUrl(input)).toMatchObject({ videoId: ID, url: `https://www.youtube.com/watch?v=${ID}` });
+  });
+
+  it('시작 시각과 재생목록을 함께 읽음', () => {
+    expect(parseYouTubeUrl(`https://youtu.be/${ID}?t=1m5s&list=PL123`)).toMatchObject({ start: 65, playlistId: 'PL123' });
+    expect(parseYouTubeUrl(`https://www.youtube.com/watch?v=${ID}#t=30`).start).toBe(30);
+    expect(parseYouTubeUrl(`https://www.youtube.com/embed/${ID}?start=12`).start).toBe(12);
+  });
+
+  it('해석할 수 없으면 오류 코드, 빈 입력은 null', () => {
+    expect(parseYouTubeUrl('  ')).toBeNull();
+    expect(parseYouTubeUrl('https://vimeo.com/123')).toEqual({ error: 'notYoutube' });
+    expect(parseYouTubeUrl('https://www.youtube.com/playlist?list=PL123')).toEqual({ error: 'playlistOnly', playlistId: 'PL123' });
+    expect(parseYouTubeUrl('https://www.youtube.com/feed/trending')).toEqual({ error: 'noVideoId' });
+    expect(parseYouTubeUrl('https://youtu.be/short')).toEqual({ error: 'invalidVideoId' });
+  });
+});
+
+describe('parseCollectionUrl', () => {
+  it('재생목록, 채널, 핸들을 구분', () => {
+    expect(parseCollectionUrl(`https://www.youtube.com/watch?v=${ID}&list=PL123`))
+      .toEqual({ kind: 'playlist', id: 'PL123', url: 'https://www.youtube.com/playlist?list=PL123' });
+    expect(parseCollectionUrl('youtube.com/channel/UCabc/videos')).toMatchObject({ kind: 'channel', id: 'UCabc' });
+    expect(parseCollectionUrl('https://www.youtube.com/@teacher')).toMatchObject({ kind: 'handle', id: 'teacher' });
+    expect(parseCollectionUrl(`https://youtu.be/${ID}`)).toBeNull();
+    expect(parseCollectionUrl('https://example.com/@teacher')).toBeNull();
+  });
+});